@@ -1,65 +1,337 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
-import { AnonymizationService } from './src/services/anonymization.js';
-import { logger } from './src/utils/logger.js';
+import { program, Option, CommanderError } from 'commander';
+import yaml from 'js-yaml';
 import path from 'path';
+import fs from 'fs/promises';
+import { logger } from './src/utils/logger.js';
 import { loadRules } from './src/utils/config.js';
+import { ARCHIVE_FORMATS } from './src/utils/dump-format.js';
+import { Dumper } from './src/services/dumper.js';
+import { WorkspaceCleaner } from './src/services/cleaner.js';
+import { RulesValidator } from './src/services/validator.js';
+import {
+  anonymize,
+  SourceDatabase,
+  getDatabaseEngine,
+  InvalidOptionsError,
+  RulesError,
+  ConfigError,
+  LeakError,
+  DEFAULT_DATABASE_ENGINE,
+  loadConfig,
+  getConfig,
+  describeConfig,
+} from './src/index.js';
+import { LOG_LEVELS } from './src/config/index.js';
+
+// Códigos de salida comunes a todos los comandos
+const EXIT_CODES = {
+  success: 0,
+  failure: 1,
+  usage: 2,
+  invalidRules: 3,
+  leak: 4,
+};
+
+// Opciones de anonymize que un run reanudado toma de su punto de control si no se indican
+const RESUMED_OPTIONS = ['rules', 'output', 'databaseEngine', 'engine', 'maskingMode', 'outputFormat', 'sampleRows', 'leakCheck', 'report'];
+
+/**
+ * Folder of the dumps, from the configuration (`paths.dumps`).
+ */
+function dumpsDir() {
+  return getConfig().paths.dumps;
+}
+
+function exitCodeFor(error) {
+  if (error instanceof CommanderError) {
+    // La ayuda y la versión también pasan por aquí
+    return error.exitCode === 0 ? EXIT_CODES.success : EXIT_CODES.usage;
+  }
+  if (error instanceof InvalidOptionsError || error instanceof ConfigError) return EXIT_CODES.usage;
+  if (error instanceof RulesError) return EXIT_CODES.invalidRules;
+  if (error instanceof LeakError) return EXIT_CODES.leak;
+  return EXIT_CODES.failure;
+}
+
+function addSourceDatabaseOptions(command) {
+  return command
+    .option('--source-url <url>', 'Live source database URL (e.g. postgres://user@host:5432/db); no password')
+    .option('--source-host <host>', 'Host of the live source database')
+    .option('--source-port <port>', 'Port of the live source database')
+    .option('--source-user <user>', 'User of the live source database')
+    .option('--source-database <name>', 'Name of the live source database');
+}
+
+function addDatabaseEngineOption(command) {
+  return command.option(
+    '-dbE, --databaseEngine <name>',
+    'Engine of the database to Dump: postgres, mysql or mariadb',
+    DEFAULT_DATABASE_ENGINE
+  );
+}
+
+/**
+ * Connection fields of the live source database given in the options, or null.
+ */
+function sourceDatabaseOptions(options) {
+  if (!options.sourceUrl && !options.sourceHost && !options.sourceDatabase) return null;
+  return {
+    url: options.sourceUrl,
+    host: options.sourceHost,
+    port: options.sourcePort,
+    user: options.sourceUser,
+    database: options.sourceDatabase,
+  };
+}
+
+/**
+ * Path of a dump given by name in the `dumps` folder (absolute paths are kept).
+ */
+function dumpPath(name) {
+  return path.resolve(dumpsDir(), name);
+}
+
+/**
+ * Path of a rules file given by name in the rules folder (absolute paths are kept).
+ */
+function rulesPath(name) {
+  return path.resolve(getConfig().paths.rules, name);
+}
+
+function parseSampleRows(value) {
+  return parseInt(value, 10);
+}
+
+/**
+ * Translates the CLI options into the input of the API: a dump in `dumps`, or a live source database.
+ */
+function resolveSource(options, { required = true } = {}) {
+  const database = sourceDatabaseOptions(options);
+  if (database && options.dump) throw new InvalidOptionsError('Use either --dump or a source database, not both');
+  if (database) return database;
+  if (options.dump) return dumpPath(options.dump);
+  if (!required) return null;
+  throw new InvalidOptionsError('A dump (--dump) or a source database (--source-url or --source-database) is required');
+}
 
 program
+  .name('db-anonymizer')
   .version('1.0.0')
   .description('Database Anonymization Tool')
-  .option('-d, --dump <name>', 'Name of dump file in dumps folder (e.g., dump.sql)')
-  .option('-r, --rules <name>', 'Name of rules file in src/rules (e.g., users.rules.js)')
+  .option('-c, --config <path>', 'Environment file with the database settings (default: .env, optional)')
+  .option('--config-file <path>', 'Configuration file (default: anonymizer.config.yaml, .yml or .json, optional)')
+  .option('-p, --profile <name>', 'Profile of the configuration file to apply')
+  .option('--dumps-dir <path>', 'Folder of the dumps (default: dumps)')
+  .option('--rules-dir <path>', 'Folder of the rules files (default: src/rules)')
+  .addOption(new Option('--log-level <level>', 'Log level (default: info)').choices(LOG_LEVELS))
+  .exitOverride()
+  .hook('preAction', () => {
+    const globals = program.opts();
+    // Flags > entorno > perfil > archivo de configuración > valores por defecto
+    loadConfig({
+      envFile: globals.config,
+      file: globals.configFile,
+      profile: globals.profile,
+      overrides: { 'log.level': globals.logLevel, 'paths.dumps': globals.dumpsDir, 'paths.rules': globals.rulesDir },
+    });
+  });
+
+addDatabaseEngineOption(addSourceDatabaseOptions(
+  program
+    .command('anonymize', { isDefault: true })
+    .description('Mask a dump or a live source database with a rules file (default command)')
+    .allowExcessArguments(false)
+    .option('-d, --dump <name>', 'Name of dump file in dumps folder (e.g., dump.sql)')
+))
+  .option('--save-source <name>', 'Also save the source dump in the dumps folder; without --rules, only dump')
+  .option('-r, --rules <name>', 'Rules file in the rules folder or any path (.js, .yaml, .yml or .json)')
   .option('-o, --output <name>', 'Output file name for anonymized dump')
-  .option('-dbE, --databaseEngine <name>', 'Engine of the database to Dump')
-  .parse(process.argv);
+  .option('-e, --engine <name>', 'Masking engine: docker (PostgreSQL Anonymizer container) or stream (pure Node)', 'docker')
+  .addOption(new Option('--masking-mode <mode>', 'docker engine: static (mask the rows, then dump) or dynamic (dump as the masked role)').choices(['static', 'dynamic']).default('static'))
+  .option('-F, --output-format <format>', 'Format of the anonymized dump: plain, custom, directory or gzip', 'plain')
+  .option('--dry-run', 'Validate the rules against the dump DDL without starting containers')
+  // Alias del comando discover, que se mantiene para los scripts que ya lo usan
+  .addOption(new Option('--discover <name>', 'Same as the discover command').hideHelp())
+  .option('--sample-rows <n>', 'Values sampled per masked column by the leak check', parseSampleRows, 1000)
+  .option('--no-leak-check', 'Skip the scan of the output for original values of masked columns')
+  .option('--report <formats>', 'Formats of the run report written next to the dump: json, md, html', (value) => value.split(',').map((format) => format.trim()).filter(Boolean), ['json', 'html'])
+  .option('--no-report', 'Do not write the run report')
+  .option('--resume <runId>', 'Continue a failed docker run from its first incomplete step, in its work container')
+  .option('--keep-container', 'Keep the work container after a failure, to inspect it or resume the run')
+  .action(async (options, command) => {
+    if (options.discover) logger.warn('anonymize --discover is deprecated; use the discover command');
+    const runOptions = {
+      source: resolveSource(options, { required: !options.resume }),
+      rules: options.rules,
+      output: options.output,
+      databaseEngine: options.databaseEngine,
+      engine: options.engine,
+      maskingMode: options.maskingMode,
+      outputFormat: options.outputFormat,
+      dryRun: !!options.dryRun,
+      discover: options.discover ? rulesPath(options.discover) : null,
+      saveSource: options.saveSource ? dumpPath(options.saveSource) : null,
+      sampleRows: options.sampleRows,
+      leakCheck: options.leakCheck,
+      report: options.report,
+      resume: options.resume,
+      keepContainer: !!options.keepContainer,
+    };
+    if (options.resume) {
+      for (const name of RESUMED_OPTIONS) {
+        if (command.getOptionValueSource(name) !== 'cli') delete runOptions[name];
+      }
+    }
+    await anonymize(runOptions);
+  });
 
-const options = program.opts();
+addDatabaseEngineOption(addSourceDatabaseOptions(
+  program
+    .command('discover')
+    .description('Scan a dump or a live source database for personal data and write a starter rules file')
+    .argument('<rules>', 'Name of the rules module to write in the rules folder (e.g., customers.rules.js), or any path')
+    .option('-d, --dump <name>', 'Name of dump file in dumps folder (e.g., dump.sql)')
+))
+  .option('--sample-rows <n>', 'Rows sampled per table', parseSampleRows, 1000)
+  .action(async (rules, options) => {
+    await anonymize({
+      source: resolveSource(options),
+      databaseEngine: options.databaseEngine,
+      discover: rulesPath(rules),
+      sampleRows: options.sampleRows,
+    });
+  });
 
-async function main() {
-  let anonService = null;
-  try {
-    // Define el directorio base para los dumps
-    const dumpsDir = path.resolve('dumps');
+addDatabaseEngineOption(addSourceDatabaseOptions(
+  program
+    .command('dump')
+    .description('Dump a live source database into the dumps folder')
+))
+  .option('-o, --output <name>', 'File name in the dumps folder (default: <timestamp>_source_<database>.sql)')
+  .option('--schema-only', 'Dump only the schema, without data')
+  .action(async (options) => {
+    let source;
+    try {
+      source = SourceDatabase.fromConnection(sourceDatabaseOptions(options) || {}, options.databaseEngine);
+    } catch (error) {
+      throw new InvalidOptionsError(error.message);
+    }
+    if (!source) throw new InvalidOptionsError('A source database (--source-url or --source-database) is required');
 
-    // Resuelve la ruta del archivo dump dentro del directorio `dumps`
-    const dumpAbsolutePath = path.join(dumpsDir, options.dump);
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:]/g, '-');
+    await fs.mkdir(dumpsDir(), { recursive: true });
+    await source.dumpToFile(dumpPath(options.output || `${timestamp}_source_${source.database}.sql`), {
+      schemaOnly: !!options.schemaOnly,
+    });
+  });
 
-    // Valida que el dump exista
-    const fs = await import('fs/promises');
+addDatabaseEngineOption(addSourceDatabaseOptions(
+  program
+    .command('validate')
+    .description('Check a rules file, and against the DDL of a dump or source database when one is given')
+    .requiredOption('-r, --rules <name>', 'Rules file in the rules folder or any path (.js, .yaml, .yml or .json)')
+    .option('-d, --dump <name>', 'Name of dump file in dumps folder (e.g., dump.sql)')
+))
+  .option('-e, --engine <name>', 'Masking engine the rules are meant for: docker or stream', 'docker')
+  .option('--print-rules', 'Print the rules resolved for every table, global column rules included, as YAML')
+  .action(async (options) => {
+    const source = resolveSource(options, { required: false });
+    if (source) {
+      const result = await anonymize({
+        source,
+        rules: options.rules,
+        databaseEngine: options.databaseEngine,
+        engine: options.engine,
+        dryRun: true,
+      });
+      if (options.printRules) {
+        const validator = new RulesValidator(options.engine, options.databaseEngine);
+        process.stdout.write(validator.formatResolvedRules(result.report));
+      }
+      return;
+    }
+    if (options.printRules) {
+      throw new InvalidOptionsError('--print-rules needs a dump (--dump) or a source database to resolve the rules against');
+    }
+
+    // Sin dump se comprueban las máscaras, pero no las tablas, columnas y tipos a los que se aplican
+    let rules;
     try {
-      await fs.access(dumpAbsolutePath);
+      rules = await loadRules(options.rules);
+    } catch (error) {
+      throw new RulesError(error.message, { cause: error });
+    }
+    const validator = new RulesValidator(options.engine, options.databaseEngine);
+    const report = validator.validateWithoutSchema(rules);
+    validator.printReport(report);
+    if (report.errors.length > 0) {
+      throw new RulesError(`Rules validation failed with ${report.errors.length} error(s)`, { stage: 'validate', report });
+    }
+    logger.info('Tables, columns and types were not checked; pass --dump to check the rules against a dump');
+  });
+
+addDatabaseEngineOption(
+  program
+    .command('inspect')
+    .description('Describe a dump: format, size, tables, columns and rows')
+    .argument('<dump>', 'Name of dump file in dumps folder, or a path')
+)
+  .option('--json', 'Print the description as JSON')
+  .action(async (dump, options) => {
+    const filePath = dumpPath(dump);
+    try {
+      await fs.access(filePath);
     } catch {
-      throw new Error(`Dump file "${options.dump}" not found in ${dumpsDir}`);
+      throw new InvalidOptionsError(`Dump file "${dump}" not found in ${dumpsDir()}`);
     }
 
-    // Carga las reglas desde `src/rules`
-    const rules = await loadRules(options.rules);
+    const summary = await new Dumper(getDatabaseEngine(options.databaseEngine)).inspectDump(filePath);
+    if (options.json) {
+      process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+      return;
+    }
 
-    // Inicializa el servicio
-    anonService = new AnonymizationService(dumpAbsolutePath,options.databaseEngine);
-    await anonService.init();
-    await anonService.setup();
-    await anonService.processRules(rules);
-    await anonService.createAnonymizedDump(options.output);
-    
-  } catch (error) {
-    logger.error('Failed to run anonymization:', error);
-    if (anonService) {
-      await anonService.cleanup().catch(err =>
-        logger.error('Cleanup after failure:', err)
-      );
+    logger.info(`${summary.path}: ${summary.format} dump, ${summary.size} bytes`);
+    if (ARCHIVE_FORMATS.includes(summary.format)) {
+      logger.info('Tables of archive dumps can only be listed with pg_restore --list');
+      return;
     }
-    process.exit(1);
-  } finally {
-    if (anonService) {
-      await anonService.cleanup().catch(err =>
-        logger.error('Cleanup after failure:', err)
-      );
+    for (const table of summary.tables) {
+      logger.info(`${table.table}: ${table.columns ?? '?'} columns, ${table.rows} rows`);
     }
-    process.exit(0);
+    logger.info(`${summary.tables.length} tables, ${summary.rows} rows`);
+  });
+
+program
+  .command('clean')
+  .description('Remove leftover work containers, checkpoints without a container and temporary files in the dumps folder')
+  .option('--dry-run', 'Only list what would be removed')
+  .option('--no-containers', 'Leave the Docker containers and checkpoints alone, only remove temporary files')
+  .option('--all', 'Also remove the containers kept by failed runs that could be resumed, and their checkpoints')
+  .action(async (options) => {
+    await new WorkspaceCleaner(dumpsDir()).clean({ dryRun: !!options.dryRun, containers: options.containers, all: !!options.all });
+  });
+
+program
+  .command('config')
+  .description('Print the effective configuration, secrets masked, and where each value comes from')
+  .option('--json', 'Print the configuration as JSON')
+  .action((options) => {
+    const description = describeConfig();
+    process.stdout.write(options.json ? `${JSON.stringify(description, null, 2)}\n` : yaml.dump(description, { lineWidth: -1 }));
+  });
+
+async function main() {
+  try {
+    await program.parseAsync(process.argv);
+  } catch (error) {
+    // Commander ya ha mostrado sus propios errores de uso
+    if (!(error instanceof CommanderError)) logger.error('Command failed:', error);
+    process.exit(exitCodeFor(error));
   }
+  process.exit(EXIT_CODES.success);
 }
 
 main();
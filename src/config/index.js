@@ -1,19 +1,262 @@
 import dotenv from 'dotenv';
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { ConfigError } from '../utils/errors.js';
+import { configureLogger } from '../utils/logger.js';
 
+// Archivos de configuración buscados en el directorio actual, por orden
+export const CONFIG_FILES = ['anonymizer.config.yaml', 'anonymizer.config.yml', 'anonymizer.config.json'];
 
-const envFound = dotenv.config();
-if (envFound.error) {
-  // This error should crash whole process
-  throw new Error("⚠️  Couldn't find .env file  ⚠️");
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+const SECRET_MASK = '********';
+
+/**
+ * Every setting, keyed by its path in the configuration file, with the
+ * environment variable that sets it, its type and its default value.
+ */
+export const SETTINGS = {
+  'database.host': { env: 'DB_HOST', type: 'string', default: 'localhost' },
+  'database.port': { env: 'DB_PORT', type: 'port', default: null },
+  'database.user': { env: 'DB_USER', type: 'string', default: null },
+  'database.password': { env: 'DB_PASSWORD', type: 'string', default: null, secret: true },
+  'database.name': { env: 'DB_NAME', type: 'string', default: null },
+  'database.maxRetries': { env: 'DB_MAX_RETRIES', type: 'integer', min: 1, default: 5 },
+  'database.retryInterval': { env: 'DB_RETRY_INTERVAL', type: 'integer', min: 0, default: 1000 },
+  'database.poolSize': { env: 'DB_POOL_SIZE', type: 'integer', min: 1, default: 20 },
+  'docker.image': { env: 'DOCKER_IMAGE', type: 'string', default: null },
+  'docker.containerPrefix': { env: 'DOCKER_CONTAINER_PREFIX', type: 'name', default: null },
+  'docker.cpus': { env: 'DOCKER_CPUS', type: 'number', min: 0.01, default: 2 },
+  'docker.memory': { env: 'DOCKER_MEMORY', type: 'memory', default: '2g' },
+  'docker.publishPort': { env: 'DOCKER_PUBLISH_PORT', type: 'boolean', default: true },
+  'paths.dumps': { env: 'DUMPS_DIR', type: 'path', default: 'dumps' },
+  'paths.rules': { env: 'RULES_DIR', type: 'path', default: 'src/rules' },
+  'paths.logs': { env: 'LOGS_DIR', type: 'path', default: 'logs' },
+  'log.level': { env: 'LOG_LEVEL', type: 'level', default: 'info' },
+  'anonymization.salt': { env: 'ANON_SALT', type: 'string', default: null, secret: true },
+  'source.password': { env: 'SOURCE_DB_PASSWORD', type: 'string', default: null, secret: true },
+  'dump.skipSettings': { env: 'DUMP_SKIP_SETTINGS', type: 'list', default: [] },
+  'dump.skipExtensions': { env: 'DUMP_SKIP_EXTENSIONS', type: 'list', default: [] },
+};
+
+const BOOLEANS = { true: true, yes: true, on: true, 1: true, false: false, no: false, off: false, 0: false };
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Parses one value, written in the configuration file or as text in an environment variable.
+ * @returns {*} - The value, or throws an Error saying what is expected.
+ */
+function parseValue(setting, value, baseDirectory) {
+  const text = typeof value === 'string' ? value.trim() : value;
+  const number = typeof text === 'number' ? text : Number(text);
+
+  switch (setting.type) {
+    case 'integer':
+    case 'port':
+    case 'number': {
+      const integer = setting.type !== 'number';
+      const min = setting.type === 'port' ? 1 : setting.min;
+      const max = setting.type === 'port' ? 65535 : Infinity;
+      const valid = text !== '' && typeof text !== 'boolean' && !Number.isNaN(number) && (!integer || Number.isInteger(number));
+      if (!valid || number < min || number > max) {
+        throw new Error(
+          setting.type === 'port' ? 'must be a port between 1 and 65535' : `must be ${integer ? 'an integer' : 'a number'} of at least ${min}`
+        );
+      }
+      return number;
+    }
+    case 'boolean': {
+      if (typeof text === 'boolean') return text;
+      const parsed = BOOLEANS[String(text).toLowerCase()];
+      if (parsed === undefined) throw new Error('must be true or false');
+      return parsed;
+    }
+    case 'memory':
+      if (!/^\d+(\.\d+)?\s*[bkmg]?$/i.test(String(text))) throw new Error('must be a memory size such as 512m or 2g');
+      return String(text);
+    case 'level':
+      if (!LOG_LEVELS.includes(text)) throw new Error(`must be one of ${LOG_LEVELS.join(', ')}`);
+      return text;
+    case 'list': {
+      const items = Array.isArray(text) ? text : String(text).split(',');
+      return items.map((item) => String(item).trim()).filter(Boolean);
+    }
+    case 'name':
+      if (!/^[a-zA-Z0-9][\w.-]*$/.test(String(text))) throw new Error('may only contain letters, digits, "_", "." and "-"');
+      return String(text);
+    case 'path':
+      return path.resolve(baseDirectory, String(text));
+    default:
+      if (isPlainObject(text) || Array.isArray(text)) throw new Error('must be a single value');
+      return String(text);
+  }
+}
+
+/**
+ * Flattens one section of the configuration file (`{ docker: { memory } }`) into setting keys.
+ */
+function flattenSection(section, where, errors) {
+  const values = {};
+  if (!isPlainObject(section)) {
+    errors.push(`${where} must be a mapping of groups such as database or docker`);
+    return values;
+  }
+  for (const [group, settings] of Object.entries(section)) {
+    if (!isPlainObject(settings)) {
+      errors.push(`${where}: ${group} must be a mapping of settings`);
+      continue;
+    }
+    for (const [name, value] of Object.entries(settings)) {
+      const key = `${group}.${name}`;
+      if (!SETTINGS[key]) errors.push(`${where}: unknown setting ${key}`);
+      else values[key] = value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Finds the configuration file: the given one, or the first of `CONFIG_FILES` in the directory.
+ */
+function findConfigFile(file, cwd) {
+  if (file) {
+    const filePath = path.resolve(cwd, file);
+    if (!fs.existsSync(filePath)) throw new ConfigError(`Configuration file "${file}" not found`);
+    return filePath;
+  }
+  const found = CONFIG_FILES.map((name) => path.join(cwd, name)).find((filePath) => fs.existsSync(filePath));
+  return found || null;
+}
+
+function readConfigFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  try {
+    const document = filePath.endsWith('.json') ? JSON.parse(text) : yaml.load(text, { filename: filePath });
+    return document === undefined || document === null ? {} : document;
+  } catch (error) {
+    throw new ConfigError(`Invalid configuration file ${filePath}: ${error.message}`);
+  }
 }
 
-export const config = {
-    database: {
-        host: process.env.DB_HOST,
-        port: process.env.DB_PORT,
-        user: process.env.DB_USER,
-        password: process.env.DB_PASSWORD,
-        dbName: process.env.DB_NAME,
-        maxRetries: process.env.DB_MAX_RETRIES || 5, // Valor por defecto si no está definido
+// Configuración efectiva cargada por `loadConfig`
+let current = null;
+
+/**
+ * Loads the configuration. Each setting is taken from the first layer that sets it:
+ * `overrides` (the CLI flags), the environment (`.env` included), the selected
+ * profile of the configuration file, the rest of the file, and the defaults.
+ * Relative paths of the file are relative to the file; the others, to `cwd`.
+ * @param {object} options - `file` and `profile` (else `ANONYMIZER_CONFIG` and `ANONYMIZER_PROFILE`),
+ *   `envFile` (an environment file that must exist), and `overrides` keyed like `SETTINGS`.
+ * @returns {object} - Settings grouped as in the file, e.g. `config.docker.memory`.
+ */
+export function loadConfig({ file, profile, envFile, overrides = {}, env = process.env, cwd = process.cwd() } = {}) {
+  // Un archivo de entorno indicado expresamente prevalece sobre el entorno; `.env` es opcional
+  const envPath = envFile || env.DB_ANONYMIZER_ENV_FILE;
+  const loaded = dotenv.config({ path: envPath ? path.resolve(cwd, envPath) : path.join(cwd, '.env'), processEnv: env, override: !!envFile });
+  if (envFile && loaded.error) throw new ConfigError(`Environment file "${envFile}" not found`);
+
+  const filePath = findConfigFile(file || env.ANONYMIZER_CONFIG, cwd);
+  const document = filePath ? readConfigFile(filePath) : {};
+  const errors = [];
+  const { profiles = {}, ...base } = isPlainObject(document) ? document : {};
+  const fileValues = filePath ? flattenSection(base, filePath, errors) : {};
+
+  const profileName = profile || env.ANONYMIZER_PROFILE || null;
+  let profileValues = {};
+  if (profileName) {
+    if (!isPlainObject(profiles) || !isPlainObject(profiles[profileName])) {
+      const available = isPlainObject(profiles) ? Object.keys(profiles) : [];
+      throw new ConfigError(
+        `Unknown configuration profile "${profileName}"${filePath ? ` in ${filePath}` : ' (no configuration file found)'}` +
+          (available.length ? `. Available: ${available.join(', ')}` : '')
+      );
     }
-};
\ No newline at end of file
+    profileValues = flattenSection(profiles[profileName], `${filePath} (profile ${profileName})`, errors);
+  }
+
+  const settings = {};
+  const sources = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    // Las variables vacías, como las de `.env.template`, no cuentan
+    const layers = [
+      [overrides[key], 'cli', cwd],
+      [env[setting.env] === '' ? undefined : env[setting.env], `env ${setting.env}`, cwd],
+      [profileValues[key], `profile ${profileName}`, filePath && path.dirname(filePath)],
+      [fileValues[key], 'file', filePath && path.dirname(filePath)],
+    ];
+    const [value, source, baseDirectory] = layers.find(([candidate]) => candidate !== undefined && candidate !== null) || [
+      setting.default,
+      'default',
+      cwd,
+    ];
+
+    let parsed = value;
+    if (value !== null && source !== 'default') {
+      try {
+        parsed = parseValue(setting, value, baseDirectory);
+      } catch (error) {
+        errors.push(`${key} (${source}) ${error.message}, got ${JSON.stringify(value)}`);
+      }
+    } else if (setting.type === 'path') {
+      parsed = path.resolve(cwd, value);
+    }
+
+    const [group, name] = key.split('.');
+    settings[group] = { ...settings[group], [name]: parsed };
+    sources[key] = source;
+  }
+
+  if (errors.length > 0) throw new ConfigError(`Invalid configuration:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+
+  current = { settings, sources, file: filePath, profile: profileName };
+  // Un nivel por defecto no pisa el que se haya fijado en `logger` desde la API
+  configureLogger({ level: sources['log.level'] === 'default' ? null : settings.log.level, directory: settings.paths.logs });
+  return settings;
+}
+
+/**
+ * Effective configuration, loaded from the environment and the configuration file on first use.
+ */
+export function getConfig() {
+  if (!current) loadConfig();
+  return current.settings;
+}
+
+/**
+ * Checks that settings without a default are set, e.g. the credentials of the work container.
+ * @param {string[]} keys - Setting keys, as in `SETTINGS`.
+ * @param {string} purpose - What needs them, for the error message.
+ */
+export function requireSettings(keys, purpose) {
+  const settings = getConfig();
+  const missing = keys.filter((key) => {
+    const [group, name] = key.split('.');
+    return settings[group][name] === null || settings[group][name] === '';
+  });
+  if (missing.length > 0) {
+    throw new ConfigError(
+      `${purpose} needs ${missing.map((key) => `${key} (${SETTINGS[key].env})`).join(', ')}; ` +
+        'set them in the configuration file or the environment'
+    );
+  }
+}
+
+/**
+ * Effective configuration with its secrets masked, where each value came from,
+ * the configuration file and the profile, for printing.
+ */
+export function describeConfig() {
+  getConfig();
+  const settings = {};
+  for (const [key, setting] of Object.entries(SETTINGS)) {
+    const [group, name] = key.split('.');
+    const value = current.settings[group][name];
+    settings[group] = { ...settings[group], [name]: setting.secret && value !== null ? SECRET_MASK : value };
+  }
+  return { file: current.file, profile: current.profile, settings, sources: { ...current.sources } };
+}
@@ -0,0 +1,40 @@
+import { PostgresEngine } from './postgres.js';
+import { MysqlEngine, MariadbEngine } from './mysql.js';
+
+/**
+ * Database engines available through `--databaseEngine`.
+ */
+const DATABASE_ENGINES = {
+  postgres: PostgresEngine,
+  mysql: MysqlEngine,
+  mariadb: MariadbEngine,
+};
+
+const ALIASES = {
+  postgresql: 'postgres',
+  pg: 'postgres',
+};
+
+export const DEFAULT_DATABASE_ENGINE = 'postgres';
+
+/**
+ * Returns the adapter for a database engine.
+ * @param {string} [name] - Engine name (`postgres`, `mysql` or `mariadb`); defaults to PostgreSQL.
+ * @returns {object} - Engine adapter.
+ */
+export function getDatabaseEngine(name = DEFAULT_DATABASE_ENGINE) {
+  const key = String(name || DEFAULT_DATABASE_ENGINE).toLowerCase();
+  const Engine = DATABASE_ENGINES[ALIASES[key] || key];
+  if (!Engine) {
+    throw new Error(`Unknown database engine "${name}". Available: ${Object.keys(DATABASE_ENGINES).join(', ')}`);
+  }
+  return new Engine();
+}
+
+/**
+ * Returns an adapter for every database engine.
+ * @returns {object[]} - Engine adapters.
+ */
+export function listDatabaseEngines() {
+  return Object.keys(DATABASE_ENGINES).map((name) => getDatabaseEngine(name));
+}
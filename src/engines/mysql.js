@@ -0,0 +1,341 @@
+import mysql from 'mysql2/promise';
+import { logger } from '../utils/logger.js';
+import { DEFAULT_SCHEMA, resolveColumnName } from '../utils/rules.js';
+import { createTableMasker } from '../masking/masker.js';
+import { branchColumns } from '../masking/conditions.js';
+
+const MASK_BATCH_SIZE = 1000;
+
+/**
+ * Wraps a mysql2 connection so it answers like a `pg` client:
+ * `query()` resolves to `{ rows, rowCount }`.
+ */
+class MysqlClient {
+  constructor(connection, pooled = false) {
+    this.connection = connection;
+    this.pooled = pooled;
+  }
+
+  async query(sql, params = []) {
+    const [result] = await this.connection.query(sql, params);
+    if (Array.isArray(result)) return { rows: result, rowCount: result.length };
+    return { rows: [], rowCount: result.affectedRows };
+  }
+
+  release() {
+    if (this.pooled) this.connection.release();
+  }
+
+  async end() {
+    if (this.pooled) this.connection.release();
+    else await this.connection.end();
+  }
+}
+
+// Valores como texto, igual que en un dump, para que las máscaras reciban lo mismo en ambos motores
+const CONNECTION_OPTIONS = { dateStrings: true, supportBigNumbers: true, bigNumberStrings: true, jsonStrings: true };
+
+function toText(value) {
+  if (value === null || value === undefined) return null;
+  if (Buffer.isBuffer(value)) return value.toString();
+  return String(value);
+}
+
+/**
+ * Type used to format masked values, so dates are written without a time zone offset.
+ */
+function maskType(dataType) {
+  if (/^(datetime|timestamp)$/.test(dataType)) return 'timestamp';
+  return dataType;
+}
+
+/**
+ * MySQL adapter: imports a `mysqldump` file into a throwaway MySQL container,
+ * masks the rows in place with the JavaScript masks and dumps the result with
+ * `mysqldump`. MySQL has no schemas inside a database, so rules keyed by
+ * `table` (schema `public`) refer to the imported database.
+ */
+export class MysqlEngine {
+  constructor() {
+    this.name = 'mysql';
+    this.label = 'MySQL';
+    this.image = 'mysql:8.0.40';
+    // Prefijo de los contenedores de trabajo; cada ejecución añade su id
+    this.containerName = 'dump_mysql';
+    this.containerPort = 3306;
+    this.defaultPort = 3306;
+    this.urlProtocols = ['mysql:'];
+    this.adminDatabase = null;
+    // El contenedor solo crea `root`, así que no hace falta `database.user`
+    this.requiredSettings = ['database.password', 'database.name'];
+    // Sin extensión de anonimización: las máscaras se evalúan en JS y se actualizan las filas
+    this.maskFunctions = 'js';
+    this.supportsDynamicMasking = false;
+    this.supportsSubsetting = false;
+    // mysqldump no puede omitir solo los datos de una tabla: se vacía antes del dump
+    this.supportsExcludeTableData = false;
+    this.needsPreprocess = false;
+    // `source` no admite rutas con espacios sin comillas: el dump se pasa por stdin
+    this.readsDumpFiles = false;
+    // mysqldump solo escribe SQL plano; la versión gzip se comprime después en el host
+    this.outputFormats = ['plain', 'gzip'];
+    this.compressesOutput = false;
+    this.clientBinary = 'mysql';
+    this.dumpBinary = 'mysqldump';
+  }
+
+  containerEnv({ password, database }) {
+    return [`MYSQL_ROOT_PASSWORD=${password}`, `MYSQL_DATABASE=${database}`];
+  }
+
+  /**
+   * The container only creates `root` with the configured password, so every connection uses it.
+   */
+  connectionUser() {
+    return 'root';
+  }
+
+  async connect({ host, port, user, password, database }) {
+    const connection = await mysql.createConnection({
+      host,
+      port: Number(port),
+      user,
+      password,
+      database: database || undefined,
+      ...CONNECTION_OPTIONS,
+    });
+    return new MysqlClient(connection);
+  }
+
+  createPool({ host, port, user, password, database }, { size = 20 } = {}) {
+    const pool = mysql.createPool({
+      host,
+      port: Number(port),
+      user,
+      password,
+      database,
+      connectionLimit: size,
+      idleTimeout: 30000,
+      connectTimeout: 2000,
+      ...CONNECTION_OPTIONS,
+    });
+
+    return {
+      connect: async () => new MysqlClient(await pool.getConnection(), true),
+      end: () => pool.end(),
+    };
+  }
+
+  quoteIdentifier(identifier) {
+    return `\`${String(identifier).replace(/`/g, '``')}\``;
+  }
+
+  parameter() {
+    return '?';
+  }
+
+  qualifiedName(schema, table) {
+    return `${this.quoteIdentifier(schema)}.${this.quoteIdentifier(table)}`;
+  }
+
+  resetDatabaseStatements(database) {
+    const name = this.quoteIdentifier(database);
+    return [`DROP DATABASE IF EXISTS ${name}`, `CREATE DATABASE ${name}`];
+  }
+
+  /**
+   * The password goes through the environment so it never shows up in the command line.
+   */
+  execEnv({ password }) {
+    return { MYSQL_PWD: password };
+  }
+
+  /**
+   * Command that imports a dump read from stdin (see `readsDumpFiles`).
+   */
+  importCommand({ user, database }) {
+    return [this.clientBinary, '-u', user, database];
+  }
+
+  /**
+   * Command run on the host to dump a live source database to stdout.
+   */
+  sourceDumpCommand({ host, port, user, database }, { schemaOnly = false } = {}) {
+    return [
+      this.dumpBinary,
+      ...(host ? ['-h', host] : []),
+      ...(port ? ['-P', String(port)] : []),
+      ...(user ? ['-u', user] : []),
+      '--single-transaction',
+      '--routines',
+      '--triggers',
+      '--hex-blob',
+      '--no-tablespaces',
+      ...(schemaOnly ? ['--no-data'] : []),
+      database,
+    ];
+  }
+
+  /**
+   * Environment for the host dump tool. Without a password, the client falls
+   * back to `MYSQL_PWD` or `~/.my.cnf` by itself.
+   */
+  sourceEnv(password) {
+    return password ? { MYSQL_PWD: password } : {};
+  }
+
+  dumpCommand(
+    { user, database },
+    { schemaOnly = false, dataOnly = false, clean = false, outputFile = null, excludeTables = [] } = {}
+  ) {
+    return [
+      this.dumpBinary,
+      '-u', user,
+      '--single-transaction',
+      '--routines',
+      '--triggers',
+      '--hex-blob',
+      '--no-tablespaces',
+      ...(schemaOnly ? ['--no-data'] : []),
+      ...(dataOnly ? ['--no-create-info'] : []),
+      ...(clean ? ['--add-drop-table'] : []),
+      ...(outputFile ? [`--result-file=${outputFile}`] : []),
+      ...excludeTables.map(({ schema, table }) => `--ignore-table=${schema}.${table}`),
+      database,
+    ];
+  }
+
+  /**
+   * Lists the tables of the imported database.
+   */
+  async listTables(client) {
+    const result = await client.query(`
+      SELECT table_schema AS table_schema, table_name AS table_name
+      FROM information_schema.tables
+      WHERE table_schema = DATABASE() AND table_type = 'BASE TABLE'
+      ORDER BY table_name;
+    `);
+    return result.rows.map((row) => ({
+      schema: row.table_schema,
+      table: row.table_name,
+      qualifiedName: this.qualifiedName(row.table_schema, row.table_name),
+    }));
+  }
+
+  /**
+   * Resolves a rules table against the imported database.
+   */
+  async findTable(client, schema, table) {
+    // `public` sin comillas es el esquema por defecto de las reglas: aquí es la base importada
+    const schemaName = schema.name === DEFAULT_SCHEMA && !schema.exact ? null : schema.name;
+    const result = await client.query(
+      `
+      SELECT table_schema AS table_schema, table_name AS table_name
+      FROM information_schema.tables
+      WHERE table_schema = COALESCE(?, DATABASE())
+        AND table_type = 'BASE TABLE'
+        AND CASE WHEN ? THEN BINARY table_name = ? ELSE lower(table_name) = lower(?) END
+      ORDER BY BINARY table_name = ? DESC;
+      `,
+      [schemaName, table.exact, table.name, table.name, table.name]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    const { table_schema: exactSchema, table_name: exactTable } = result.rows[0];
+    const columns = await client.query(
+      `
+      SELECT column_name AS column_name, data_type AS data_type, column_key AS column_key
+      FROM information_schema.columns
+      WHERE table_schema = ? AND table_name = ?
+      ORDER BY ordinal_position;
+      `,
+      [exactSchema, exactTable]
+    );
+
+    return {
+      schema: exactSchema,
+      table: exactTable,
+      qualifiedName: this.qualifiedName(exactSchema, exactTable),
+      columns: columns.rows.map((row) => row.column_name),
+      columnTypes: columns.rows.map((row) => ({ name: row.column_name, type: maskType(row.data_type) })),
+      primaryKey: columns.rows.filter((row) => row.column_key === 'PRI').map((row) => row.column_name),
+    };
+  }
+
+  /**
+   * Masks every row of a table in place, reading it in primary key order and
+   * updating the masked columns row by row.
+   * @returns {Promise<number>} - Number of rows masked.
+   */
+  async maskTable(client, table, tableRules, options = {}) {
+    if (table.primaryKey.length === 0) {
+      throw new Error(`Table ${table.qualifiedName} has no primary key; MySQL masking updates rows by primary key`);
+    }
+
+    // Columnas enmascaradas en alguna rama; varias reglas pueden nombrar la misma columna
+    const maskedColumns = branchColumns(tableRules).map((ruleColumn) => {
+      const column = resolveColumnName(table.columns, ruleColumn);
+      if (!column) throw new Error(`Column "${ruleColumn}" does not exist in table ${table.qualifiedName}`);
+      if (table.primaryKey.includes(column)) {
+        throw new Error(`Column ${table.qualifiedName}.${column} is part of the primary key and cannot be masked`);
+      }
+      return column;
+    }).filter((column, index, all) => all.indexOf(column) === index);
+
+    const maskRow = createTableMasker(table.qualifiedName, table.columnTypes, tableRules, options);
+    const indexes = maskedColumns.map((column) => table.columns.indexOf(column));
+    const key = table.primaryKey.map((column) => this.quoteIdentifier(column)).join(', ');
+    const select = `SELECT ${table.columns.map((column) => this.quoteIdentifier(column)).join(', ')} FROM ${table.qualifiedName}`;
+    const update =
+      `UPDATE ${table.qualifiedName} SET ${maskedColumns.map((column) => `${this.quoteIdentifier(column)} = ?`).join(', ')} ` +
+      `WHERE ${table.primaryKey.map((column) => `${this.quoteIdentifier(column)} = ?`).join(' AND ')}`;
+
+    let masked = 0;
+    let lastKey = null;
+    for (;;) {
+      // Paginación por clave primaria: no depende del orden físico ni de OFFSET
+      const page = await client.query(
+        lastKey
+          ? `${select} WHERE (${key}) > (${lastKey.map(() => '?').join(', ')}) ORDER BY ${key} LIMIT ${MASK_BATCH_SIZE}`
+          : `${select} ORDER BY ${key} LIMIT ${MASK_BATCH_SIZE}`,
+        lastKey || []
+      );
+      if (page.rows.length === 0) break;
+
+      for (const row of page.rows) {
+        const values = table.columns.map((column) => toText(row[column]));
+        const maskedValues = maskRow(values);
+        const keyValues = table.primaryKey.map((column) => row[column]);
+        await client.query(update, [...indexes.map((index) => maskedValues[index]), ...keyValues]);
+      }
+
+      masked += page.rows.length;
+      lastKey = table.primaryKey.map((column) => page.rows[page.rows.length - 1][column]);
+      logger.debug(`Masked ${masked} rows in ${table.qualifiedName}`);
+    }
+
+    return masked;
+  }
+}
+
+/**
+ * MariaDB adapter: same flow as MySQL with the MariaDB image and client tools.
+ */
+export class MariadbEngine extends MysqlEngine {
+  constructor() {
+    super();
+    this.name = 'mariadb';
+    this.label = 'MariaDB';
+    this.image = 'mariadb:11.4.4';
+    this.containerName = 'dump_mariadb';
+    this.urlProtocols = ['mariadb:'];
+    // Las imágenes de MariaDB 11 ya no incluyen los alias `mysql` y `mysqldump`
+    this.clientBinary = 'mariadb';
+    this.dumpBinary = 'mariadb-dump';
+  }
+
+  containerEnv({ password, database }) {
+    return [`MARIADB_ROOT_PASSWORD=${password}`, `MARIADB_DATABASE=${database}`];
+  }
+}
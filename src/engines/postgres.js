@@ -0,0 +1,317 @@
+import pkg from 'pg';
+import { logger } from '../utils/logger.js';
+import { qualifiedTableName, resolveColumnName } from '../utils/rules.js';
+import { quoteIdentifier } from '../utils/sql-dump.js';
+import { createTableMasker } from '../masking/masker.js';
+import { branchColumns } from '../masking/conditions.js';
+
+const { Pool, Client } = pkg;
+
+const MASK_BATCH_SIZE = 1000;
+
+// Opciones de pg_dump para cada formato de salida; gzip es SQL plano comprimido
+const DUMP_FORMAT_ARGS = {
+  plain: [],
+  custom: ['-Fc'],
+  directory: ['-Fd'],
+  gzip: ['-Z', '6'],
+};
+
+/**
+ * pg_dump pattern that matches exactly one table: double quotes keep the case
+ * and make wildcard characters literal.
+ */
+function exactTablePattern({ schema, table }) {
+  const quote = (name) => `"${name.replace(/"/g, '""')}"`;
+  return `${quote(schema)}.${quote(table)}`;
+}
+
+/**
+ * PostgreSQL adapter: runs the PostgreSQL Anonymizer image and masks with
+ * `SECURITY LABEL`s read by a masked role when dumping.
+ */
+export class PostgresEngine {
+  constructor() {
+    this.name = 'postgres';
+    this.label = 'PostgreSQL';
+    // Versión fijada: el masking dinámico necesita el pg_dump de PostgreSQL 17 que trae
+    this.image = 'registry.gitlab.com/dalibo/postgresql_anonymizer:2.0.0';
+    // Prefijo de los contenedores de trabajo; cada ejecución añade su id
+    this.containerName = 'dump_postgresql';
+    this.containerPort = 5432;
+    this.defaultPort = 5432;
+    this.urlProtocols = ['postgres:', 'postgresql:'];
+    this.adminDatabase = 'postgres';
+    // Ajustes sin valor por defecto que necesita el contenedor de trabajo
+    this.requiredSettings = ['database.user', 'database.password', 'database.name'];
+    // Las máscaras son expresiones SQL de la extensión anon
+    this.maskFunctions = 'sql';
+    // Además de reescribir las filas, se puede volcar como un rol enmascarado
+    this.supportsDynamicMasking = true;
+    this.supportsSubsetting = true;
+    // pg_dump puede omitir los datos de una tabla y conservar su definición
+    this.supportsExcludeTableData = true;
+    this.needsPreprocess = true;
+    // psql lee el dump con `-f`; no hace falta pasarlo por stdin
+    this.readsDumpFiles = true;
+    this.outputFormats = Object.keys(DUMP_FORMAT_ARGS);
+    // pg_dump comprime la salida gzip por sí mismo
+    this.compressesOutput = true;
+  }
+
+  /**
+   * Environment variables for the database container.
+   */
+  containerEnv({ user, password, database }) {
+    return [`POSTGRES_PASSWORD=${password}`, `POSTGRES_USER=${user}`, `POSTGRES_DB=${database}`];
+  }
+
+  /**
+   * User the tool connects with; PostgreSQL uses the configured one.
+   */
+  connectionUser(user) {
+    return user;
+  }
+
+  /**
+   * Opens a client on the given database. Results expose `rows` and `rowCount`.
+   */
+  async connect({ host, port, user, password, database }) {
+    const client = new Client({ host, port, user, password, database });
+    await client.connect();
+    return client;
+  }
+
+  createPool({ host, port, user, password, database }, { size = 20 } = {}) {
+    return new Pool({
+      host,
+      port,
+      user,
+      password,
+      database,
+      max: size,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 2000,
+    });
+  }
+
+  quoteIdentifier(identifier) {
+    return quoteIdentifier(identifier);
+  }
+
+  /**
+   * Placeholder of the query parameter at a 1-based position.
+   */
+  parameter(index) {
+    return `$${index}`;
+  }
+
+  qualifiedName(schema, table) {
+    return qualifiedTableName(schema, table);
+  }
+
+  /**
+   * Statements that drop and recreate the working database.
+   */
+  resetDatabaseStatements(database) {
+    const name = this.quoteIdentifier(database);
+    return [`DROP DATABASE IF EXISTS ${name}`, `CREATE DATABASE ${name}`];
+  }
+
+  /**
+   * Environment passed to `docker exec` for the client tools.
+   */
+  execEnv({ password }) {
+    return password ? { PGPASSWORD: password } : {};
+  }
+
+  /**
+   * Command that imports a dump file already present inside the container, or stdin when no path is given.
+   */
+  importCommand({ user, database }, containerDumpPath = null) {
+    return [
+      'psql',
+      '-h', 'localhost',
+      '-p', String(this.containerPort),
+      '-U', user,
+      '-d', database,
+      '--set', 'ON_ERROR_STOP=off',
+      '-f', containerDumpPath || '-',
+    ];
+  }
+
+  /**
+   * Command run on the host to dump a live source database as plain SQL to stdout.
+   */
+  sourceDumpCommand({ host, port, user, database }, { schemaOnly = false } = {}) {
+    return [
+      'pg_dump',
+      ...(host ? ['-h', host] : []),
+      ...(port ? ['-p', String(port)] : []),
+      ...(user ? ['-U', user] : []),
+      '--format=plain',
+      '--no-owner',
+      '--no-acl',
+      ...(schemaOnly ? ['--schema-only'] : []),
+      '-d', database,
+    ];
+  }
+
+  /**
+   * Environment for the host dump tool. Without a password, pg_dump falls back
+   * to `PGPASSWORD` or `~/.pgpass` by itself.
+   */
+  sourceEnv(password) {
+    return password ? { PGPASSWORD: password } : {};
+  }
+
+  /**
+   * Command that restores a custom, directory or tar archive already present inside the container.
+   */
+  restoreCommand({ user, database }, containerDumpPath) {
+    return [
+      'pg_restore',
+      '-h', 'localhost',
+      '-p', String(this.containerPort),
+      '-U', user,
+      '-d', database,
+      '--no-owner',
+      '--no-acl',
+      containerDumpPath,
+    ];
+  }
+
+  /**
+   * Command that dumps the database, to stdout or to `outputFile` inside the container.
+   */
+  dumpCommand(
+    { user, database },
+    {
+      schemaOnly = false,
+      dataOnly = false,
+      clean = false,
+      outputFile = null,
+      format = 'plain',
+      excludeTables = [],
+      excludeTableData = [],
+      excludeExtensions = [],
+    } = {}
+  ) {
+    return [
+      'pg_dump',
+      '-h', 'localhost',
+      '-p', String(this.containerPort),
+      '-U', user,
+      '-d', database,
+      ...(schemaOnly ? ['--schema-only'] : []),
+      ...(dataOnly ? ['--data-only'] : []),
+      '--no-owner',
+      '--no-acl',
+      '--no-security-labels',
+      ...(clean ? ['--clean'] : []),
+      ...excludeTables.map((table) => `--exclude-table=${exactTablePattern(table)}`),
+      ...excludeTableData.map((table) => `--exclude-table-data=${exactTablePattern(table)}`),
+      ...excludeExtensions.map((extension) => `--exclude-extension=${extension}`),
+      ...DUMP_FORMAT_ARGS[format],
+      ...(outputFile ? ['-f', outputFile] : []),
+    ];
+  }
+
+  /**
+   * Lists the user tables of the database.
+   */
+  async listTables(client) {
+    const result = await client.query(`
+      SELECT table_schema, table_name
+      FROM information_schema.tables
+      WHERE table_type = 'BASE TABLE'
+        AND table_schema NOT IN ('pg_catalog', 'information_schema', 'anon')
+      ORDER BY table_schema, table_name;
+    `);
+    return result.rows.map((row) => ({
+      schema: row.table_schema,
+      table: row.table_name,
+      qualifiedName: this.qualifiedName(row.table_schema, row.table_name),
+    }));
+  }
+
+  /**
+   * Resolves a rules table against the database, returning its exact schema, name and columns.
+   */
+  async findTable(client, schema, table) {
+    const result = await client.query(
+      `
+      SELECT table_schema, table_name
+      FROM information_schema.tables
+      WHERE CASE WHEN $2 THEN table_schema = $1 ELSE lower(table_schema) = lower($1) END
+        AND CASE WHEN $4 THEN table_name = $3 ELSE lower(table_name) = lower($3) END
+      ORDER BY table_schema = $1 AND table_name = $3 DESC;
+      `,
+      [schema.name, schema.exact, table.name, table.exact]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    // Almacena los nombres exactos para futuras consultas
+    const { table_schema: exactSchema, table_name: exactTable } = result.rows[0];
+    const columns = await client.query(
+      `
+      SELECT column_name, data_type
+      FROM information_schema.columns
+      WHERE table_schema = $1 AND table_name = $2
+      ORDER BY ordinal_position;
+      `,
+      [exactSchema, exactTable]
+    );
+
+    return {
+      schema: exactSchema,
+      table: exactTable,
+      qualifiedName: this.qualifiedName(exactSchema, exactTable),
+      columns: columns.rows.map((row) => row.column_name),
+      columnTypes: columns.rows.map((row) => ({ name: row.column_name, type: row.data_type })),
+    };
+  }
+
+  /**
+   * Masks every row of a table in place with masks evaluated in JavaScript
+   * (functions, generators, JSON paths and row conditions), updating each row by its `ctid`. Must run
+   * inside a transaction: the cursor keeps reading the rows as they were.
+   * @returns {Promise<number>} - Number of rows masked.
+   */
+  async maskTable(client, table, tableRules, options = {}) {
+    // Columnas enmascaradas en alguna rama; varias reglas pueden nombrar la misma columna
+    const maskedColumns = branchColumns(tableRules).map((ruleColumn) => {
+      const column = resolveColumnName(table.columns, ruleColumn);
+      if (!column) throw new Error(`Column "${ruleColumn}" does not exist in table ${table.qualifiedName}`);
+      return column;
+    }).filter((column, index, all) => all.indexOf(column) === index);
+
+    const maskRow = createTableMasker(table.qualifiedName, table.columnTypes, tableRules, options);
+    const indexes = maskedColumns.map((column) => table.columns.indexOf(column));
+    // Los valores se leen como texto, igual que en un dump, y PostgreSQL los convierte al escribirlos
+    const select = table.columns.map((column) => `${quoteIdentifier(column)}::text`).join(', ');
+    const update =
+      `UPDATE ${table.qualifiedName} SET ${maskedColumns.map((column, index) => `${quoteIdentifier(column)} = $${index + 1}`).join(', ')} ` +
+      `WHERE ctid = $${maskedColumns.length + 1}::tid`;
+
+    await client.query(`DECLARE anonymizer_rows NO SCROLL CURSOR FOR SELECT ctid::text, ${select} FROM ${table.qualifiedName}`);
+    let masked = 0;
+    for (;;) {
+      const page = await client.query({ text: `FETCH ${MASK_BATCH_SIZE} FROM anonymizer_rows`, rowMode: 'array' });
+      if (page.rows.length === 0) break;
+
+      for (const [rowId, ...values] of page.rows) {
+        const maskedValues = maskRow(values);
+        await client.query(update, [...indexes.map((index) => maskedValues[index]), rowId]);
+      }
+
+      masked += page.rows.length;
+      logger.debug(`Masked ${masked} rows in ${table.qualifiedName}`);
+    }
+    // Si algo falla, el cursor se cierra con el ROLLBACK de la transacción
+    await client.query('CLOSE anonymizer_rows');
+
+    return masked;
+  }
+}
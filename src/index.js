@@ -0,0 +1,8 @@
+// API pública para usar el anonimizador desde Node
+export { Anonymizer, anonymize } from './services/anonymizer.js';
+export { SourceDatabase } from './services/source.js';
+export { ANONYMIZER_EVENTS } from './utils/events.js';
+export { loadConfig, getConfig, describeConfig } from './config/index.js';
+export { AnonymizerError, InvalidOptionsError, RulesError, LeakError, StageError, ConfigError } from './utils/errors.js';
+export { getDatabaseEngine, DEFAULT_DATABASE_ENGINE } from './engines/index.js';
+export { registerGenerator } from './masking/generators.js';
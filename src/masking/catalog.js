@@ -0,0 +1,129 @@
+import { maskFunctions } from './functions.js';
+
+/**
+ * Type families used to check that a mask fits the column it is applied to.
+ */
+export const TYPE_FAMILIES = ['text', 'numeric', 'datetime', 'boolean', 'json', 'uuid', 'other'];
+
+/**
+ * PostgreSQL Anonymizer functions that only exist inside the extension, so they
+ * can be used with the `docker` engine but not with the `stream` engine.
+ */
+export const EXTENSION_ONLY_FUNCTIONS = [
+  'fake_siret', 'fake_siren', 'fake_postcode', 'random_time', 'random_in', 'random_in_enum',
+  'random_id', 'random_id_int', 'random_id_bigint', 'random_hash', 'shuffle_column', 'add_noise_on_numeric_column',
+  'add_noise_on_datetime_column', 'dnoise', 'generalize_int4range', 'generalize_tsrange', 'digest', 'hmac',
+  'pseudo_first_name', 'pseudo_last_name', 'pseudo_email', 'pseudo_city', 'pseudo_country', 'pseudo_company',
+  'pseudo_iban', 'pseudo_siret', 'image_blur', 'ternary',
+];
+
+/**
+ * Plain PostgreSQL functions that are commonly used inside mask expressions.
+ */
+export const BUILTIN_FUNCTIONS = [
+  'md5', 'lower', 'upper', 'substr', 'substring', 'left', 'right', 'concat', 'coalesce', 'now',
+  'random', 'floor', 'round', 'abs', 'length', 'trim', 'replace', 'lpad', 'rpad', 'split_part',
+];
+
+/**
+ * Type family returned by the masking functions that do not return text.
+ */
+const FUNCTION_RETURN_FAMILIES = {
+  random_int_between: 'numeric',
+  random_bigint_between: 'numeric',
+  random_id: 'numeric',
+  random_id_int: 'numeric',
+  random_id_bigint: 'numeric',
+  random_date: 'datetime',
+  random_date_between: 'datetime',
+  random_time: 'datetime',
+  now: 'datetime',
+  random: 'numeric',
+  floor: 'numeric',
+  round: 'numeric',
+  abs: 'numeric',
+  length: 'numeric',
+};
+
+// Funciones que devuelven el mismo tipo que su primer argumento
+const PASS_THROUGH_FUNCTIONS = ['noise', 'dnoise', 'coalesce', 'random_in'];
+
+/**
+ * Maps a PostgreSQL or MySQL column type to its type family.
+ * @param {string|null} type - Column type as written in the DDL.
+ * @returns {string} - One of `TYPE_FAMILIES`.
+ */
+export function typeFamily(type) {
+  if (!type) return 'other';
+  const normalized = type.toLowerCase().trim();
+  if (/\[\]$/.test(normalized)) return 'other';
+  if (/^(text|character|char|varchar|bpchar|name|citext|tinytext|mediumtext|longtext|enum|set)\b/.test(normalized)) return 'text';
+  if (/^(smallint|integer|int|int2|int4|int8|bigint|tinyint|mediumint|numeric|decimal|real|float|double|money|serial|bigserial)\b/.test(normalized)) return 'numeric';
+  if (/^(date|datetime|timestamp|timestamptz|time|timetz|interval|year)\b/.test(normalized)) return 'datetime';
+  if (/^(boolean|bool)\b/.test(normalized)) return 'boolean';
+  if (/^(json|jsonb)\b/.test(normalized)) return 'json';
+  if (/^uuid\b/.test(normalized)) return 'uuid';
+  return 'other';
+}
+
+/**
+ * Returns whether a function name is known to an engine.
+ * @param {string} name - Function name, with or without the `anon.` prefix.
+ * @param {string} engine - `docker` or `stream`.
+ * @returns {{known: boolean, supported: boolean}} - Whether it exists at all and whether the engine can run it.
+ */
+export function functionSupport(name, engine) {
+  const qualified = name.toLowerCase().startsWith('anon.');
+  const bareName = name.toLowerCase().replace(/^anon\./, '');
+  const inJs = Object.prototype.hasOwnProperty.call(maskFunctions, bareName);
+  const inExtension = qualified && EXTENSION_ONLY_FUNCTIONS.includes(bareName);
+  const builtin = !qualified && BUILTIN_FUNCTIONS.includes(bareName);
+
+  const known = inJs || inExtension || builtin;
+  return { known, supported: engine === 'stream' ? inJs : known };
+}
+
+/**
+ * Infers the type family produced by a mask expression tree.
+ * @param {object} node - Node returned by `parseMaskExpression`.
+ * @param {object} columnTypes - Column name -> type family of the table.
+ * @returns {string|null} - Type family, or null when any type fits (e.g. `NULL`).
+ */
+export function expressionFamily(node, columnTypes = {}) {
+  switch (node.type) {
+    case 'literal':
+      if (node.value === null) return null;
+      if (typeof node.value === 'number') return 'numeric';
+      if (typeof node.value === 'boolean') return 'boolean';
+      return null;
+    case 'column':
+      return columnTypes[node.name] || null;
+    case 'cast':
+      return typeFamily(node.to);
+    case 'concat':
+      return 'text';
+    case 'call': {
+      const bareName = node.name.toLowerCase().replace(/^anon\./, '');
+      if (FUNCTION_RETURN_FAMILIES[bareName]) return FUNCTION_RETURN_FAMILIES[bareName];
+      if (PASS_THROUGH_FUNCTIONS.includes(bareName) && node.args.length > 0) {
+        return expressionFamily(node.args[0].expr, columnTypes);
+      }
+      return 'text';
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Returns whether a mask of one type family can be stored in a column of another.
+ * @param {string|null} maskFamily - Family produced by the mask.
+ * @param {string} columnFamily - Family of the column.
+ * @returns {boolean} - Whether the mask fits.
+ */
+export function familyFits(maskFamily, columnFamily) {
+  if (maskFamily === null || columnFamily === 'other') return true;
+  if (maskFamily === columnFamily) return true;
+  // Los números caben en columnas de texto; el resto necesita el mismo tipo
+  return maskFamily === 'numeric' && columnFamily === 'text';
+}
@@ -0,0 +1,158 @@
+/**
+ * Row branches of the masking rules. A table can leave some rows unmasked
+ * (`exceptions`) and mask others differently (`when`); a single column can pick
+ * its mask per row with a `{ when: [...], else }` mask. Conditions are SQL
+ * conditions over the original row.
+ */
+
+import { resolveColumnName } from '../utils/rules.js';
+import { formatSqlLiteral } from '../utils/sql-dump.js';
+
+export const DEFAULT_BRANCH = 'default';
+export const ELSE_BRANCH = 'else';
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Returns true for a column mask that depends on the row (`{ when: [{ if, mask }], else }`).
+ * @param {*} mask - Mask as written in a rules file.
+ * @returns {boolean} - Whether the mask has `when` branches.
+ */
+export function isConditionalMask(mask) {
+  return isPlainObject(mask) && Array.isArray(mask.when);
+}
+
+/**
+ * Whether the rules of a table split its rows with `exceptions` or `when`.
+ */
+export function hasRowBranches(tableRules) {
+  return !!tableRules && ((tableRules.exceptions || []).length > 0 || (tableRules.when || []).length > 0);
+}
+
+/**
+ * Branches a row of the table can fall into, in the order they are tested:
+ * each exception (nothing is masked), each `when` branch (its masks over the
+ * table masks) and the default branch with the table masks.
+ * @param {object} tableRules - Rules of one table.
+ * @returns {Array<{label: string, condition: string|null, masks: object}>} - The last one has no condition.
+ */
+export function rowBranches(tableRules) {
+  const masks = tableRules.masks || {};
+  return [
+    ...(tableRules.exceptions || []).map((condition) => ({ label: `exception: ${condition}`, condition, masks: {} })),
+    ...(tableRules.when || []).map((branch) => ({
+      label: branch.name || `when: ${branch.if}`,
+      condition: branch.if,
+      masks: { ...masks, ...branch.masks },
+    })),
+    { label: DEFAULT_BRANCH, condition: null, masks },
+  ];
+}
+
+/**
+ * Branches of a conditional column mask; the last one is `else`, whose mask is
+ * null when the rows that match no branch keep their value.
+ * @param {object} mask - Conditional mask.
+ * @returns {Array<{label: string, condition: string|null, mask: *}>} - Branches in order.
+ */
+export function columnBranches(mask) {
+  return [
+    ...mask.when.map((branch) => ({ label: branch.name || `when: ${branch.if}`, condition: branch.if, mask: branch.mask })),
+    { label: ELSE_BRANCH, condition: null, mask: mask.else === undefined ? null : mask.else },
+  ];
+}
+
+/**
+ * Every column masked in some branch of the table, as written in the rules.
+ */
+export function branchColumns(tableRules) {
+  const columns = new Set(Object.keys(tableRules.masks || {}));
+  for (const branch of tableRules.when || []) {
+    for (const column of Object.keys(branch.masks || {})) columns.add(column);
+  }
+  return [...columns];
+}
+
+/**
+ * Builds a SQL `CASE` that picks one of the branches, in order.
+ * @param {Array<object>} branches - Branches whose last one has no condition.
+ * @param {Function} render - `(branch, index) => sql` for the value of each branch.
+ * @returns {string} - SQL expression.
+ */
+export function branchesToSql(branches, render) {
+  const conditional = branches.filter((branch) => branch.condition !== null);
+  const fallback = render(branches[branches.length - 1], branches.length - 1);
+  if (conditional.length === 0) return fallback;
+  const whens = conditional.map((branch) => `WHEN (${branch.condition}) THEN ${render(branch, branches.indexOf(branch))}`);
+  return `CASE ${whens.join(' ')} ELSE ${fallback} END`;
+}
+
+/**
+ * Mask of a column in a set of masks, whatever the casing or quoting of its rule.
+ * @param {object} masks - Masks of a branch (rule column -> mask).
+ * @param {string[]} columnNames - Real columns of the table.
+ * @param {string} column - Real column name.
+ * @returns {*} - The mask, or undefined when the column is not masked.
+ */
+export function branchMask(masks, columnNames, column) {
+  const ruleColumn = Object.keys(masks).find((name) => resolveColumnName(columnNames, name) === column);
+  return ruleColumn === undefined ? undefined : masks[ruleColumn];
+}
+
+/**
+ * SQL condition of the rows in which a column is really masked: not in an
+ * exception nor in a branch that leaves it out. 'true' when every row is.
+ */
+export function maskedRowsSql(tableRules, columnNames, column) {
+  return branchesToSql(rowBranches(tableRules), (branch) => {
+    const mask = branchMask(branch.masks, columnNames, column);
+    if (mask === undefined) return 'false';
+    if (!isConditionalMask(mask)) return 'true';
+    return branchesToSql(columnBranches(mask), (item) => (item.mask === null ? 'false' : 'true'));
+  });
+}
+
+/**
+ * SQL expression with the label of the branch each row falls into: the row
+ * branches of the table when `column` is null, or the branches of the
+ * conditional mask of a column (NULL for rows where it does not apply).
+ * @returns {string|null} - SQL expression, or null when there are no such branches.
+ */
+export function branchLabelSql(tableRules, columnNames, column = null) {
+  const branches = rowBranches(tableRules);
+  if (column === null) {
+    return hasRowBranches(tableRules) ? branchesToSql(branches, (branch) => formatSqlLiteral(branch.label)) : null;
+  }
+
+  const masks = branches.map((branch) => branchMask(branch.masks, columnNames, column));
+  if (!masks.some(isConditionalMask)) return null;
+  return branchesToSql(branches, (branch, index) =>
+    isConditionalMask(masks[index]) ? branchesToSql(columnBranches(masks[index]), (item) => formatSqlLiteral(item.label)) : 'NULL'
+  );
+}
+
+/**
+ * Counts the rows that fall into each branch, per table (`column` null) and per conditional column.
+ */
+export class BranchCounter {
+  constructor() {
+    this.counts = new Map();
+  }
+
+  add(column, branch, rows = 1) {
+    const key = JSON.stringify([column, branch]);
+    const entry = this.counts.get(key) || { column, branch, rows: 0 };
+    entry.rows += rows;
+    this.counts.set(key, entry);
+  }
+
+  /**
+   * Counts in rules order, the branches of the table first.
+   */
+  list() {
+    const entries = [...this.counts.values()].map((entry) => ({ ...entry }));
+    return [...entries.filter((entry) => entry.column === null), ...entries.filter((entry) => entry.column !== null)];
+  }
+}
@@ -0,0 +1,570 @@
+import { getMaskFunction, maskFunctionParams } from './functions.js';
+
+const NUMERIC_TYPES = /^(smallint|integer|int|int2|int4|int8|bigint|numeric|decimal|real|float4|float8|double precision)\b/;
+const DATE_TYPES = /^(date|timestamp|timestamptz)\b/;
+const TEXT_TYPES = /^(text|varchar|character varying|character|char|bpchar|name)\b/;
+
+/**
+ * Splits a SQL mask expression into tokens.
+ * @param {string} source - Expression such as `anon.partial(phone, 2, '***', 2)`.
+ * @returns {Array<object>} - Token list.
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "'" || ((char === 'E' || char === 'e') && source[i + 1] === "'")) {
+      const escaped = char !== "'";
+      let j = escaped ? i + 2 : i + 1;
+      let value = '';
+      for (;;) {
+        if (j >= source.length) throw new Error(`Unterminated string literal in mask: ${source}`);
+        if (escaped && source[j] === '\\') {
+          value += source[j + 1];
+          j += 2;
+        } else if (source[j] === "'" && source[j + 1] === "'") {
+          value += "'";
+          j += 2;
+        } else if (source[j] === "'") {
+          break;
+        } else {
+          value += source[j++];
+        }
+      }
+      tokens.push({ type: 'string', value });
+      i = j + 1;
+    } else if (char === '"') {
+      const end = source.indexOf('"', i + 1);
+      if (end < 0) throw new Error(`Unterminated quoted identifier in mask: ${source}`);
+      tokens.push({ type: 'ident', value: source.slice(i + 1, end), quoted: true });
+      i = end + 1;
+    } else if (/[0-9]/.test(char) || (char === '-' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = source.slice(i).match(/^-?\d+(\.\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]) });
+      i += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_$]*/);
+      tokens.push({ type: 'ident', value: match[0].toLowerCase(), quoted: false });
+      i += match[0].length;
+    } else {
+      const op = ['::', ':=', '=>', '||', '<>', '!=', '<=', '>='].find((candidate) => source.startsWith(candidate, i));
+      if (op) {
+        tokens.push({ type: 'op', value: op });
+        i += op.length;
+      } else if ('(),.[]=<>'.includes(char)) {
+        tokens.push({ type: 'op', value: char });
+        i++;
+      } else {
+        throw new Error(`Unexpected character "${char}" in mask: ${source}`);
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser for the subset of SQL used in mask expressions:
+ * function calls, column references, literals, casts and `||` concatenation.
+ */
+class ExpressionParser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.position = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.peek(offset);
+    return !!token && token.type === 'op' && token.value === value;
+  }
+
+  expectOp(value) {
+    if (!this.isOp(value)) {
+      throw new Error(`Expected "${value}" in mask: ${this.source}`);
+    }
+    return this.next();
+  }
+
+  parse() {
+    const node = this.parseConcat();
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected token "${this.peek().value}" in mask: ${this.source}`);
+    }
+    return node;
+  }
+
+  parseConcat() {
+    const parts = [this.parseCast()];
+    while (this.isOp('||')) {
+      this.next();
+      parts.push(this.parseCast());
+    }
+    return parts.length === 1 ? parts[0] : { type: 'concat', parts };
+  }
+
+  parseCast() {
+    let node = this.parsePrimary();
+    while (this.isOp('::')) {
+      this.next();
+      node = { type: 'cast', expr: node, to: this.parseTypeName() };
+    }
+    return node;
+  }
+
+  parseTypeName() {
+    const words = [];
+    while (this.peek() && this.peek().type === 'ident') words.push(this.next().value);
+    if (words.length === 0) throw new Error(`Expected a type name in mask: ${this.source}`);
+    if (this.isOp('(')) {
+      while (!this.isOp(')')) this.next();
+      this.next();
+    }
+    if (this.isOp('[')) {
+      this.next();
+      this.expectOp(']');
+      words.push('[]');
+    }
+    return words.join(' ');
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (!token) throw new Error(`Unexpected end of mask: ${this.source}`);
+
+    if (token.type === 'string' || token.type === 'number') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'op' && token.value === '(') {
+      const node = this.parseConcat();
+      this.expectOp(')');
+      return node;
+    }
+
+    if (token.type === 'ident') {
+      if (!token.quoted && token.value === 'null') return { type: 'literal', value: null };
+      if (!token.quoted && (token.value === 'true' || token.value === 'false')) {
+        return { type: 'literal', value: token.value === 'true' };
+      }
+
+      const parts = [token.value];
+      while (this.isOp('.') && this.peek(1) && this.peek(1).type === 'ident') {
+        this.next();
+        parts.push(this.next().value);
+      }
+
+      if (this.isOp('(')) return this.parseCall(parts.join('.'));
+      return { type: 'column', name: parts[parts.length - 1] };
+    }
+
+    throw new Error(`Unexpected token "${token.value}" in mask: ${this.source}`);
+  }
+
+  parseCall(name) {
+    this.expectOp('(');
+    const args = [];
+    while (!this.isOp(')')) {
+      let argName = null;
+      if (this.peek() && this.peek().type === 'ident' && (this.isOp(':=', 1) || this.isOp('=>', 1))) {
+        argName = this.next().value;
+        this.next();
+      }
+      args.push({ name: argName, expr: this.parseConcat() });
+      if (!this.isOp(',')) break;
+      this.next();
+    }
+    this.expectOp(')');
+    return { type: 'call', name, args };
+  }
+}
+
+const COMPARISON_OPERATORS = ['=', '<>', '!=', '<', '<=', '>', '>='];
+
+/**
+ * Parser for row conditions (`when` branches and exceptions): comparisons,
+ * `LIKE`/`ILIKE`, `IN`, `IS [NOT] NULL`, boolean columns, `AND`, `OR` and `NOT`
+ * over the same operands as mask expressions.
+ */
+class ConditionParser extends ExpressionParser {
+  parse() {
+    const node = this.parseOr();
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected token "${this.peek().value}" in condition: ${this.source}`);
+    }
+    return node;
+  }
+
+  isKeyword(value, offset = 0) {
+    const token = this.peek(offset);
+    return !!token && token.type === 'ident' && !token.quoted && token.value === value;
+  }
+
+  parseOr() {
+    const parts = [this.parseAnd()];
+    while (this.isKeyword('or')) {
+      this.next();
+      parts.push(this.parseAnd());
+    }
+    return parts.length === 1 ? parts[0] : { type: 'or', parts };
+  }
+
+  parseAnd() {
+    const parts = [this.parseNot()];
+    while (this.isKeyword('and')) {
+      this.next();
+      parts.push(this.parseNot());
+    }
+    return parts.length === 1 ? parts[0] : { type: 'and', parts };
+  }
+
+  parseNot() {
+    if (this.isKeyword('not')) {
+      this.next();
+      return { type: 'not', expr: this.parseNot() };
+    }
+    return this.parsePredicate();
+  }
+
+  parsePredicate() {
+    // Un paréntesis puede agrupar condiciones o ser parte de un operando: (a || b) = 'x'
+    if (this.isOp('(')) {
+      const start = this.position;
+      try {
+        this.next();
+        const node = this.parseOr();
+        this.expectOp(')');
+        if (!this.continuesOperand()) return node;
+      } catch {
+        // No era una condición agrupada
+      }
+      this.position = start;
+    }
+
+    const expr = this.parseConcat();
+
+    if (this.isKeyword('is')) {
+      this.next();
+      const negated = this.isKeyword('not');
+      if (negated) this.next();
+      if (!this.isKeyword('null')) throw new Error(`Expected NULL after IS in condition: ${this.source}`);
+      this.next();
+      return { type: 'isnull', expr, negated };
+    }
+
+    const negated = this.isKeyword('not') && (this.isKeyword('like', 1) || this.isKeyword('ilike', 1) || this.isKeyword('in', 1));
+    if (negated) this.next();
+
+    if (this.isKeyword('like') || this.isKeyword('ilike')) {
+      const ignoreCase = this.next().value === 'ilike';
+      return { type: 'like', expr, pattern: this.parseConcat(), negated, ignoreCase };
+    }
+    if (this.isKeyword('in')) {
+      this.next();
+      this.expectOp('(');
+      const values = [this.parseConcat()];
+      while (this.isOp(',')) {
+        this.next();
+        values.push(this.parseConcat());
+      }
+      this.expectOp(')');
+      return { type: 'in', expr, values, negated };
+    }
+
+    const token = this.peek();
+    if (token && token.type === 'op' && COMPARISON_OPERATORS.includes(token.value)) {
+      this.next();
+      return { type: 'compare', op: token.value, left: expr, right: this.parseConcat() };
+    }
+
+    // Una columna o un valor booleano sin operador: `vip`
+    return { type: 'truth', expr };
+  }
+
+  continuesOperand() {
+    const token = this.peek();
+    if (!token) return false;
+    if (token.type === 'op') return ['||', '::', ...COMPARISON_OPERATORS].includes(token.value);
+    return ['is', 'like', 'ilike', 'in'].some((keyword) => this.isKeyword(keyword))
+      || (this.isKeyword('not') && ['like', 'ilike', 'in'].some((keyword) => this.isKeyword(keyword, 1)));
+  }
+}
+
+/**
+ * Parses a SQL mask expression into an expression tree.
+ * @param {string} source - Mask expression as written in a rules file.
+ * @returns {object} - Root node of the expression tree.
+ */
+export function parseMaskExpression(source) {
+  return new ExpressionParser(String(source)).parse();
+}
+
+/**
+ * Parses a row condition (`vip = true`, `email LIKE '%@ourcompany.com'`) into a condition tree.
+ * @param {string} source - Condition as written in a rules file.
+ * @returns {object} - Root node of the condition tree.
+ */
+export function parseCondition(source) {
+  return new ConditionParser(String(source)).parse();
+}
+
+/**
+ * Collects the function calls and column references used by an expression.
+ * @param {object} node - Expression tree returned by `parseMaskExpression`.
+ * @returns {{functions: string[], columns: string[]}} - Referenced names.
+ */
+export function collectReferences(node, refs = { functions: [], columns: [] }) {
+  switch (node.type) {
+    case 'call':
+      refs.functions.push(node.name);
+      node.args.forEach((arg) => collectReferences(arg.expr, refs));
+      break;
+    case 'column':
+      refs.columns.push(node.name);
+      break;
+    case 'cast':
+      collectReferences(node.expr, refs);
+      break;
+    case 'concat':
+    case 'and':
+    case 'or':
+      node.parts.forEach((part) => collectReferences(part, refs));
+      break;
+    case 'compare':
+      collectReferences(node.left, refs);
+      collectReferences(node.right, refs);
+      break;
+    case 'like':
+      collectReferences(node.expr, refs);
+      collectReferences(node.pattern, refs);
+      break;
+    case 'in':
+      collectReferences(node.expr, refs);
+      node.values.forEach((value) => collectReferences(value, refs));
+      break;
+    case 'isnull':
+    case 'truth':
+    case 'not':
+      collectReferences(node.expr, refs);
+      break;
+    default:
+      break;
+  }
+  return refs;
+}
+
+function castValue(value, type) {
+  if (value === null || value === undefined) return null;
+  if (NUMERIC_TYPES.test(type)) return Number(value);
+  if (DATE_TYPES.test(type)) return value instanceof Date ? value : new Date(String(value));
+  if (TEXT_TYPES.test(type)) return value instanceof Date ? value.toISOString() : String(value);
+  return value;
+}
+
+function evaluate(node, ctx) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'column': {
+      const key = Object.keys(ctx.row).find((column) => column.toLowerCase() === node.name.toLowerCase());
+      if (key === undefined) throw new Error(`Column "${node.name}" referenced by mask does not exist`);
+      return ctx.row[key];
+    }
+    case 'cast':
+      return castValue(evaluate(node.expr, ctx), node.to);
+    case 'concat': {
+      const values = node.parts.map((part) => evaluate(part, ctx));
+      if (values.some((value) => value === null || value === undefined)) return null;
+      return values.map((value) => (value instanceof Date ? value.toISOString() : String(value))).join('');
+    }
+    case 'call': {
+      const fn = getMaskFunction(node.name);
+      const positional = node.args.filter((arg) => !arg.name).map((arg) => evaluate(arg.expr, ctx));
+      const params = maskFunctionParams[node.name.replace(/^anon\./, '')] || [];
+      for (const arg of node.args.filter((item) => item.name)) {
+        const index = params.indexOf(arg.name);
+        if (index < 0) throw new Error(`Unknown argument "${arg.name}" for ${node.name}()`);
+        positional[index] = evaluate(arg.expr, ctx);
+      }
+      return fn(ctx, ...positional);
+    }
+    default:
+      throw new Error(`Unsupported expression node: ${node.type}`);
+  }
+}
+
+/**
+ * Compiles a SQL mask expression into a JavaScript function.
+ * @param {string} source - Mask expression as written in a rules file.
+ * @returns {Function} - `(ctx) => value`, where `ctx` holds `row`, `column` and `type`.
+ */
+export function compileMask(source) {
+  const tree = parseMaskExpression(source);
+  const { functions } = collectReferences(tree);
+
+  for (const name of functions) {
+    if (!getMaskFunction(name)) {
+      throw new Error(`Unknown masking function "${name}" in mask: ${source}`);
+    }
+  }
+
+  return (ctx) => evaluate(tree, ctx);
+}
+
+const TRUE_TEXTS = ['t', 'true', '1', 'y', 'yes', 'on'];
+const FALSE_TEXTS = ['f', 'false', '0', 'n', 'no', 'off'];
+
+// Valor booleano de un texto del dump (t/f en PostgreSQL, 1/0 en MySQL); null si no lo es
+function toBoolean(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (TRUE_TEXTS.includes(text)) return true;
+  if (FALSE_TEXTS.includes(text)) return false;
+  return null;
+}
+
+/**
+ * Compares two values as SQL would once the text of the row is cast to the
+ * type of the other operand. Returns a negative, zero or positive number, or
+ * null when either side is NULL.
+ */
+function compareValues(left, right) {
+  if (left === null || left === undefined || right === null || right === undefined) return null;
+  if (typeof left === 'boolean' || typeof right === 'boolean') {
+    const a = toBoolean(left);
+    const b = toBoolean(right);
+    return a === null || b === null ? null : Number(a) - Number(b);
+  }
+  if (typeof left === 'number' || typeof right === 'number') {
+    const a = Number(left);
+    const b = Number(right);
+    if (!Number.isNaN(a) && !Number.isNaN(b)) return a - b;
+  }
+  const a = left instanceof Date ? left.toISOString() : String(left);
+  const b = right instanceof Date ? right.toISOString() : String(right);
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// % y _ son comodines; una barra invertida los toma literalmente
+function likeToRegExp(pattern, ignoreCase) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) source += escapeRegExp(pattern[++i]);
+    else if (char === '%') source += '.*';
+    else if (char === '_') source += '.';
+    else source += escapeRegExp(char);
+  }
+  return new RegExp(`^${source}$`, ignoreCase ? 'is' : 's');
+}
+
+// Lógica de tres valores de SQL: null es "desconocido"
+function test(node, ctx) {
+  switch (node.type) {
+    case 'and': {
+      let result = true;
+      for (const part of node.parts) {
+        const value = test(part, ctx);
+        if (value === false) return false;
+        if (value === null) result = null;
+      }
+      return result;
+    }
+    case 'or': {
+      let result = false;
+      for (const part of node.parts) {
+        const value = test(part, ctx);
+        if (value === true) return true;
+        if (value === null) result = null;
+      }
+      return result;
+    }
+    case 'not': {
+      const value = test(node.expr, ctx);
+      return value === null ? null : !value;
+    }
+    case 'isnull': {
+      const value = evaluate(node.expr, ctx);
+      return (value === null || value === undefined) !== node.negated;
+    }
+    case 'truth':
+      return toBoolean(evaluate(node.expr, ctx));
+    case 'compare': {
+      const order = compareValues(evaluate(node.left, ctx), evaluate(node.right, ctx));
+      if (order === null) return null;
+      switch (node.op) {
+        case '=':
+          return order === 0;
+        case '<>':
+        case '!=':
+          return order !== 0;
+        case '<':
+          return order < 0;
+        case '<=':
+          return order <= 0;
+        case '>':
+          return order > 0;
+        default:
+          return order >= 0;
+      }
+    }
+    case 'like': {
+      const value = evaluate(node.expr, ctx);
+      const pattern = evaluate(node.pattern, ctx);
+      if (value === null || value === undefined || pattern === null || pattern === undefined) return null;
+      return likeToRegExp(String(pattern), node.ignoreCase).test(String(value)) !== node.negated;
+    }
+    case 'in': {
+      const value = evaluate(node.expr, ctx);
+      let result = false;
+      for (const item of node.values) {
+        const order = compareValues(value, evaluate(item, ctx));
+        if (order === 0) {
+          result = true;
+          break;
+        }
+        if (order === null) result = null;
+      }
+      return result === null ? null : result !== node.negated;
+    }
+    default:
+      throw new Error(`Unsupported condition node: ${node.type}`);
+  }
+}
+
+/**
+ * Compiles a row condition into a JavaScript predicate. As in a SQL `WHERE`,
+ * a row only matches when the condition is true, not when it is NULL.
+ * @param {string} source - Condition as written in a rules file.
+ * @returns {Function} - `(row) => boolean`, with the row keyed by column name.
+ */
+export function compileCondition(source) {
+  const tree = parseCondition(source);
+  const { functions } = collectReferences(tree);
+
+  for (const name of functions) {
+    if (!getMaskFunction(name)) {
+      throw new Error(`Unknown masking function "${name}" in condition: ${source}`);
+    }
+  }
+
+  return (row) => test(tree, { row }) === true;
+}
@@ -0,0 +1,48 @@
+/**
+ * Small built-in dictionaries used by the JavaScript implementations of the
+ * `anon.fake_*` / `anon.dummy_*` masking functions.
+ */
+
+export const firstNames = [
+  'Alice', 'Bruno', 'Carla', 'Daniel', 'Elena', 'Felipe', 'Gabriela', 'Hugo',
+  'Irene', 'Javier', 'Karen', 'Lucas', 'Marta', 'Nicolas', 'Olga', 'Pablo',
+  'Raquel', 'Sergio', 'Teresa', 'Victor', 'Wendy', 'Xavier', 'Yolanda', 'Zoe',
+  'Andrea', 'Bernardo', 'Cecilia', 'Diego', 'Emma', 'Fernando', 'Gloria', 'Ivan',
+];
+
+export const lastNames = [
+  'Alvarez', 'Brown', 'Castro', 'Diaz', 'Evans', 'Fernandez', 'Garcia', 'Hughes',
+  'Iglesias', 'Jimenez', 'Klein', 'Lopez', 'Martin', 'Navarro', 'Ortega', 'Perez',
+  'Quintana', 'Romero', 'Sanchez', 'Torres', 'Ulloa', 'Vargas', 'Walker', 'Young',
+  'Zapata', 'Silva', 'Moreno', 'Ruiz', 'Campos', 'Suarez', 'Molina', 'Herrera',
+];
+
+export const cities = [
+  'Madrid', 'Lisbon', 'London', 'Bogota', 'Lima', 'Porto', 'Seville', 'Valencia',
+  'Manchester', 'Quito', 'Cordoba', 'Bilbao', 'Leeds', 'Braga', 'Cali', 'Malaga',
+];
+
+export const countries = [
+  'Spain', 'Portugal', 'United Kingdom', 'Colombia', 'Peru', 'Ecuador', 'Chile',
+  'Argentina', 'Mexico', 'Ireland', 'France', 'Italy', 'Germany', 'Brazil',
+];
+
+export const companies = [
+  'Acme Corp', 'Globex', 'Initech', 'Umbrella SA', 'Hooli', 'Vandelay Industries',
+  'Stark Solutions', 'Wayne Logistics', 'Soylent Foods', 'Cyberdyne Systems',
+];
+
+export const streets = [
+  'Main Street', 'Calle Mayor', 'Rua Augusta', 'High Street', 'Gran Via',
+  'Avenida Central', 'Park Lane', 'Calle del Sol', 'Rua das Flores', 'Oak Avenue',
+];
+
+export const emailDomains = [
+  'example.com', 'example.org', 'example.net', 'mail.test', 'anon.test',
+];
+
+export const loremWords = [
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit',
+  'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore',
+  'magna', 'aliqua', 'enim', 'ad', 'minim', 'veniam', 'quis', 'nostrud',
+];
@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import {
+  firstNames,
+  lastNames,
+  cities,
+  countries,
+  companies,
+  streets,
+  emailDomains,
+  loremWords,
+} from './fake-data.js';
+
+const ALPHANUMERIC = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+function randomInt(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+function pick(list) {
+  return list[randomInt(0, list.length - 1)];
+}
+
+function randomString(length) {
+  let result = '';
+  for (let i = 0; i < length; i++) result += ALPHANUMERIC[randomInt(0, ALPHANUMERIC.length - 1)];
+  return result;
+}
+
+function randomDigits(length) {
+  let result = '';
+  for (let i = 0; i < length; i++) result += randomInt(0, 9);
+  return result;
+}
+
+function toDate(value) {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(String(value));
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid date value: ${value}`);
+  return date;
+}
+
+function randomDateBetween(start, end) {
+  const from = toDate(start).getTime();
+  const to = toDate(end).getTime();
+  return new Date(from + Math.random() * (to - from));
+}
+
+function fakeEmail() {
+  return `${pick(firstNames)}.${pick(lastNames)}${randomInt(1, 999)}@${pick(emailDomains)}`.toLowerCase();
+}
+
+function lorem(count) {
+  const words = [];
+  for (let i = 0; i < count; i++) words.push(pick(loremWords));
+  return words.join(' ');
+}
+
+function partial(value, prefix, padding, suffix) {
+  if (value === null) return null;
+  const text = String(value);
+  const head = text.slice(0, Number(prefix));
+  const tail = Number(suffix) > 0 ? text.slice(-Number(suffix)) : '';
+  return `${head}${padding}${tail}`;
+}
+
+function partialEmail(value) {
+  if (value === null) return null;
+  const text = String(value);
+  const at = text.indexOf('@');
+  const domain = at >= 0 ? text.slice(at + 1) : '';
+  const tld = text.split('.').pop();
+  return `${text.slice(0, 2)}******@${domain.slice(0, 2)}******.${tld}`;
+}
+
+function noise(value, ratio) {
+  if (value === null) return null;
+  const number = Number(value);
+  if (Number.isNaN(number)) throw new Error(`anon.noise() expects a numeric value, got: ${value}`);
+  const result = number * (1 + (Math.random() * 2 - 1) * Number(ratio));
+  return Number.isInteger(number) ? Math.round(result) : result;
+}
+
+/**
+ * JavaScript implementations of the PostgreSQL Anonymizer masking functions,
+ * keyed by function name (without the `anon.` prefix). Every function receives
+ * the row context first and then the already evaluated SQL arguments.
+ */
+export const maskFunctions = {
+  fake_first_name: () => pick(firstNames),
+  fake_last_name: () => pick(lastNames),
+  fake_email: () => fakeEmail(),
+  fake_city: () => pick(cities),
+  fake_country: () => pick(countries),
+  fake_company: () => pick(companies),
+  fake_address: () => `${randomInt(1, 250)} ${pick(streets)}, ${pick(cities)}`,
+  fake_iban: () => `ES${randomDigits(22)}`,
+
+  dummy_first_name: () => pick(firstNames),
+  dummy_last_name: () => pick(lastNames),
+  dummy_name: () => `${pick(firstNames)} ${pick(lastNames)}`,
+  dummy_free_email: () => fakeEmail(),
+  dummy_safe_email: () => fakeEmail(),
+  dummy_city_name: () => pick(cities),
+  dummy_country_name: () => pick(countries),
+  dummy_company_name: () => pick(companies),
+  dummy_street_name: () => pick(streets),
+  dummy_phone_number: () => `+34 6${randomDigits(8)}`,
+
+  random_string: (ctx, length) => randomString(Number(length)),
+  random_zip: () => randomDigits(5),
+  random_phone: (ctx, prefix = '0') => `${prefix}${randomDigits(9)}`,
+  random_int_between: (ctx, min, max) => randomInt(Number(min), Number(max)),
+  random_bigint_between: (ctx, min, max) => randomInt(Number(min), Number(max)),
+  random_date: () => randomDateBetween('1900-01-01', new Date()),
+  random_date_between: (ctx, start, end) => randomDateBetween(start, end),
+
+  lorem_ipsum: (ctx, paragraphs = 5, words = 0, characters = 0) => {
+    if (Number(characters) > 0) return lorem(Number(characters)).slice(0, Number(characters));
+    if (Number(words) > 0) return lorem(Number(words));
+    return Array.from({ length: Number(paragraphs) }, () => lorem(30)).join('\n');
+  },
+
+  partial: (ctx, value, prefix, padding, suffix) => partial(value, prefix, padding, suffix),
+  partial_email: (ctx, value) => partialEmail(value),
+  hash: (ctx, value) =>
+    value === null ? null : crypto.createHash('sha512').update(String(value)).digest('hex'),
+  noise: (ctx, value, ratio) => noise(value, ratio),
+};
+
+/**
+ * Parameter names of the functions that accept named arguments
+ * (e.g. `anon.lorem_ipsum(words := 20)`).
+ */
+export const maskFunctionParams = {
+  lorem_ipsum: ['paragraphs', 'words', 'characters'],
+  random_phone: ['phone_prefix'],
+  partial: ['ov', 'prefix', 'padding', 'suffix'],
+};
+
+/**
+ * Returns the JavaScript implementation of a masking function.
+ * @param {string} name - Function name, with or without the `anon.` prefix.
+ * @returns {Function|null} - The implementation, or null when it is unknown.
+ */
+export function getMaskFunction(name) {
+  const bareName = name.toLowerCase().replace(/^anon\./, '');
+  return Object.prototype.hasOwnProperty.call(maskFunctions, bareName) ? maskFunctions[bareName] : null;
+}
@@ -0,0 +1,219 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { LOCALES, DEFAULT_LOCALE } from './locales.js';
+
+const DNI_LETTERS = 'TRWAGMYFPDXBNJZSQVHLCKE';
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+function randomInt(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+function pick(list) {
+  return list[randomInt(0, list.length - 1)];
+}
+
+function randomDigits(length) {
+  let result = '';
+  for (let i = 0; i < length; i++) result += randomInt(0, 9);
+  return result;
+}
+
+/**
+ * Fills a format: `#` becomes a random digit and `?` a random capital letter.
+ */
+function fillFormat(format) {
+  return String(format).replace(/[#?]/g, (char) => (char === '#' ? randomInt(0, 9) : pick(LETTERS)));
+}
+
+function withoutAccents(text) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function dni() {
+  const number = randomInt(0, 99999999);
+  return `${String(number).padStart(8, '0')}${DNI_LETTERS[number % 23]}`;
+}
+
+function nie() {
+  // La X, Y o Z cuentan como 0, 1 o 2 al calcular la letra
+  const prefix = randomInt(0, 2);
+  const digits = randomDigits(7);
+  return `${'XYZ'[prefix]}${digits}${DNI_LETTERS[Number(`${prefix}${digits}`) % 23]}`;
+}
+
+function nif() {
+  const digits = `${pick(['1', '2', '3', '5'])}${randomDigits(7)}`;
+  const sum = [...digits].reduce((total, digit, index) => total + Number(digit) * (9 - index), 0);
+  const check = sum % 11 < 2 ? 0 : 11 - (sum % 11);
+  return `${digits}${check}`;
+}
+
+function nino() {
+  // Letras de prefijo válidas: sin D, F, I, O, Q, U ni V
+  const prefix = 'ABCEGHJKLMNPRSTWXYZ';
+  return `${pick(prefix)}${pick(prefix)}${randomDigits(6)}${pick('ABCD')}`;
+}
+
+// Pesos del dígito de control de la cuenta española (CCC)
+const CCC_WEIGHTS = [1, 2, 4, 8, 5, 10, 9, 7, 3, 6];
+
+function cccDigit(digits) {
+  const sum = [...digits.padStart(10, '0')].reduce((total, digit, index) => total + Number(digit) * CCC_WEIGHTS[index], 0);
+  const check = 11 - (sum % 11);
+  return check === 11 ? 0 : check === 10 ? 1 : check;
+}
+
+// Entidad y oficina, los dos dígitos de control y el número de cuenta
+function spanishBban(bban) {
+  const bankBranch = bban.slice(0, 8);
+  const account = bban.slice(10);
+  return `${bankBranch}${cccDigit(bankBranch)}${cccDigit(account)}${account}`;
+}
+
+// Banco, sucursal y cuenta, y los dos dígitos de control del NIB (mod 97)
+function portugueseBban(bban) {
+  const base = bban.slice(0, 19);
+  const check = 98 - Number(BigInt(`${base}00`) % 97n);
+  return `${base}${String(check).padStart(2, '0')}`;
+}
+
+// Dígitos de control nacionales dentro de la cuenta, que los validadores de cada país comprueban
+const NATIONAL_BBAN_CHECKS = { ES: spanishBban, PT: portugueseBban };
+
+/**
+ * IBAN with valid check digits (ISO 13616, mod 97) for the country of the locale,
+ * and the national check digits of the account (Spanish CCC, Portuguese NIB).
+ */
+function iban(locale) {
+  const { country, bban } = LOCALES[locale].iban;
+  const nationalChecks = NATIONAL_BBAN_CHECKS[country] || ((account) => account);
+  const account = nationalChecks(fillFormat(bban));
+  const numeric = `${account}${country}00`.replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+  const check = 98 - Number(BigInt(numeric) % 97n);
+  return `${country}${String(check).padStart(2, '0')}${account}`;
+}
+
+const NATIONAL_IDS = { es: dni, pt: nif, en: nino };
+
+/**
+ * Built-in generators, keyed by name. Each one receives the original value,
+ * the row and the options of the mask, with `locale` already resolved.
+ */
+const BUILTIN_GENERATORS = {
+  first_name: (value, row, { locale }) => pick(LOCALES[locale].firstNames),
+  last_name: (value, row, { locale }) => pick(LOCALES[locale].lastNames),
+  name: (value, row, { locale }) => `${pick(LOCALES[locale].firstNames)} ${pick(LOCALES[locale].lastNames)}`,
+  email: (value, row, { locale }) => {
+    const { firstNames, lastNames, emailDomains } = LOCALES[locale];
+    const local = withoutAccents(`${pick(firstNames)}.${pick(lastNames)}${randomInt(1, 999)}`).toLowerCase();
+    return `${local}@${pick(emailDomains)}`;
+  },
+  phone: (value, row, { locale }) => fillFormat(LOCALES[locale].phoneFormat),
+  city: (value, row, { locale }) => pick(LOCALES[locale].cities),
+  address: (value, row, { locale }) => `${pick(LOCALES[locale].streets)} ${randomInt(1, 250)}, ${pick(LOCALES[locale].cities)}`,
+  postcode: (value, row, { locale }) => fillFormat(LOCALES[locale].postcodeFormat),
+  company: (value, row, { locale }) => pick(LOCALES[locale].companies),
+  iban: (value, row, { locale }) => iban(locale),
+  dni: () => dni(),
+  nie: () => nie(),
+  nif: () => nif(),
+  nino: () => nino(),
+  national_id: (value, row, { locale }) => NATIONAL_IDS[locale](),
+  pattern: (value, row, { format }) => {
+    if (typeof format !== 'string') throw new Error('The pattern generator needs a "format" (e.g. "CUS-####")');
+    return fillFormat(format);
+  },
+};
+
+// Generadores registrados por el usuario con `registerGenerator` o en la sección `generators` de las reglas
+const customGenerators = new Map();
+
+export const GENERATOR_LOCALES = Object.keys(LOCALES);
+
+/**
+ * Registers a generator that rules can use with `{ generator: '<name>' }`.
+ * Registering the same name again replaces the previous generator.
+ * @param {string} name - Generator name.
+ * @param {Function} generator - `(value, row, options) => fakeValue`.
+ */
+export function registerGenerator(name, generator) {
+  if (typeof name !== 'string' || name.trim() === '') throw new Error('A generator needs a name');
+  if (typeof generator !== 'function') throw new Error(`Generator "${name}" must be a function`);
+  if (Object.prototype.hasOwnProperty.call(BUILTIN_GENERATORS, name)) {
+    throw new Error(`"${name}" is a built-in generator and cannot be replaced`);
+  }
+  customGenerators.set(name, generator);
+}
+
+/**
+ * Returns a built-in or registered generator, or null when it is unknown.
+ */
+export function getGenerator(name) {
+  if (Object.prototype.hasOwnProperty.call(BUILTIN_GENERATORS, name)) return BUILTIN_GENERATORS[name];
+  return customGenerators.get(name) || null;
+}
+
+/**
+ * Names of every generator available, built-in first.
+ */
+export function generatorNames() {
+  return [...Object.keys(BUILTIN_GENERATORS), ...customGenerators.keys()];
+}
+
+/**
+ * Imports generator modules and registers every function they export, under
+ * its export name (a default export may also be an object of functions).
+ * @param {string[]} modulePaths - Module paths.
+ * @param {string} baseDirectory - Directory relative paths are resolved from.
+ * @returns {Promise<string[]>} - Names of the registered generators.
+ */
+export async function loadGeneratorModules(modulePaths, baseDirectory = process.cwd()) {
+  const registered = [];
+  for (const modulePath of modulePaths) {
+    const generatorModule = await import(pathToFileURL(path.resolve(baseDirectory, modulePath)).href);
+    const { default: defaults, ...named } = generatorModule;
+    const exported = { ...(defaults && typeof defaults === 'object' ? defaults : {}), ...named };
+
+    const functions = Object.entries(exported).filter(([, value]) => typeof value === 'function');
+    if (functions.length === 0) throw new Error(`Generator module ${modulePath} does not export any function`);
+    for (const [name, generator] of functions) {
+      registerGenerator(name, generator);
+      registered.push(name);
+    }
+  }
+  return registered;
+}
+
+/**
+ * Returns true when a rules mask asks for a generator (`{ generator: 'dni' }`).
+ */
+export function isGeneratorMask(mask) {
+  return !!mask && typeof mask === 'object' && typeof mask.generator === 'string';
+}
+
+/**
+ * Checks that the generator of a mask exists and supports its locale.
+ */
+export function assertGeneratorMask(mask) {
+  if (!getGenerator(mask.generator)) {
+    throw new Error(`Unknown generator "${mask.generator}". Available: ${generatorNames().join(', ')}`);
+  }
+  if (mask.locale !== undefined && !GENERATOR_LOCALES.includes(mask.locale)) {
+    throw new Error(`Unknown locale "${mask.locale}" for generator "${mask.generator}". Available: ${GENERATOR_LOCALES.join(', ')}`);
+  }
+}
+
+/**
+ * Runs the generator of a mask on one value. NULL values stay NULL.
+ * @param {object} mask - Generator mask (`{ generator, locale, ...options }`).
+ * @param {*} value - Original value.
+ * @param {object} row - Original row, keyed by column name.
+ * @param {object} context - `{ column, type }` of the masked column.
+ * @returns {*} - Generated value.
+ */
+export function generate(mask, value, row, context = {}) {
+  if (value === null || value === undefined) return null;
+  const { generator, ...options } = mask;
+  return getGenerator(generator)(value, row, { ...context, ...options, locale: mask.locale || DEFAULT_LOCALE });
+}
@@ -0,0 +1,186 @@
+/**
+ * JSON documents and paths for masks that change single fields of a JSON or
+ * JSONB column. Documents are parsed so that what is not masked is written back
+ * unchanged: objects keep their key order and numbers their exact digits.
+ */
+
+/**
+ * A JSON number kept as written, so big integers and decimals do not lose precision.
+ */
+export class JsonNumber {
+  constructor(raw) {
+    this.raw = raw;
+  }
+}
+
+const NUMBER_PATTERN = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+const LITERALS = { true: true, false: false, null: null };
+
+/**
+ * Parses a JSON text; objects become `Map`s and numbers `JsonNumber`s.
+ * @param {string} text - JSON text.
+ * @returns {*} - Parsed document.
+ */
+export function parseJson(text) {
+  let index = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid JSON at position ${index}: ${message}`);
+  };
+  const skipSpace = () => {
+    while (/\s/.test(text[index] || '')) index++;
+  };
+
+  function parseString() {
+    const start = index;
+    index++;
+    while (index < text.length && text[index] !== '"') index += text[index] === '\\' ? 2 : 1;
+    if (index >= text.length) fail('unterminated string');
+    index++;
+    return JSON.parse(text.slice(start, index));
+  }
+
+  function parseValue() {
+    skipSpace();
+    const char = text[index];
+
+    if (char === '{') {
+      index++;
+      const object = new Map();
+      skipSpace();
+      if (text[index] === '}') {
+        index++;
+        return object;
+      }
+      for (;;) {
+        skipSpace();
+        if (text[index] !== '"') fail('expected a key');
+        const key = parseString();
+        skipSpace();
+        if (text[index] !== ':') fail('expected ":"');
+        index++;
+        object.set(key, parseValue());
+        skipSpace();
+        if (text[index] === ',') index++;
+        else if (text[index] === '}') {
+          index++;
+          return object;
+        } else fail('expected "," or "}"');
+      }
+    }
+
+    if (char === '[') {
+      index++;
+      const array = [];
+      skipSpace();
+      if (text[index] === ']') {
+        index++;
+        return array;
+      }
+      for (;;) {
+        array.push(parseValue());
+        skipSpace();
+        if (text[index] === ',') index++;
+        else if (text[index] === ']') {
+          index++;
+          return array;
+        } else fail('expected "," or "]"');
+      }
+    }
+
+    if (char === '"') return parseString();
+
+    for (const [word, value] of Object.entries(LITERALS)) {
+      if (text.startsWith(word, index)) {
+        index += word.length;
+        return value;
+      }
+    }
+
+    NUMBER_PATTERN.lastIndex = index;
+    const number = NUMBER_PATTERN.exec(text);
+    if (!number) fail(`unexpected ${char === undefined ? 'end of text' : `"${char}"`}`);
+    index += number[0].length;
+    return new JsonNumber(number[0]);
+  }
+
+  const value = parseValue();
+  skipSpace();
+  if (index < text.length) fail('unexpected text after the document');
+  return value;
+}
+
+/**
+ * Writes a document parsed by `parseJson` back as compact JSON text.
+ * @param {*} value - Document.
+ * @returns {string} - JSON text.
+ */
+export function stringifyJson(value) {
+  if (value instanceof JsonNumber) return value.raw;
+  if (value instanceof Map) {
+    return `{${[...value].map(([key, item]) => `${JSON.stringify(key)}:${stringifyJson(item)}`).join(',')}}`;
+  }
+  if (Array.isArray(value)) return `[${value.map(stringifyJson).join(',')}]`;
+  return JSON.stringify(value);
+}
+
+/**
+ * Parses a path inside a JSON document: keys separated by dots, `[n]` for an
+ * array item, `[*]` for every item and `["key"]` for keys with dots or spaces.
+ * A leading `$` is optional (`$.contact.phone`, `addresses[*].street`).
+ * @param {string} path - Path as written in the rules.
+ * @returns {Array<{type: string, key?: string, index?: number}>} - Segments: `key`, `index` or `all`.
+ */
+export function parseJsonPath(path) {
+  const segments = [];
+  let rest = String(path).trim().replace(/^\$(?=[.[]|$)/, '');
+  if (rest.startsWith('.')) rest = rest.slice(1);
+
+  while (rest.length > 0) {
+    let match;
+    if ((match = rest.match(/^\[\*\]/))) {
+      segments.push({ type: 'all' });
+    } else if ((match = rest.match(/^\[(\d+)\]/))) {
+      segments.push({ type: 'index', index: Number(match[1]) });
+    } else if ((match = rest.match(/^\[("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')\]/))) {
+      const quoted = match[1];
+      segments.push({ type: 'key', key: quoted.startsWith('"') ? JSON.parse(quoted) : quoted.slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if ((match = rest.match(/^[^.[\]\s]+/))) {
+      segments.push({ type: 'key', key: match[0] });
+    } else {
+      throw new Error(`Invalid JSON path "${path}" near "${rest}"`);
+    }
+
+    rest = rest.slice(match[0].length);
+    if (rest.startsWith('.')) {
+      rest = rest.slice(1);
+      if (rest === '' || rest.startsWith('.')) throw new Error(`Invalid JSON path "${path}": empty key`);
+    } else if (rest !== '' && !rest.startsWith('[')) {
+      throw new Error(`Invalid JSON path "${path}" near "${rest}"`);
+    }
+  }
+
+  if (segments.length === 0) throw new Error('JSON path must not be empty');
+  return segments;
+}
+
+/**
+ * Replaces, in place, every value a path points to with `update(value)`.
+ * Keys and items that do not exist are left alone; nothing is created.
+ * @param {*} document - Document parsed by `parseJson`.
+ * @param {Array<object>} segments - Path parsed by `parseJsonPath`.
+ * @param {Function} update - `(value) => newValue`.
+ * @returns {*} - The document (a new value when the path is the root).
+ */
+export function updateJsonPath(document, segments, update) {
+  const [segment, ...rest] = segments;
+  const next = (value) => (rest.length === 0 ? update(value) : updateJsonPath(value, rest, update));
+
+  if (segment.type === 'key') {
+    if (document instanceof Map && document.has(segment.key)) document.set(segment.key, next(document.get(segment.key)));
+  } else if (Array.isArray(document)) {
+    const indexes = segment.type === 'all' ? document.keys() : segment.index < document.length ? [segment.index] : [];
+    for (const index of indexes) document[index] = next(document[index]);
+  }
+  return document;
+}
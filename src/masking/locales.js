@@ -0,0 +1,60 @@
+/**
+ * Locale dictionaries and formats used by the built-in generators. In the
+ * formats, `#` stands for a random digit and `?` for a random capital letter.
+ */
+export const LOCALES = {
+  en: {
+    firstNames: [
+      'Oliver', 'Amelia', 'George', 'Isla', 'Harry', 'Ava', 'Jack', 'Emily', 'Charlie', 'Sophie',
+      'Thomas', 'Grace', 'James', 'Lily', 'William', 'Chloe', 'Henry', 'Ella', 'Daniel', 'Lucy',
+    ],
+    lastNames: [
+      'Smith', 'Jones', 'Taylor', 'Brown', 'Williams', 'Wilson', 'Johnson', 'Davies', 'Robinson', 'Wright',
+      'Thompson', 'Evans', 'Walker', 'White', 'Roberts', 'Green', 'Hall', 'Wood', 'Jackson', 'Clarke',
+    ],
+    cities: ['London', 'Manchester', 'Leeds', 'Bristol', 'Liverpool', 'Sheffield', 'Glasgow', 'Cardiff', 'York', 'Oxford'],
+    streets: ['High Street', 'Station Road', 'Park Lane', 'Church Street', 'Victoria Road', 'Mill Lane', 'Oak Avenue'],
+    companies: ['Northwind Ltd', 'Blue Harbour plc', 'Kingsway Trading', 'Redbrick Solutions', 'Thames Logistics'],
+    emailDomains: ['example.com', 'example.org', 'mail.test'],
+    phoneFormat: '+44 7### ######',
+    postcodeFormat: '??# #??',
+    // Banco y cuenta británicos: 4 letras, código de sucursal y número de cuenta
+    iban: { country: 'GB', bban: '????##############' },
+  },
+  es: {
+    firstNames: [
+      'Lucía', 'Hugo', 'Martina', 'Mateo', 'Sofía', 'Martín', 'María', 'Pablo', 'Julia', 'Alejandro',
+      'Paula', 'Daniel', 'Valeria', 'Álvaro', 'Carmen', 'Javier', 'Elena', 'Sergio', 'Irene', 'Diego',
+    ],
+    lastNames: [
+      'García', 'Fernández', 'González', 'Rodríguez', 'López', 'Martínez', 'Sánchez', 'Pérez', 'Gómez', 'Martín',
+      'Jiménez', 'Ruiz', 'Hernández', 'Díaz', 'Moreno', 'Muñoz', 'Álvarez', 'Romero', 'Navarro', 'Torres',
+    ],
+    cities: ['Madrid', 'Barcelona', 'Valencia', 'Sevilla', 'Zaragoza', 'Málaga', 'Bilbao', 'Valladolid', 'Vigo', 'Granada'],
+    streets: ['Calle Mayor', 'Gran Vía', 'Calle del Sol', 'Avenida de la Constitución', 'Plaza de España', 'Calle Real'],
+    companies: ['Soluciones Ibéricas SL', 'Transportes del Norte SA', 'Comercial Levante SL', 'Grupo Meseta SA'],
+    emailDomains: ['ejemplo.es', 'correo.test', 'example.com'],
+    phoneFormat: '+34 6## ### ###',
+    postcodeFormat: '#####',
+    iban: { country: 'ES', bban: '####################' },
+  },
+  pt: {
+    firstNames: [
+      'Maria', 'João', 'Ana', 'Francisco', 'Beatriz', 'Santiago', 'Leonor', 'Afonso', 'Matilde', 'Tomás',
+      'Carolina', 'Duarte', 'Inês', 'Rodrigo', 'Mariana', 'Gonçalo', 'Sofia', 'Miguel', 'Lara', 'Pedro',
+    ],
+    lastNames: [
+      'Silva', 'Santos', 'Ferreira', 'Pereira', 'Oliveira', 'Costa', 'Rodrigues', 'Martins', 'Jesus', 'Sousa',
+      'Fernandes', 'Gonçalves', 'Gomes', 'Lopes', 'Marques', 'Alves', 'Almeida', 'Ribeiro', 'Pinto', 'Carvalho',
+    ],
+    cities: ['Lisboa', 'Porto', 'Braga', 'Coimbra', 'Faro', 'Aveiro', 'Évora', 'Setúbal', 'Viseu', 'Funchal'],
+    streets: ['Rua Augusta', 'Avenida da Liberdade', 'Rua das Flores', 'Rua de Santa Catarina', 'Praça do Comércio'],
+    companies: ['Atlântico Serviços Lda', 'Douro Logística SA', 'Tejo Comercial Lda', 'Minho Indústrias SA'],
+    emailDomains: ['exemplo.pt', 'correio.test', 'example.com'],
+    phoneFormat: '+351 9## ### ###',
+    postcodeFormat: '####-###',
+    iban: { country: 'PT', bban: '#####################' },
+  },
+};
+
+export const DEFAULT_LOCALE = 'en';
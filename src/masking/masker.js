@@ -0,0 +1,272 @@
+import { compileMask, compileCondition } from './expression.js';
+import { resolveColumnName } from '../utils/rules.js';
+import { isPseudonymMask, assertPseudonymMask, pseudonymize, pseudonymToSql } from './pseudonym.js';
+import { isGeneratorMask, assertGeneratorMask, generate } from './generators.js';
+import { JsonNumber, parseJson, stringifyJson, parseJsonPath, updateJsonPath } from './json-path.js';
+import { isConditionalMask, hasRowBranches, rowBranches, columnBranches, branchesToSql } from './conditions.js';
+
+// Resultado de una máscara condicional cuando ninguna rama se aplica a la fila: el valor no cambia
+export const UNMASKED = Symbol('unmasked');
+
+function pad(number, length = 2) {
+  return String(number).padStart(length, '0');
+}
+
+/**
+ * Converts a masked JavaScript value into the text PostgreSQL expects for a column type.
+ * @param {*} value - Value returned by a mask.
+ * @param {string|null} type - Column type from the dump DDL.
+ * @returns {string|null} - Text representation, or null.
+ */
+export function formatMaskedValue(value, type) {
+  if (value === null || value === undefined) return null;
+  if (!(value instanceof Date)) return String(value);
+
+  const date = `${value.getUTCFullYear()}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+  if (type && /^date\b/.test(type)) return date;
+
+  const time = `${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())}`;
+  if (type && /^(timestamp without time zone|timestamp)$/.test(type)) return `${date} ${time}`;
+  return `${date} ${time}+00`;
+}
+
+/**
+ * Returns true for masks that change fields inside a JSON column (`{ json: { '<path>': mask } }`).
+ * @param {*} mask - Mask as written in a rules file.
+ * @returns {boolean} - Whether the mask targets JSON paths.
+ */
+export function isJsonMask(mask) {
+  return !!mask && typeof mask === 'object' && !!mask.json && typeof mask.json === 'object' && !Array.isArray(mask.json);
+}
+
+/**
+ * Returns true for masks that only JavaScript can evaluate: functions, generators and JSON path
+ * masks, and conditional masks with any of them in a branch.
+ * @param {*} mask - Mask as written in a rules file.
+ * @returns {boolean} - Whether the mask has no SQL translation.
+ */
+export function isJsMask(mask) {
+  if (isConditionalMask(mask)) return columnBranches(mask).some((branch) => branch.mask !== null && isJsMask(branch.mask));
+  return typeof mask === 'function' || isGeneratorMask(mask) || isJsonMask(mask);
+}
+
+/**
+ * Whether PostgreSQL must mask a whole table in JavaScript: it has JavaScript
+ * masks and also row conditions or SQL masks. Every mask and condition must see
+ * the original row, which a JavaScript pass followed by an `UPDATE` would not give.
+ * @param {object} tableRules - Rules of one table.
+ * @returns {boolean} - Whether every mask and condition of the table runs in JavaScript.
+ */
+export function masksTableInJs(tableRules) {
+  const masks = rowBranches(tableRules).flatMap((branch) => Object.values(branch.masks));
+  if (!masks.some(isJsMask)) return false;
+  return hasRowBranches(tableRules) || masks.some((mask) => isConditionalMask(mask) || !isJsMask(mask));
+}
+
+/**
+ * Short text of a mask for logs and reports (functions and rules objects have no SQL text).
+ * @param {string|object|Function} mask - Mask as written in a rules file.
+ * @returns {string} - Description of the mask.
+ */
+export function describeMask(mask) {
+  if (typeof mask === 'function') return `function ${mask.name || '(anonymous)'}`;
+  if (isConditionalMask(mask)) {
+    return columnBranches(mask)
+      .map((branch) => `${branch.label}: ${branch.mask === null ? 'unchanged' : describeMask(branch.mask)}`)
+      .join('; ');
+  }
+  if (isJsonMask(mask)) return `json ${Object.keys(mask.json).join(', ')}`;
+  if (isGeneratorMask(mask)) return `generator ${mask.generator}${mask.locale ? ` (${mask.locale})` : ''}`;
+  if (isPseudonymMask(mask)) return `pseudonym ${mask.pseudonym}`;
+  return String(mask);
+}
+
+// Texto que reciben las máscaras de un campo JSON, como si fuera el valor de la columna
+function jsonFieldText(value) {
+  if (typeof value === 'string') return value;
+  if (value instanceof JsonNumber) return value.raw;
+  return stringifyJson(value);
+}
+
+/**
+ * JSON value of a masked field: numbers and booleans stay numbers and booleans
+ * when the mask returns something that still is one.
+ */
+function toJsonValue(result, original) {
+  if (result === null || result === undefined) return null;
+  if (typeof result === 'number') return Number.isFinite(result) ? new JsonNumber(String(result)) : null;
+  if (typeof result === 'boolean') return result;
+  if (typeof result === 'object' && !(result instanceof Date)) return parseJson(JSON.stringify(result));
+
+  const text = formatMaskedValue(result, null);
+  if (original instanceof JsonNumber && /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) return new JsonNumber(text);
+  if (typeof original === 'boolean' && (text === 'true' || text === 'false')) return text === 'true';
+  return text;
+}
+
+/**
+ * Compiles a JSON path mask: each path gets its own mask, evaluated with the
+ * column standing for the value at the path. Missing keys and NULL fields are
+ * left alone, and the rest of the document is written back unchanged.
+ */
+function compileJsonMask(mask, column, options) {
+  const paths = Object.entries(mask.json).map(([path, fieldMask]) => {
+    if (isJsonMask(fieldMask)) throw new Error(`JSON masks cannot be nested (column ${column}, path ${path})`);
+    return { segments: parseJsonPath(path), mask: compileColumnMask(fieldMask, column, options) };
+  });
+
+  return (ctx) => {
+    const text = ctx.row[column];
+    if (text === null || text === undefined) return null;
+
+    let document;
+    try {
+      document = parseJson(String(text));
+    } catch (error) {
+      throw new Error(`Column ${column} does not hold valid JSON: ${error.message}`);
+    }
+    for (const { segments, mask: maskField } of paths) {
+      document = updateJsonPath(document, segments, (value) => {
+        if (value === null) return null;
+        const masked = maskField({ ...ctx, row: { ...ctx.row, [column]: jsonFieldText(value) } });
+        return masked === UNMASKED ? value : toJsonValue(masked, value);
+      });
+    }
+    return stringifyJson(document);
+  };
+}
+
+/**
+ * Compiles a conditional mask: the first branch whose condition holds for the
+ * row gives the mask, and rows that match none get the `else` mask or keep their value.
+ */
+function compileConditionalMask(mask, column, options) {
+  const branches = columnBranches(mask).map((branch) => {
+    if (branch.mask !== null && isConditionalMask(branch.mask)) {
+      throw new Error(`Conditional masks cannot be nested (column ${column})`);
+    }
+    return {
+      label: branch.label,
+      matches: branch.condition === null ? () => true : compileCondition(branch.condition),
+      mask: branch.mask === null ? null : compileColumnMask(branch.mask, column, options),
+    };
+  });
+
+  // Las ramas se registran sin filas para que el informe las liste en el orden de las reglas
+  if (options.counter) branches.forEach((branch) => options.counter.add(column, branch.label, 0));
+
+  return (ctx) => {
+    const branch = branches.find((item) => item.matches(ctx.row));
+    if (options.counter) options.counter.add(column, branch.label);
+    return branch.mask ? branch.mask(ctx) : UNMASKED;
+  };
+}
+
+/**
+ * Compiles a single rules mask (SQL expression, pseudonym rule, generator,
+ * JSON path mask, conditional mask or JavaScript function) into a JavaScript function.
+ * @param {string|object|Function} mask - Mask as written in a rules file.
+ * @param {string} column - Column the mask applies to.
+ * @param {object} options - `{ salt }` used by pseudonym masks and the `counter` (`BranchCounter`)
+ * of conditional masks.
+ * @returns {Function} - `(ctx) => value`, or `UNMASKED` when the value must not change.
+ */
+export function compileColumnMask(mask, column, { salt, counter = null } = {}) {
+  if (typeof mask === 'function') {
+    // Las funciones reciben el valor original, la fila y la columna
+    return (ctx) => mask(ctx.row[column], ctx.row, { column, type: ctx.type });
+  }
+  if (isConditionalMask(mask)) return compileConditionalMask(mask, column, { salt, counter });
+  if (isJsonMask(mask)) return compileJsonMask(mask, column, { salt, counter });
+  if (isGeneratorMask(mask)) {
+    assertGeneratorMask(mask);
+    return (ctx) => generate(mask, ctx.row[column], ctx.row, { column, type: ctx.type });
+  }
+  if (isPseudonymMask(mask)) {
+    assertPseudonymMask(mask, salt);
+    return (ctx) => pseudonymize(mask, ctx.row[column], salt);
+  }
+  if (typeof mask !== 'string') {
+    throw new Error(`Invalid mask for column ${column}: expected a SQL expression, a pseudonym rule, a generator or a function`);
+  }
+  return compileMask(mask);
+}
+
+/**
+ * Translates a rules mask into the SQL expression used in a `SECURITY LABEL`.
+ * @param {string|object} mask - Mask as written in a rules file.
+ * @param {string} column - Quoted column name.
+ * @param {object} options - `{ salt }` used by pseudonym masks.
+ * @returns {string} - SQL mask expression.
+ */
+export function maskToSql(mask, column, { salt } = {}) {
+  if (isConditionalMask(mask) && !isJsMask(mask)) {
+    return branchesToSql(columnBranches(mask), (branch) => (branch.mask === null ? column : maskToSql(branch.mask, column, { salt })));
+  }
+  if (isPseudonymMask(mask)) {
+    assertPseudonymMask(mask, salt);
+    return pseudonymToSql(mask, column, salt);
+  }
+  if (isJsMask(mask)) {
+    throw new Error(`The ${describeMask(mask)} mask of column ${column} runs in JavaScript and has no SQL form; use static masking`);
+  }
+  if (typeof mask !== 'string') {
+    throw new Error(`Invalid mask for column ${column}: expected a SQL expression or a pseudonym rule`);
+  }
+  return mask;
+}
+
+/**
+ * Builds a function that masks the rows of one table. Each row is masked with
+ * the masks of the first branch it falls into (see `rowBranches`).
+ * @param {string} tableName - Table name, used in error messages.
+ * @param {Array<{name: string, type: string|null}>} columns - Columns in row order.
+ * @param {object} tableRules - Rules of the table: `masks` (column -> mask) and optionally `exceptions` and `when`.
+ * @param {object} options - `{ salt }` used by pseudonym masks, a `counter` (`BranchCounter`) for the rows
+ * of each branch, and `onMask(column, value)`, called with the original value of every value masked.
+ * @returns {Function} - `(values) => maskedValues`, working on arrays in column order.
+ */
+export function createTableMasker(tableName, columns, tableRules, { salt, counter = null, onMask = null } = {}) {
+  const names = columns.map((item) => item.name);
+  const compileMasks = (masks) =>
+    Object.entries(masks).map(([column, mask]) => {
+      const index = names.indexOf(resolveColumnName(names, column));
+      if (index < 0) {
+        throw new Error(`Column "${column}" does not exist in table ${tableName}`);
+      }
+      return {
+        index,
+        column: columns[index],
+        mask: compileColumnMask(mask, columns[index].name, { salt, counter }),
+        // Un documento JSON con campos enmascarados sigue conteniendo los demás campos originales
+        sampled: !isJsonMask(mask),
+      };
+    });
+
+  const branches = rowBranches(tableRules).map((branch) => ({
+    label: branch.label,
+    matches: branch.condition === null ? () => true : compileCondition(branch.condition),
+    compiled: compileMasks(branch.masks),
+  }));
+
+  if (counter && branches.length > 1) branches.forEach((branch) => counter.add(null, branch.label, 0));
+
+  return (values) => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column.name] = values[index];
+    });
+
+    const branch = branches.find((item) => item.matches(row));
+    if (counter && branches.length > 1) counter.add(null, branch.label);
+
+    const masked = values.slice();
+    for (const { index, column, mask, sampled } of branch.compiled) {
+      const value = mask({ row, column: column.name, type: column.type });
+      if (value === UNMASKED) continue;
+      if (onMask && sampled) onMask(column.name, values[index]);
+      masked[index] = formatMaskedValue(value, column.type);
+    }
+    return masked;
+  };
+}
@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import { firstNames, lastNames, cities, countries, companies, emailDomains } from './fake-data.js';
+import { formatSqlLiteral } from '../utils/sql-dump.js';
+
+/**
+ * Kinds of keyed pseudonyms a rule can request with `{ pseudonym: '<kind>' }`.
+ */
+export const PSEUDONYM_KINDS = ['first_name', 'last_name', 'name', 'email', 'city', 'country', 'company', 'number', 'hash'];
+
+const DEFAULT_NUMBER_RANGE = { min: 0, max: 2147483647 };
+
+function hmac(value, salt) {
+  return crypto.createHmac('sha256', salt).update(String(value)).digest();
+}
+
+function pickFrom(list, digest, offset) {
+  return list[digest.readUInt32BE(offset) % list.length];
+}
+
+/**
+ * Returns true when a rules mask is a keyed pseudonym (`{ pseudonym: 'email' }`).
+ * @param {*} mask - Mask as written in a rules file.
+ * @returns {boolean} - Whether the mask is a pseudonym rule.
+ */
+export function isPseudonymMask(mask) {
+  return !!mask && typeof mask === 'object' && typeof mask.pseudonym === 'string';
+}
+
+/**
+ * Validates a pseudonym rule and the salt it needs.
+ * @param {object} mask - Pseudonym rule.
+ * @param {string} salt - Secret salt from the configuration.
+ */
+export function assertPseudonymMask(mask, salt) {
+  if (!PSEUDONYM_KINDS.includes(mask.pseudonym)) {
+    throw new Error(`Unknown pseudonym kind "${mask.pseudonym}". Available: ${PSEUDONYM_KINDS.join(', ')}`);
+  }
+  if (!salt) {
+    throw new Error('Pseudonym masks need a secret salt: set ANON_SALT in the environment');
+  }
+  const { min, max } = { ...DEFAULT_NUMBER_RANGE, ...mask };
+  if (mask.pseudonym === 'number' && !(Number.isInteger(min) && Number.isInteger(max) && min <= max)) {
+    throw new Error(`Invalid range for number pseudonym: min=${mask.min}, max=${mask.max}`);
+  }
+}
+
+/**
+ * Maps a value to a stable fake value. The same value, kind and salt always
+ * give the same result, whatever the table or the run.
+ * @param {object} mask - Pseudonym rule (`{ pseudonym, min, max }`).
+ * @param {string|null} value - Original value.
+ * @param {string} salt - Secret salt.
+ * @returns {string|number|null} - Pseudonymized value.
+ */
+export function pseudonymize(mask, value, salt) {
+  if (value === null || value === undefined) return null;
+  const digest = hmac(value, salt);
+
+  switch (mask.pseudonym) {
+    case 'first_name':
+      return pickFrom(firstNames, digest, 0);
+    case 'last_name':
+      return pickFrom(lastNames, digest, 4);
+    case 'name':
+      return `${pickFrom(firstNames, digest, 0)} ${pickFrom(lastNames, digest, 4)}`;
+    case 'email': {
+      const local = `${pickFrom(firstNames, digest, 0)}.${pickFrom(lastNames, digest, 4)}`.toLowerCase();
+      return `${local}${digest.readUInt16BE(8) % 1000}@${pickFrom(emailDomains, digest, 12)}`;
+    }
+    case 'city':
+      return pickFrom(cities, digest, 0);
+    case 'country':
+      return pickFrom(countries, digest, 0);
+    case 'company':
+      return pickFrom(companies, digest, 0);
+    case 'number': {
+      const { min, max } = { ...DEFAULT_NUMBER_RANGE, ...mask };
+      return min + (digest.readUInt32BE(0) % (max - min + 1));
+    }
+    case 'hash':
+      return digest.toString('hex');
+    default:
+      throw new Error(`Unknown pseudonym kind "${mask.pseudonym}"`);
+  }
+}
+
+// Entero sin signo del HMAC en hexadecimal a partir del byte `offset`, como `readUInt32BE`/`readUInt16BE`
+function digestIntSql(hmacSql, offset, bits = 32) {
+  return `('x' || substr(${hmacSql}, ${offset * 2 + 1}, ${bits / 4}))::bit(${bits})::bigint`;
+}
+
+// El mismo elemento que `pickFrom`, con la lista escrita en la expresión
+function pickFromSql(list, hmacSql, offset) {
+  return `(ARRAY[${list.map((item) => formatSqlLiteral(item)).join(', ')}])[1 + (${digestIntSql(hmacSql, offset)} % ${list.length})::int]`;
+}
+
+/**
+ * Translates a pseudonym rule into a PostgreSQL expression that gives the same
+ * values as `pseudonymize`: the same HMAC picks from the same lists, so a value
+ * gets the same pseudonym whatever the engine that masks it.
+ * @param {object} mask - Pseudonym rule.
+ * @param {string} column - Quoted column name.
+ * @param {string} salt - Secret salt.
+ * @returns {string} - SQL mask expression.
+ */
+export function pseudonymToSql(mask, column, salt) {
+  const hmacSql = `anon.hmac(${column}::text, ${formatSqlLiteral(salt)}, 'sha256')`;
+  const pick = (list, offset) => pickFromSql(list, hmacSql, offset);
+  // Como en `pseudonymize`, NULL sigue siendo NULL
+  const whenNotNull = (expression) => `CASE WHEN ${column} IS NULL THEN NULL ELSE ${expression} END`;
+
+  switch (mask.pseudonym) {
+    case 'first_name':
+      return whenNotNull(pick(firstNames, 0));
+    case 'last_name':
+      return whenNotNull(pick(lastNames, 4));
+    case 'name':
+      return whenNotNull(`${pick(firstNames, 0)} || ' ' || ${pick(lastNames, 4)}`);
+    case 'email':
+      return whenNotNull(
+        `lower(${pick(firstNames, 0)} || '.' || ${pick(lastNames, 4)}) || (${digestIntSql(hmacSql, 8, 16)} % 1000)::text || '@' || ${pick(emailDomains, 12)}`
+      );
+    case 'city':
+      return whenNotNull(pick(cities, 0));
+    case 'country':
+      return whenNotNull(pick(countries, 0));
+    case 'company':
+      return whenNotNull(pick(companies, 0));
+    case 'number': {
+      const { min, max } = { ...DEFAULT_NUMBER_RANGE, ...mask };
+      return `(${min} + ${digestIntSql(hmacSql, 0)} % ${max - min + 1})`;
+    }
+    case 'hash':
+      return hmacSql;
+    default:
+      throw new Error(`Unknown pseudonym kind "${mask.pseudonym}"`);
+  }
+}
@@ -1,37 +1,131 @@
-import pkg from 'pg';
 import { logger } from '../utils/logger.js';
-import { DockerManager } from './docker.js';
+import { DockerManager, runLabels } from './docker.js';
 import { Dumper } from './dumper.js';
-import { config } from '../config/index.js';
+import { Subsetter } from './subsetter.js';
+import { LeakScanner } from './leak-scanner.js';
+import { MaskingVerifier } from './masking-verifier.js';
+import { ANONYMIZER_EVENTS, emitWarning } from '../utils/events.js';
+import { getConfig, requireSettings } from '../config/index.js';
+import { getDatabaseEngine } from '../engines/index.js';
+import { maskToSql, isJsMask, isJsonMask, masksTableInJs } from '../masking/masker.js';
+import {
+  rowBranches,
+  hasRowBranches,
+  isConditionalMask,
+  branchColumns,
+  branchMask,
+  columnBranches,
+  branchesToSql,
+  maskedRowsSql,
+  branchLabelSql,
+  BranchCounter,
+} from '../masking/conditions.js';
+import {
+  normalizeRules,
+  resolveColumnName,
+  tableStrategy,
+  globalColumnRules,
+  resolveTableRules,
+  EMPTY_STRATEGIES,
+} from '../utils/rules.js';
+import { OUTPUT_FORMATS, ARCHIVE_FORMATS, gzipFile } from '../utils/dump-format.js';
+import { quoteIdentifier } from '../utils/sql-dump.js';
 import path from 'path';
 import fs from 'fs/promises';
-import { promisify } from 'util';
-import { exec } from 'child_process';
+import { randomUUID, createHash } from 'crypto';
 
-const execAsync = promisify(exec);
-const { Pool, Client } = pkg;
-const { database } = config;
+// Rol enmascarado que crea `setupAnonymization` para el masking dinámico
+const MASKED_ROLE = 'dump_anon';
+const MASKED_ROLE_PASSWORD = 'anon_pass';
+const MASKING_MODES = ['static', 'dynamic'];
+// Base de datos del contenedor con las muestras de valores originales de una ejecución reanudable
+const STATE_DATABASE = 'db_anonymizer_state';
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fingerprint of the rules, to notice when a resumed run is given different ones.
+ */
+function hashRules(rules) {
+  return createHash('sha256').update(JSON.stringify(rules)).digest('hex');
+}
 
 export class AnonymizationService {
-  constructor(dumpPath, dbEngine) {
-    this.originalDumpFile = dumpPath;
-    this.dumpsDirectory = path.join(process.cwd(), 'dumps');
+  constructor(
+    dumpPath,
+    dbEngine,
+    { leakCheck = true, sampleRows = 1000, events = null, maskingMode = 'static', runId = null, checkpoint = null, keepContainer = false } = {}
+  ) {
+    // `dumpPath` es la ruta de un dump o una base de datos de origen (SourceDatabase)
+    this.source = typeof dumpPath === 'string' ? null : dumpPath;
+    this.originalDumpFile = this.source ? null : dumpPath;
+    const { database, docker, paths, anonymization } = getConfig();
+    this.dumpsDirectory = paths.dumps;
     this.dockerManager = new DockerManager();
-    this.dumper = new Dumper();
-    this.dbEngine = dbEngine;
+    // Falla aquí con un error claro si el motor no existe
+    this.engine = getDatabaseEngine(dbEngine);
+    this.dbEngine = this.engine.name;
+    // Sin credenciales el contenedor se crearía con "null" como usuario, contraseña y base de datos
+    requireSettings(this.engine.requiredSettings, `The work container of ${this.engine.label}`);
+    // Contenedor propio de esta ejecución: varias pueden convivir en el mismo host
+    this.runId = runId || randomUUID().slice(0, 8);
+    this.containerName = `${docker.containerPrefix || this.engine.containerName}_${this.runId}`;
+    this.image = docker.image || this.engine.image;
+    // Recursos del contenedor de trabajo
+    this.containerSettings = { cpus: docker.cpus, memory: docker.memory, publishPort: docker.publishPort };
+    this.dumper = new Dumper(this.engine, { containerName: this.containerName, runId: this.runId });
+    if (!MASKING_MODES.includes(maskingMode)) {
+      throw new Error(`Unknown masking mode "${maskingMode}" (use ${MASKING_MODES.join(' or ')})`);
+    }
+    if (maskingMode === 'dynamic' && !this.engine.supportsDynamicMasking) {
+      throw new Error(`${this.engine.label} only supports static masking`);
+    }
+    // static: se reescriben las filas antes del dump; dynamic: se vuelca como el rol enmascarado
+    this.maskingMode = maskingMode;
+    // Con DB_PORT vacío, Docker publica el contenedor en un puerto libre
     this.localPort = database.port;
     this.host = database.host;
-    this.user = database.user;
+    this.user = this.engine.connectionUser(database.user);
     this.password = database.password;
-    this.databaseName = database.dbName;
+    this.databaseName = database.name;
     this.maxRetries = database.maxRetries;
-    this.retryInterval = 1000; // 1 second
+    this.retryInterval = database.retryInterval;
+    this.poolSize = database.poolSize;
+    this.salt = anonymization.salt;
+    this.outputFormats = this.engine.outputFormats;
+    this.temporaryFiles = [];
+    this.leakScanner = leakCheck ? new LeakScanner({ sampleRows }) : null;
+    this.maskingVerifier = new MaskingVerifier();
+    // Emisor de eventos de la API (`Anonymizer`); null desde servicios sueltos
+    this.events = events;
+    this.maskedTables = [];
+    // Filas que la cascada de una tabla vaciada quitó de tablas que la referencian
+    this.cascadeRemovals = [];
+    // Tablas que pg_dump/mysqldump deben omitir o dejar sin datos en el dump final
+    this.excludedTables = [];
+    this.dataExcludedTables = [];
+    this.tableSummary = [];
+    // Cambios del preprocesado del dump original, para el informe
+    this.preprocessChanges = this.dumper.changes;
+    // Dump listo para importar, tras descomprimirlo y preprocesarlo
+    this.importInput = null;
+    // Puntos de control de una ejecución reanudable (RunCheckpoint), o null
+    this.checkpoint = checkpoint;
+    // Tras un fallo, el contenedor se conserva para inspeccionarlo o reanudar la ejecución
+    this.keepContainer = keepContainer;
     this.pool = null;
   }
 
   async init() {
     try {
-      logger.info('Initializing Anonymization Service');
+      logger.info(`Initializing Anonymization Service (${this.engine.label})`);
     } catch (error) {
       logger.error('Initialization failed:', error);
       throw error;
@@ -42,118 +136,197 @@ export class AnonymizationService {
     try {
       logger.info('Starting setup process...');
       await this.ensureDumpsDirectory();
+      if (this.checkpoint && this.checkpoint.started) await this.checkResumedState();
 
-      await this.dockerManager.ensureCleanContainer('dump_postgresql');
-      await this.dockerManager.createAndStartContainer('dump_postgresql', 'registry.gitlab.com/dalibo/postgresql_anonymizer:latest', {
-        portBindings: { '5432/tcp': [{ HostPort: this.localPort.toString() }] },
-        env: [
-          `POSTGRES_PASSWORD=${this.password}`,
-          `POSTGRES_USER=${this.user}`,
-          `POSTGRES_DB=${this.databaseName}`,
-        ],
-        volumes: [`${this.dumpsDirectory}:/dumps`],
+      if (this.originalDumpFile) {
+        await this.checkpointed('preprocess', () => this.preprocessOriginalDump(), (data) => this.restorePreprocessing(data));
+      }
+      await this.startContainer();
+      await this.checkpointed('import', async () => {
+        await this.initializeAnonDatabase();
+        await this.importOriginalDump();
       });
+      if (this.engine.maskFunctions === 'sql') {
+        await this.checkpointed('anon', () => this.setupAnonymization());
+      }
 
-      await this.waitForPostgres();
-      await this.initializeAnonDatabase();
-      
-      // Import the original dump first, then setup anonymization
-      await this.importOriginalDump();
-      await this.setupAnonymization();
-      
       this.pool = this.createPool();
-      
+
       logger.info('Setup completed successfully');
     } catch (error) {
       logger.error('Setup failed:', error);
-      await this.cleanup();
+      await this.cleanup({ failed: true });
       throw error;
     }
   }
 
+  /**
+   * Runs one resumable step, or skips it when the checkpoint says a previous
+   * attempt of the run completed it; `restore(data)` then rebuilds its result.
+   * @returns {Promise<object>} - Data of the step, saved in the checkpoint.
+   */
+  async checkpointed(stage, task, restore = (data) => data) {
+    if (this.checkpoint && this.checkpoint.isComplete(stage)) {
+      logger.info(`Skipping ${stage}: completed in a previous attempt of run ${this.runId}`);
+      return restore(this.checkpoint.data(stage));
+    }
+    const data = (await task()) || {};
+    if (this.checkpoint) await this.checkpoint.complete(stage, data);
+    return data;
+  }
+
+  /**
+   * Drops the checkpoints a resumed run can no longer trust: everything after the
+   * container when it is gone, and the files of steps that were removed since.
+   */
+  async checkResumedState() {
+    const { checkpoint } = this;
+    logger.info(`Resuming run ${this.runId}`);
+    if (checkpoint.isComplete('container') && !(await this.dockerManager.getExistingContainer(this.containerName))) {
+      emitWarning(this.events, `Work container ${this.containerName} no longer exists; the dump is imported again`);
+      await checkpoint.reset('container');
+    }
+    const { input } = checkpoint.data('preprocess');
+    if (input && !checkpoint.isComplete('import') && !(await fileExists(input.path))) await checkpoint.reset('preprocess');
+    const { outputPath } = checkpoint.data('dump');
+    if (outputPath && !(await fileExists(outputPath))) await checkpoint.reset('dump');
+  }
+
+  /**
+   * Starts the work container, or the one a previous attempt of the run left, and waits for the database.
+   */
+  async startContainer() {
+    const containerPort = `${this.engine.containerPort}/tcp`;
+    await this.dockerManager.createAndStartContainer(this.containerName, this.image, {
+      portBindings: this.containerSettings.publishPort ? { [containerPort]: [{ HostPort: this.localPort ? String(this.localPort) : '' }] } : {},
+      env: this.engine.containerEnv({
+        user: this.user,
+        password: this.password,
+        database: this.databaseName,
+      }),
+      volumes: [`${this.dumpsDirectory}:/dumps`],
+      labels: runLabels(this.runId),
+      cpus: this.containerSettings.cpus,
+      memory: this.containerSettings.memory,
+    });
+
+    // Puerto asignado por Docker, o la IP del contenedor si no se publica
+    const address = await this.dockerManager.getContainerAddress(this.containerName, this.engine.containerPort);
+    if (address.host) this.host = address.host;
+    this.localPort = address.port;
+    logger.info(`Container ${this.containerName} reachable at ${this.host}:${this.localPort}`);
+
+    await this.waitForDatabase();
+    if (this.checkpoint && !this.checkpoint.isComplete('container')) {
+      await this.checkpoint.complete('container', { containerName: this.containerName });
+    }
+  }
+
   async setupAnonymization() {
     try {
       logger.info('Setting up anonymization extensions and roles...');
   
       // Crear la extensión anon
-      await this.dockerManager.executeDockerCommand([
-        'exec',
-        'dump_postgresql',
-        'psql',
-        '-h', this.host,
-        '-p', this.localPort.toString(),
-        '-U', this.user,
-        '-d', this.databaseName,
-        '-c', '"CREATE EXTENSION IF NOT EXISTS anon CASCADE;"',
-      ]);
+      await this.runPsql('CREATE EXTENSION IF NOT EXISTS anon CASCADE;');
   
       // Inicializar anon
-      await this.dockerManager.executeDockerCommand([
-        'exec',
-        'dump_postgresql',
+      await this.runPsql('SELECT anon.init();');
+  
+      // El rol enmascarado solo hace falta para volcar con masking dinámico
+      if (this.maskingMode === 'dynamic') {
+        await this.setupMaskedRole();
+        // Configurar permisos para el rol dump_anon en todos los esquemas de usuario
+        await this.grantSchemaAccess();
+      }
+  
+      logger.info('Anonymization setup completed successfully');
+    } catch (error) {
+      logger.error('Failed to setup anonymization:', error);
+      throw error;
+    }
+  }  
+  
+  /**
+   * Runs one SQL command with psql inside the container; the SQL is a single argument, never shell-quoted.
+   */
+  async runPsql(sql) {
+    return this.dockerManager.execInContainer(
+      this.containerName,
+      [
         'psql',
-        '-h', this.host,
-        '-p', this.localPort.toString(),
+        '-h', 'localhost',
+        '-p', String(this.engine.containerPort),
         '-U', this.user,
         '-d', this.databaseName,
-        '-c', '"SELECT anon.init();"'
-      ]);
-  
-      // Crear y configurar el rol dump_anon
-      const roleSetupQuery = `
+        '-v', 'ON_ERROR_STOP=1',
+        '-c', sql,
+      ],
+      this.engine.execEnv(this.connectionConfig())
+    );
+  }
+
+  /**
+   * Creates the masked role that reads the masked data through dynamic masking.
+   */
+  async setupMaskedRole() {
+    const client = await this.engine.connect(this.connectionConfig());
+
+    try {
+      await client.query(`
         DO $$ BEGIN
           IF EXISTS (
               SELECT FROM pg_catalog.pg_roles
-              WHERE rolname = 'dump_anon') THEN
-            RAISE NOTICE 'Role "dump_anon" already exists. Skipping.';
+              WHERE rolname = '${MASKED_ROLE}') THEN
+            RAISE NOTICE 'Role "${MASKED_ROLE}" already exists. Skipping.';
           ELSE
-            CREATE ROLE dump_anon LOGIN PASSWORD 'anon_pass';
+            CREATE ROLE ${MASKED_ROLE} LOGIN PASSWORD '${MASKED_ROLE_PASSWORD}';
           END IF;
         END $$;
-        ALTER ROLE dump_anon SET anon.transparent_dynamic_masking = True;
-        SECURITY LABEL FOR anon ON ROLE dump_anon IS 'MASKED';
-      `.trim().replace(/\s+/g, ' ');
-  
-      await this.dockerManager.executeDockerCommand([
-        'exec',
-        'dump_postgresql',
-        'psql',
-        '-h', this.host,
-        '-p', this.localPort.toString(),
-        '-U', this.user,
-        '-d', this.databaseName,
-        '-c', `"${roleSetupQuery}"`,
-      ]);
-  
-      // Configurar permisos para el rol dump_anon
-      const grantPermissionsQuery = `
-        GRANT USAGE ON SCHEMA public, anon TO dump_anon;
-        GRANT SELECT ON ALL TABLES IN SCHEMA public TO dump_anon;
-        GRANT SELECT ON ALL SEQUENCES IN SCHEMA public TO dump_anon;
+      `);
+      await client.query(`ALTER ROLE ${MASKED_ROLE} SET anon.transparent_dynamic_masking = True`);
+      await client.query(`SECURITY LABEL FOR anon ON ROLE ${MASKED_ROLE} IS 'MASKED'`);
+      logger.info(`Masked role ${MASKED_ROLE} created`);
+    } finally {
+      await client.end();
+    }
+  }
+
+  /**
+   * Grants the masked role read access to every user schema, not only `public`.
+   */
+  async grantSchemaAccess() {
+    const client = await this.engine.connect(this.connectionConfig());
+
+    try {
+      await client.query(`
+        DO $$
+        DECLARE
+          schema_name text;
+        BEGIN
+          FOR schema_name IN
+            SELECT nspname FROM pg_catalog.pg_namespace
+            WHERE nspname NOT IN ('information_schema', 'anon')
+              AND nspname NOT LIKE 'pg\\_%'
+          LOOP
+            EXECUTE format('GRANT USAGE ON SCHEMA %I TO dump_anon', schema_name);
+            EXECUTE format('GRANT SELECT ON ALL TABLES IN SCHEMA %I TO dump_anon', schema_name);
+            EXECUTE format('GRANT SELECT ON ALL SEQUENCES IN SCHEMA %I TO dump_anon', schema_name);
+            EXECUTE format('ALTER DEFAULT PRIVILEGES IN SCHEMA %I GRANT SELECT ON TABLES TO dump_anon', schema_name);
+          END LOOP;
+        END $$;
+      `);
+      await client.query(`
+        GRANT USAGE ON SCHEMA anon TO dump_anon;
         GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA anon TO dump_anon;
         GRANT SELECT ON ALL TABLES IN SCHEMA anon TO dump_anon;
         GRANT SELECT ON pg_statistic TO dump_anon;
-        ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT SELECT ON TABLES TO dump_anon;
-      `.trim().replace(/\s+/g, ' ');
-  
-      await this.dockerManager.executeDockerCommand([
-        'exec',
-        'dump_postgresql',
-        'psql',
-        '-h', this.host,
-        '-p', this.localPort.toString(),
-        '-U', this.user,
-        '-d', this.databaseName,
-        '-c', `"${grantPermissionsQuery}"`,
-      ]);
-  
-      logger.info('Anonymization setup completed successfully');
-    } catch (error) {
-      logger.error('Failed to setup anonymization:', error);
-      throw error;
+      `);
+      logger.info('Schema permissions granted to dump_anon');
+    } finally {
+      await client.end();
     }
-  }  
-  
+  }
+
   async ensureDumpsDirectory() {
     try {
       await fs.access(this.dumpsDirectory);
@@ -163,51 +336,51 @@ export class AnonymizationService {
     }
   }
 
-  async waitForPostgres() {
-    logger.info('Waiting for PostgreSQL to be ready...');
+  /**
+   * Connection settings for the working database, or for another one such as the admin database.
+   */
+  connectionConfig(databaseName = this.databaseName) {
+    return {
+      host: this.host,
+      port: this.localPort,
+      user: this.user,
+      password: this.password,
+      database: databaseName,
+    };
+  }
+
+  async waitForDatabase() {
+    const { label } = this.engine;
+    logger.info(`Waiting for ${label} to be ready...`);
 
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
-        const client = new Client({
-          host: this.host,
-          port: this.localPort,
-          user: this.user,
-          password: this.password,
-          database: 'postgres',
-        });
-
-        await client.connect();
+        const client = await this.engine.connect(this.connectionConfig(this.engine.adminDatabase));
         await client.query('SELECT 1');
         await client.end();
 
-        logger.info('PostgreSQL is ready');
+        logger.info(`${label} is ready`);
         return;
       } catch (error) {
         if (attempt === this.maxRetries) {
-          logger.error('PostgreSQL failed to start after multiple attempts');
+          logger.error(`${label} failed to start after multiple attempts`);
           throw error;
         }
-        logger.debug(`Waiting for PostgreSQL... Attempt ${attempt}/${this.maxRetries}`);
+        logger.debug(`Waiting for ${label}... Attempt ${attempt}/${this.maxRetries}`);
         await new Promise(resolve => setTimeout(resolve, this.retryInterval));
       }
     }
   }
 
   async initializeAnonDatabase() {
-    const client = new Client({
-      host: this.host,
-      port: this.localPort,
-      user: this.user,
-      password: this.password,
-      database: 'postgres',
-    });
+    const client = await this.engine.connect(this.connectionConfig(this.engine.adminDatabase));
 
     try {
-      await client.connect();
       logger.info('Initializing anonymization database...');
 
-      await client.query(`DROP DATABASE IF EXISTS ${this.databaseName}`);
-      await client.query(`CREATE DATABASE ${this.databaseName}`);
+      for (const statement of this.engine.resetDatabaseStatements(this.databaseName)) {
+        await client.query(statement);
+      }
 
       logger.info('Anonymization database initialized');
     } catch (error) {
@@ -218,21 +391,53 @@ export class AnonymizationService {
     }
   }
 
+  /**
+   * Decompresses and preprocesses the original dump file, so that it is ready to import.
+   * @returns {Promise<object>} - `{ input, changes, files }` for the checkpoint.
+   */
+  async preprocessOriginalDump() {
+    const input = await this.dumper.prepareInput(this.originalDumpFile);
+    if (input.temporary) this.temporaryFiles.push(input.path);
+    this.importInput = input;
+
+    // Los archivos de pg_restore se importan tal cual; el SQL plano pasa por las reescrituras
+    if (!ARCHIVE_FORMATS.includes(input.format)) {
+      const processedPath = await this.dumper.preprocessDump(input.path);
+      if (processedPath !== input.path) {
+        this.temporaryFiles.push(processedPath);
+        this.importInput = { ...input, path: processedPath, temporary: true };
+      }
+    }
+    return { input: this.importInput, changes: [...this.dumper.changes], files: [...this.temporaryFiles] };
+  }
+
+  /**
+   * Takes the preprocessed dump and its changes from the checkpoint of a previous attempt.
+   */
+  restorePreprocessing({ input, changes, files }) {
+    this.importInput = input;
+    this.temporaryFiles.push(...files);
+    this.dumper.changes.push(...changes);
+  }
+
   async importOriginalDump() {
     try {
       logger.info('Importing original dump...');
 
-      const processedDump = await this.dumper.preprocessDump(this.originalDumpFile);
-      await this.dumper.importDump(
-        {
-          host: this.host,
-          port: this.localPort,
-          user: this.user,
-          password: this.password,
-          database: this.databaseName,
-        },
-        processedDump
-      );
+      if (this.source) {
+        // El dump de la base de origen se importa sin pasar por disco
+        const { stream, done, cancel } = this.source.open();
+        try {
+          await Promise.all([this.dumper.importStream(this.connectionConfig(), stream), done]);
+        } catch (error) {
+          cancel();
+          throw error;
+        }
+      } else if (ARCHIVE_FORMATS.includes(this.importInput.format)) {
+        await this.dumper.restoreDump(this.connectionConfig(), this.importInput.path);
+      } else {
+        await this.dumper.importDump(this.connectionConfig(), this.importInput.path);
+      }
 
       logger.info('Original dump imported successfully');
     } catch (error) {
@@ -242,16 +447,7 @@ export class AnonymizationService {
   }
 
   createPool() {
-    return new Pool({
-      host: this.host,
-      port: this.localPort,
-      user: this.user,
-      password: this.password,
-      database: this.databaseName,
-      max: 20,
-      idleTimeoutMillis: 30000,
-      connectionTimeoutMillis: 2000,
-    });
+    return this.engine.createPool(this.connectionConfig(), { size: this.poolSize });
   }
 
   async processRules(rules) {
@@ -259,24 +455,70 @@ export class AnonymizationService {
       throw new Error('No rules provided for anonymization');
     }
 
+    await this.checkpointed('mask', () => this.applyRules(rules), (data) => this.restoreRules(rules, data));
+
+    // Se comprueba tras el COMMIT para leer los datos como lo hará el dump final
+    await this.verifyMaskedData();
+  }
+
+  /**
+   * Applies the rules in one transaction: row subsetting, table strategies and masks.
+   * @returns {Promise<object>} - `{ maskedTables, rulesHash }` for the checkpoint.
+   */
+  async applyRules(rules) {
     const client = await this.pool.connect();
     try {
       await client.query('BEGIN');
-      
-      for (const tableName of Object.keys(rules)) {
-        const tableExists = await this.validateTable(client, tableName);
-        if (!tableExists) {
-          logger.warn(`Table ${tableName} does not exist, skipping...`);
+
+      const tables = await this.resolveTables(client, rules);
+      const emptied = this.collectDumpExclusions(tables);
+
+      // Reduce los datos antes de enmascarar para que el dump final sea más pequeño
+      const filters = tables
+        .filter(({ entry }) => entry.rules.where || entry.rules.sample !== undefined)
+        .map(({ entry, table }) => ({ table: table.qualifiedName, where: entry.rules.where, sample: entry.rules.sample }));
+      if (filters.length > 0 && !this.engine.supportsSubsetting) {
+        throw new Error(`Row subsetting (where/sample) is not supported for ${this.engine.label}`);
+      }
+      const subsetter = new Subsetter(client);
+      let reach = new Map();
+      if (this.engine.supportsSubsetting) {
+        // Vaciar una tabla es un subconjunto sin filas: también se quitan las filas que dependen de ella
+        filters.push(...emptied.map((table) => ({ table: table.qualifiedName, where: 'false' })));
+        if (emptied.length > 0) reach = await subsetter.cascadeReach(emptied.map((table) => table.qualifiedName));
+      } else {
+        for (const table of emptied) await client.query(`DELETE FROM ${table.qualifiedName}`);
+      }
+      const removed = await subsetter.apply(filters);
+      this.cascadeRemovals = this.collectCascadeRemovals(tables, filters, reach, removed);
+      this.warnCascadeRemovals();
+
+      for (const { entry, table } of tables) {
+        if (tableStrategy(entry.rules) !== 'mask') continue;
+
+        await this.sampleMaskedValues(client, table, entry.rules);
+
+        const counter = new BranchCounter();
+        if (this.engine.maskFunctions === 'js') {
+          // Sin extensión anon: las filas se enmascaran en JS en la propia tabla
+          const count = await this.engine.maskTable(client, table, entry.rules, { salt: this.salt, counter });
+          this.recordMaskedTable(table.qualifiedName, count, counter.list());
           continue;
         }
-  
-        await this.applyMaskingRules(client, tableName, rules[tableName]);
-  
-        // Verificar que los datos se hayan enmascarado
-        const count = await this.verifyMasking(client, tableName);
-        logger.info(`Masked ${count} rows in table ${tableName}`);
+
+        if (this.maskingMode === 'dynamic') {
+          await this.applyMaskingRules(client, table, entry.rules);
+          await this.countBranches(client, table, entry.rules, counter);
+          this.recordMaskedTable(table.qualifiedName, await this.countRows(client, table), counter.list());
+        } else {
+          const count = await this.applyStaticMasks(client, table, entry.rules, counter);
+          this.recordMaskedTable(table.qualifiedName, count, counter.list());
+        }
       }
-      
+
+      await this.summarizeTables(client, tables);
+      // Tras el COMMIT ya no quedan valores originales que muestrear
+      if (this.checkpoint) await this.saveSamples();
       await client.query('COMMIT');
       logger.info('All anonymization rules processed successfully');
     } catch (error) {
@@ -286,136 +528,417 @@ export class AnonymizationService {
     } finally {
       client.release();
     }
+
+    return { maskedTables: this.maskedTables, cascadeRemovals: this.cascadeRemovals, rulesHash: hashRules(rules) };
   }
 
-  async validateTable(client, tableName) {
-    const result = await client.query(
-      `
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-        AND lower(table_name) = lower($1);
-      `,
-      [tableName]
-    );
-  
-    if (result.rows.length > 0) {
-      this.exactTableName = result.rows[0].table_name; // Almacena el nombre exacto para futuras consultas
-      return true;
+  /**
+   * Rebuilds what `applyRules` leaves for the final dump and the run result,
+   * when a previous attempt of the run already masked the data.
+   */
+  async restoreRules(rules, { maskedTables, cascadeRemovals = [], rulesHash }) {
+    if (rulesHash !== hashRules(rules)) {
+      emitWarning(this.events, `The rules changed after run ${this.runId} masked the data; start a new run to apply them`);
+    }
+
+    const client = await this.pool.connect();
+    try {
+      const tables = await this.resolveTables(client, rules);
+      this.collectDumpExclusions(tables);
+      this.maskedTables = maskedTables;
+      this.cascadeRemovals = cascadeRemovals;
+      this.warnCascadeRemovals();
+      await this.summarizeTables(client, tables);
+    } finally {
+      client.release();
+    }
+    await this.restoreSamples();
+  }
+
+  /**
+   * Tables of the rules that exist in the database, with their rules resolved
+   * (global column rules included).
+   * @returns {Promise<Array<{entry: object, table: object}>>} - Rules entry and table of each one.
+   */
+  async resolveTables(client, rules) {
+    const tables = [];
+    const globals = globalColumnRules(rules);
+    for (const entry of normalizeRules(rules)) {
+      const table = await this.validateTable(client, entry.schema, entry.table);
+      if (!table) {
+        emitWarning(this.events, `Table ${entry.key} does not exist, skipping...`);
+        continue;
+      }
+      // Las máscaras propias de la tabla prevalecen sobre las globales
+      const { rules: tableRules } = resolveTableRules(entry.rules, globals, table.columnTypes);
+      tables.push({ entry: { ...entry, rules: tableRules }, table });
+    }
+    if (globals.length > 0) tables.push(...(await this.globalRuleTables(client, globals, tables)));
+    return tables;
+  }
+
+  /**
+   * Sets the tables the final dump leaves out or dumps without data.
+   * @returns {object[]} - Tables whose rows must be deleted instead.
+   */
+  collectDumpExclusions(tables) {
+    this.excludedTables = [];
+    this.dataExcludedTables = [];
+    const emptied = [];
+    for (const { entry, table } of tables) {
+      const strategy = tableStrategy(entry.rules);
+      if (strategy === 'exclude') this.excludedTables.push(table);
+      if (strategy === 'schema_only' && this.engine.supportsExcludeTableData) this.dataExcludedTables.push(table);
+      if (strategy === 'truncate' || (strategy === 'schema_only' && !this.engine.supportsExcludeTableData)) emptied.push(table);
+    }
+    return emptied;
+  }
+
+  /**
+   * Keeps the sampled original values in a database of the work container, never
+   * on the host, so that a resumed run can still verify the masked data and its output.
+   */
+  async saveSamples() {
+    const admin = await this.engine.connect(this.connectionConfig(this.engine.adminDatabase));
+    try {
+      for (const statement of this.engine.resetDatabaseStatements(STATE_DATABASE)) await admin.query(statement);
+    } finally {
+      await admin.end();
+    }
+
+    const client = await this.engine.connect(this.connectionConfig(STATE_DATABASE));
+    try {
+      await this.maskingVerifier.scanner.saveSamples(client, this.engine, 'verify_samples');
+      if (this.leakScanner) await this.leakScanner.saveSamples(client, this.engine, 'leak_samples');
+    } finally {
+      await client.end();
+    }
+  }
+
+  async restoreSamples() {
+    const client = await this.engine.connect(this.connectionConfig(STATE_DATABASE));
+    try {
+      await this.maskingVerifier.scanner.loadSamples(client, this.engine, 'verify_samples');
+      if (this.leakScanner) await this.leakScanner.loadSamples(client, this.engine, 'leak_samples');
+    } finally {
+      await client.end();
     }
-  
-    return false;
   }
 
-  async applyMaskingRules(client, tableName, tableRules) {
+  /**
+   * Checks that the masked columns really changed, connected as the final dump will be:
+   * the owner after static masking, the masked role with dynamic masking.
+   */
+  async verifyMaskedData() {
+    const client = await this.engine.connect(this.dumpConnectionConfig());
+    try {
+      await this.maskingVerifier.verify(client, this.engine);
+    } finally {
+      await client.end();
+    }
+  }
+
+  /**
+   * Connection settings of the final dump.
+   */
+  dumpConnectionConfig() {
+    if (this.maskingMode === 'dynamic') {
+      return { ...this.connectionConfig(), user: MASKED_ROLE, password: MASKED_ROLE_PASSWORD };
+    }
+    return this.connectionConfig();
+  }
+
+  /**
+   * Real names of the columns masked in any branch of a table.
+   */
+  maskedColumns(table, tableRules) {
+    const columns = [];
+    for (const ruleColumn of branchColumns(tableRules)) {
+      const column = resolveColumnName(table.columns, ruleColumn);
+      if (!column) {
+        throw new Error(`Column "${ruleColumn}" does not exist in table ${table.qualifiedName}`);
+      }
+      if (!columns.includes(column)) columns.push(column);
+    }
+    return columns;
+  }
+
+  /**
+   * Samples the original values of the masked columns, for the leak check and
+   * the masking verification. Only rows that are really masked are sampled, and
+   * JSON path masks are left out: the rest of each document stays as it was.
+   */
+  async sampleMaskedValues(client, table, tableRules) {
+    const branches = rowBranches(tableRules);
+    const columns = this.maskedColumns(table, tableRules)
+      .filter((column) => !branches.some((branch) => isJsonMask(branchMask(branch.masks, table.columns, column))));
+    const where = {};
+    for (const column of columns) {
+      const condition = maskedRowsSql(tableRules, table.columns, column);
+      if (condition !== 'true') where[column] = condition;
+    }
+
+    if (this.leakScanner) await this.leakScanner.sampleDatabase(client, this.engine, table, columns, { where });
+    await this.maskingVerifier.sample(client, this.engine, table, columns, { where });
+  }
+
+  /**
+   * SQL that masks a column, with a `CASE` over the row branches when the table
+   * has `exceptions` or `when`; rows of a branch that leaves the column out keep it.
+   */
+  columnMaskSql(table, tableRules, column) {
+    const quoted = quoteIdentifier(column);
+    return branchesToSql(rowBranches(tableRules), (branch) => {
+      const mask = branchMask(branch.masks, table.columns, column);
+      return mask === undefined ? quoted : maskToSql(mask, quoted, { salt: this.salt });
+    });
+  }
+
+  /**
+   * Counts in SQL the rows of each branch, before masking changes the values the conditions read.
+   */
+  async countBranches(client, table, tableRules, counter) {
+    const branches = rowBranches(tableRules);
+    for (const column of [null, ...this.maskedColumns(table, tableRules)]) {
+      const label = branchLabelSql(tableRules, table.columns, column);
+      if (label === null) continue;
+      // Todas las ramas aparecen en el informe, también las que no tienen filas
+      const labels = column === null
+        ? branches.map((branch) => branch.label)
+        : branches
+          .map((branch) => branchMask(branch.masks, table.columns, column))
+          .filter(isConditionalMask)
+          .flatMap((mask) => columnBranches(mask).map((branch) => branch.label));
+      labels.forEach((branchLabel) => counter.add(column, branchLabel, 0));
+
+      const result = await client.query(`SELECT ${label} AS branch, COUNT(*) AS count FROM ${table.qualifiedName} GROUP BY 1`);
+      for (const row of result.rows) {
+        if (row.branch !== null) counter.add(column, row.branch, Number(row.count));
+      }
+    }
+  }
+
+  /**
+   * Rewrites the masked columns of a table in place (static masking), so the dump
+   * taken afterwards only holds masked rows. SQL masks run in a single `UPDATE`;
+   * functions and generators run row by row. Every mask and condition must see
+   * the original row, so a table with JavaScript masks and also SQL masks or
+   * conditions is masked entirely in JavaScript.
+   * @returns {Promise<number>} - Number of rows masked.
+   */
+  async applyStaticMasks(client, table, tableRules, counter = new BranchCounter()) {
+    const columns = this.maskedColumns(table, tableRules);
+    const allMasks = rowBranches(tableRules).flatMap((branch) => Object.values(branch.masks));
+    const conditional = hasRowBranches(tableRules) || allMasks.some(isConditionalMask);
+
+    // Sin triggers de usuario: enmascarar no debe tocar otras columnas ni tablas
+    await client.query('SET LOCAL session_replication_role = replica');
+    let rows = 0;
+    if (masksTableInJs(tableRules)) {
+      rows = await this.engine.maskTable(client, table, tableRules, { salt: this.salt, counter });
+    } else if (allMasks.some(isJsMask)) {
+      // Solo máscaras JS y sin condiciones
+      rows = await this.engine.maskTable(client, table, tableRules, { salt: this.salt });
+    } else {
+      if (conditional) await this.countBranches(client, table, tableRules, counter);
+      const assignments = columns.map((column) => `${quoteIdentifier(column)} = ${this.columnMaskSql(table, tableRules, column)}`);
+      if (assignments.length > 0) {
+        rows = (await client.query(`UPDATE ${table.qualifiedName} SET ${assignments.join(', ')}`)).rowCount;
+      }
+    }
+    logger.info(`Statically masked ${columns.length} columns of ${table.qualifiedName}`);
+    return rows;
+  }
+
+  /**
+   * Rows removed from tables without a subset of their own because they reference,
+   * directly or through other tables, a table the rules empty.
+   * @returns {Array<{table: string, strategy: string, rows: number, from: string[]}>} - One entry per table that lost rows.
+   */
+  collectCascadeRemovals(tables, filters, reach, removed) {
+    const strategies = new Map(tables.map(({ entry, table }) => [table.qualifiedName, tableStrategy(entry.rules)]));
+    const removals = [];
+    for (const [table, from] of reach) {
+      // Las tablas con su propio where/sample ya pierden filas a propósito
+      if (filters.some((filter) => filter.table === table) || !removed.get(table)) continue;
+      removals.push({ table, strategy: strategies.get(table) || 'keep', rows: removed.get(table), from });
+    }
+    return removals;
+  }
+
+  warnCascadeRemovals() {
+    for (const { table, strategy, rows, from } of this.cascadeRemovals) {
+      emitWarning(
+        this.events,
+        `Emptying ${from.join(', ')} also removed ${rows} rows of ${table} (${strategy}), which reference it through foreign keys`
+      );
+    }
+  }
+
+  /**
+   * Resolves a rules table against the database, returning its exact schema, name and columns.
+   */
+  async validateTable(client, schema, table) {
+    return this.engine.findTable(client, schema, table);
+  }
+
+  /**
+   * Finds the tables without rules of their own that have columns matched by the global column rules.
+   * @returns {Promise<Array<{entry: object, table: object}>>} - Entries with the resolved masks.
+   */
+  async globalRuleTables(client, globals, ruled) {
+    const found = [];
+    for (const listed of await this.engine.listTables(client)) {
+      if (ruled.some(({ table }) => table.qualifiedName === listed.qualifiedName)) continue;
+      const schema = { name: listed.schema, exact: true };
+      const name = { name: listed.table, exact: true };
+      const table = await this.validateTable(client, schema, name);
+      const resolved = resolveTableRules(null, globals, table.columnTypes);
+      if (resolved) found.push({ entry: { key: table.qualifiedName, schema, table: name, rules: resolved.rules }, table });
+    }
+    return found;
+  }
+
+  async applyMaskingRules(client, table, tableRules) {
     if (!tableRules || !tableRules.masks) {
-      logger.warn(`No masks found for table ${tableName}`);
+      emitWarning(this.events, `No masks found for table ${table.qualifiedName}`);
       return;
     }
   
-    for (const [column, maskFunction] of Object.entries(tableRules.masks)) {
+    for (const column of this.maskedColumns(table, tableRules)) {
       try {
+        const maskFunction = this.columnMaskSql(table, tableRules, column);
         await client.query(
           `
-          SECURITY LABEL FOR anon ON COLUMN "${this.exactTableName}".${column}
-          IS 'MASKED WITH FUNCTION ${maskFunction}';
+          SECURITY LABEL FOR anon ON COLUMN ${table.qualifiedName}.${quoteIdentifier(column)}
+          IS 'MASKED WITH FUNCTION ${maskFunction.replace(/'/g, "''")}';
           `
         );
-        logger.info(`Successfully masked ${this.exactTableName}.${column}`);
+        logger.info(`Successfully masked ${table.qualifiedName}.${column}`);
       } catch (error) {
-        logger.error(`Failed to mask ${this.exactTableName}.${column}:`, error);
+        logger.error(`Failed to mask ${table.qualifiedName}.${column}:`, error);
         throw error;
       }
     }
   }
   
-  async verifyMasking(client, tableName) {
+  /**
+   * Records the rows masked in a table for the run result.
+   */
+  recordMaskedTable(table, rows, branches = []) {
+    logger.info(`Masked ${rows} rows in table ${table}`);
+    for (const { column, branch, rows: count } of branches) {
+      logger.info(`  ${column ? `${column}: ` : ''}${branch}: ${count} rows`);
+    }
+    this.maskedTables.push({ table, rows, branches });
+    if (this.events) this.events.emit(ANONYMIZER_EVENTS.TABLE_MASKED, { table, rows });
+  }
+
+  /**
+   * Records what happens to every table of the database, including the ones without rules.
+   */
+  async summarizeTables(client, tables) {
+    const ruled = new Map(tables.map(({ entry, table }) => [table.qualifiedName, { entry, table }]));
+    this.tableSummary = [];
+    for (const table of await this.engine.listTables(client)) {
+      const { entry, table: described } = ruled.get(table.qualifiedName) || {};
+      const strategy = entry ? tableStrategy(entry.rules) : 'keep';
+      const rows = EMPTY_STRATEGIES.includes(strategy) ? 0 : await this.countRows(client, table);
+      // Máscara aplicada a cada columna, con el nombre real de la columna
+      const masks = strategy === 'mask'
+        ? Object.fromEntries(Object.entries(entry.rules.masks).map(([column, mask]) => [resolveColumnName(described.columns, column) || column, mask]))
+        : {};
+      const masked = this.maskedTables.find((item) => item.table === table.qualifiedName);
+      const cascade = this.cascadeRemovals.find((item) => item.table === table.qualifiedName);
+      this.tableSummary.push({
+        table: table.qualifiedName,
+        strategy,
+        rows,
+        masks,
+        branches: masked ? masked.branches : [],
+        ...(cascade && { removedByCascade: { rows: cascade.rows, from: cascade.from } }),
+      });
+    }
+  }
+
+  async countRows(client, table) {
     try {
-      const result = await client.query(`SELECT COUNT(*) FROM "${this.exactTableName}"`);
+      const result = await client.query(`SELECT COUNT(*) FROM ${table.qualifiedName}`);
       return parseInt(result.rows[0].count);
     } catch (error) {
-      logger.error(`Failed to verify masking for table ${tableName}:`, error);
+      logger.error(`Failed to verify masking for table ${table.qualifiedName}:`, error);
       throw error;
     }
   }
   
-  async cleanup() {
+  /**
+   * Closes the pool and removes the work container and temporary files. After a
+   * failure with `keepContainer`, the container and the preprocessed dump are kept.
+   */
+  async cleanup({ failed = false } = {}) {
     logger.info('Starting cleanup...');
     try {
       if (this.pool) {
         await this.pool.end();
+        this.pool = null;
         logger.info('Database pool closed');
       }
 
-      await this.dockerManager.ensureCleanContainer();
+      if (failed && this.keepContainer) {
+        logger.info(`Work container ${this.containerName} kept for inspection at ${this.host}:${this.localPort}`);
+        return;
+      }
+
+      await this.dockerManager.ensureCleanContainer(this.containerName);
       logger.info('Docker container cleaned up');
+
+      // Archivos descomprimidos o preprocesados a partir del dump original
+      for (const file of this.temporaryFiles.splice(0)) {
+        await fs.rm(file, { recursive: true, force: true });
+      }
     } catch (error) {
       logger.error('Error during cleanup:', error);
     }
   }
 
-  async createAnonymizedDump(outputPath) {
+  /**
+   * Dumps the masked database to `dumps/`, unless a previous attempt of the run already did.
+   * @returns {Promise<string>} - Path of the anonymized dump.
+   */
+  async createAnonymizedDump(outputPath, { format = 'plain' } = {}) {
+    const { outputPath: finalPath } = await this.checkpointed('dump', async () => ({
+      outputPath: await this.writeAnonymizedDump(outputPath, { format }),
+    }));
+    return finalPath;
+  }
+
+  async writeAnonymizedDump(outputPath, { format = 'plain' } = {}) {
     try {
+      if (!this.outputFormats.includes(format)) {
+        throw new Error(`Output format "${format}" is not supported for ${this.engine.label} (use ${this.outputFormats.join(', ')})`);
+      }
+
       const timestamp = new Date().toISOString().slice(0, 19).replace(/[:]/g, '-');
-      const filename = `${timestamp}_anonymized_${outputPath}.sql`;
+      const filename = `${timestamp}_anonymized_${outputPath}${OUTPUT_FORMATS[format]}`;
       const finalPath = path.join(this.dumpsDirectory, filename);
   
-      logger.info('Preparing database for anonymized dump...');
-  
-      // Crear el archivo cleanup.sql en el sistema local
-      const cleanupFilePath = path.join(this.dumpsDirectory, 'cleanup.sql');
-      const cleanupScript = `
-        DO $$ BEGIN
-          -- Remove security labels added by anon
-          DELETE FROM pg_catalog.pg_seclabel WHERE provider = 'anon';
-  
-          -- Drop the anon extension
-          DROP EXTENSION IF EXISTS anon CASCADE;
-        END $$;
-      `;
-  
-      // Escribir el script en el sistema local
-      await fs.writeFile(cleanupFilePath, cleanupScript);
-      logger.info(`Cleanup script created at ${cleanupFilePath}`);
-  
-      // Copiar el archivo al contenedor
-      await this.dockerManager.executeDockerCommand([
-        'cp',
-        cleanupFilePath,
-        'dump_postgresql:/dumps/cleanup.sql',
-      ]);
-      logger.info('Cleanup script copied to container.');
-  
-      // Ejecutar el script dentro del contenedor
-      await this.dockerManager.executeDockerCommand([
-        'exec',
-        'dump_postgresql',
-        'psql',
-        '-h', this.host,
-        '-p', this.localPort.toString(),
-        '-U', this.user,
-        '-d', this.databaseName,
-        '-f', '/dumps/cleanup.sql',
-      ]);
-  
-      logger.info('Database prepared for anonymized dump.');
-  
-      // Crear el dump final
-      const command = [
-        'exec',
-        'dump_postgresql',
-        'pg_dump',
-        '-h', this.host,
-        '-p', this.localPort,
-        '-U', this.user,
-        '-d', this.databaseName,
-        '--no-owner',
-        '--no-acl',
-        '--no-security-labels',
-        `-f /dumps/${path.basename(finalPath)}`,
-      ];
+      // Con masking dinámico la extensión debe seguir activa para el rol enmascarado
+      const dynamic = this.maskingMode === 'dynamic';
+      if (this.engine.maskFunctions === 'sql' && !dynamic) {
+        await this.removeAnonExtension();
+      }
   
-      await this.dockerManager.executeDockerCommand(command);
+      // Crear el dump final; si el motor no comprime, se comprime en el host
+      const compressLater = format === 'gzip' && !this.engine.compressesOutput;
+      const dumpPath = compressLater ? finalPath.replace(/\.gz$/, '') : finalPath;
+      await this.dockerManager.runDump(this.containerName, this.engine, this.dumpConnectionConfig(), {
+        outputFile: `/dumps/${path.basename(dumpPath)}`,
+        format: compressLater ? 'plain' : format,
+        excludeTables: this.excludedTables,
+        excludeTableData: this.dataExcludedTables,
+        excludeExtensions: dynamic ? ['anon'] : [],
+      });
+      if (compressLater) await gzipFile(dumpPath, finalPath);
   
       logger.info(`Anonymized dump created successfully at: ${finalPath}`);
       return finalPath;
@@ -424,5 +947,28 @@ export class AnonymizationService {
       throw error;
     }
   }  
-     
+
+  /**
+   * Checks that no sampled original value of a masked column appears in the output.
+   */
+  async verifyOutput(outputPath) {
+    if (!this.leakScanner) {
+      emitWarning(this.events, 'Leak check disabled, the output was not verified');
+      return null;
+    }
+    return this.leakScanner.verify(outputPath);
+  }
+
+  /**
+   * Drops the anon extension after static masking, so it is not part of the final dump.
+   */
+  async removeAnonExtension() {
+    const client = await this.engine.connect(this.connectionConfig());
+    try {
+      await client.query('DROP EXTENSION IF EXISTS anon CASCADE');
+      logger.info('anon extension removed before the final dump');
+    } finally {
+      await client.end();
+    }
+  }
 }
@@ -0,0 +1,471 @@
+import { EventEmitter } from 'events';
+import path from 'path';
+import fs from 'fs/promises';
+import { randomUUID } from 'crypto';
+import { logger } from '../utils/logger.js';
+import { loadRules, resolveRulesPath } from '../utils/config.js';
+import { getConfig, requireSettings } from '../config/index.js';
+import { ANONYMIZER_EVENTS } from '../utils/events.js';
+import { AnonymizerError, InvalidOptionsError, RulesError, StageError } from '../utils/errors.js';
+import { getDatabaseEngine, DEFAULT_DATABASE_ENGINE } from '../engines/index.js';
+import { SourceDatabase } from './source.js';
+import { RulesValidator } from './validator.js';
+import { DiscoveryService } from './discovery.js';
+import { RunReporter, REPORT_FORMATS } from './run-report.js';
+import { RunCheckpoint } from './checkpoint.js';
+import { UNSCANNABLE_FORMATS } from './leak-scanner.js';
+import { loadGeneratorModules } from '../masking/generators.js';
+
+// Los motores se importan bajo demanda para que `stream` no necesite Docker ni `.env`
+const MASKING_ENGINES = {
+  docker: async () => (await import('./anonymization.js')).AnonymizationService,
+  stream: async () => (await import('./stream-anonymization.js')).StreamAnonymizationService,
+};
+
+const MASKING_MODES = ['static', 'dynamic'];
+
+// Opciones que un run reanudado no puede cambiar: el contenedor y los datos dependen de ellas
+const RESUME_LOCKED_OPTIONS = ['engine', 'databaseEngine', 'maskingMode'];
+
+const DEFAULT_OPTIONS = {
+  source: null,
+  rules: null,
+  output: null,
+  databaseEngine: DEFAULT_DATABASE_ENGINE,
+  engine: 'docker',
+  maskingMode: 'static',
+  outputFormat: 'plain',
+  dryRun: false,
+  discover: null,
+  saveSource: null,
+  sampleRows: 1000,
+  leakCheck: true,
+  report: ['json', 'html'],
+  resume: null,
+  keepContainer: false,
+  onEvent: null,
+};
+
+function definedOptions(options) {
+  return Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Source of a run as kept in its checkpoint: the dump path, or the connection
+ * fields of a source database (never its password).
+ */
+function checkpointSource(source) {
+  if (typeof source === 'string') return path.resolve(source);
+  const { url, host, port, user, database } = source;
+  return { url, host, port, user, database };
+}
+
+/**
+ * Runs the anonymization pipeline from Node: resolves the input, loads the rules,
+ * masks with the selected engine, dumps and verifies the output. It emits
+ * `ANONYMIZER_EVENTS` while running and throws `AnonymizerError` subclasses,
+ * never exiting the process.
+ *
+ * Options:
+ * - `source`: dump path, `SourceDatabase`, or `{ url }` / `{ host, port, user, database }` of a live database.
+ * - `rules`: rules object, or rules file name in `src/rules` or path.
+ * - `output`: name of the anonymized dump, written to `dumps/`.
+ * - `engine` (`docker`|`stream`), `databaseEngine`, `outputFormat`, `leakCheck`, `sampleRows`.
+ * - `maskingMode`: `static` (rows rewritten before the dump) or `dynamic` (dump taken as the
+ *   masked role; docker engine and PostgreSQL only).
+ * - `report`: formats of the run report written next to the dump (`json`, `md`, `html`), or `false`.
+ * - `dryRun`: only validate the rules; `discover`: path of a starter rules file to write;
+ *   `saveSource`: path where the dump of a live source database is kept.
+ * - `resume`: id of a failed docker run to continue from its first incomplete step; the
+ *   options not given are taken from its checkpoint in `dumps/.checkpoints`.
+ * - `keepContainer`: keep the work container after a failure, to inspect it or resume the run.
+ * - `onEvent(type, payload)`: receives every event.
+ */
+export class Anonymizer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.givenOptions = options;
+    // Identifica la ejecución y su contenedor de trabajo; un run reanudado conserva el suyo
+    this.runId = options.resume || randomUUID().slice(0, 8);
+    this.dumpsDirectory = getConfig().paths.dumps;
+    this.timings = {};
+    this.warnings = [];
+    this.service = null;
+    // Puntos de control de las ejecuciones con el motor docker
+    this.checkpoint = null;
+    this.temporaryFile = null;
+    // Ruta del archivo de reglas cargado, para el informe de la ejecución
+    this.rulesFile = null;
+
+    this.on(ANONYMIZER_EVENTS.WARNING, ({ message }) => this.warnings.push(message));
+    if (this.options.onEvent) {
+      for (const type of Object.values(ANONYMIZER_EVENTS)) {
+        this.on(type, (payload) => this.options.onEvent(type, payload));
+      }
+    }
+  }
+
+  /**
+   * Checks the options before anything is started.
+   */
+  validateOptions() {
+    const { source, rules, output, engine, databaseEngine, maskingMode, outputFormat, leakCheck, report, dryRun, discover, saveSource, resume } =
+      this.options;
+
+    if (!source) throw new InvalidOptionsError('A source is required: a dump path or a source database');
+    if (!MASKING_ENGINES[engine]) {
+      throw new InvalidOptionsError(`Unknown masking engine "${engine}". Available: ${Object.keys(MASKING_ENGINES).join(', ')}`);
+    }
+    let dbEngine;
+    try {
+      dbEngine = getDatabaseEngine(databaseEngine);
+    } catch (error) {
+      throw new InvalidOptionsError(error.message);
+    }
+    if (!MASKING_MODES.includes(maskingMode)) {
+      throw new InvalidOptionsError(`Unknown masking mode "${maskingMode}". Available: ${MASKING_MODES.join(', ')}`);
+    }
+    if (maskingMode === 'dynamic' && (engine !== 'docker' || !dbEngine.supportsDynamicMasking)) {
+      throw new InvalidOptionsError('Dynamic masking needs the docker engine and PostgreSQL');
+    }
+    const unknownReport = (report || []).find((format) => !REPORT_FORMATS[format]);
+    if (unknownReport) {
+      throw new InvalidOptionsError(`Unknown report format "${unknownReport}". Available: ${Object.keys(REPORT_FORMATS).join(', ')}`);
+    }
+    if (saveSource && typeof source === 'string') {
+      throw new InvalidOptionsError('saveSource only applies to a source database, not to a dump file');
+    }
+    if (resume && (dryRun || discover || saveSource)) {
+      throw new InvalidOptionsError('resume continues an anonymization run; it cannot be combined with dryRun, discover or saveSource');
+    }
+    if (discover || (saveSource && !rules)) return;
+    if (!rules) throw new InvalidOptionsError('Rules are required');
+    if (dryRun) return;
+    if (!output) throw new InvalidOptionsError('An output name is required');
+    if (engine === 'docker') requireSettings(dbEngine.requiredSettings, `The work container of ${dbEngine.label}`);
+    // Se comprueba antes de importar y enmascarar: el fallo llegaría tras toda la ejecución
+    if (leakCheck && UNSCANNABLE_FORMATS.includes(outputFormat)) {
+      throw new InvalidOptionsError(`The leak check cannot read ${outputFormat}-format dumps; use a plain, gzip or directory output, or disable leakCheck (--no-leak-check)`);
+    }
+  }
+
+  /**
+   * Loads the checkpoint of the run to resume and completes the options with
+   * the ones the run was started with.
+   */
+  async loadCheckpoint() {
+    const { resume } = this.options;
+    let checkpoint;
+    try {
+      checkpoint = await RunCheckpoint.load(resume, this.dumpsDirectory);
+    } catch (error) {
+      throw new InvalidOptionsError(`Cannot read the checkpoint of run "${resume}": ${error.message}`);
+    }
+    if (!checkpoint) throw new InvalidOptionsError(`No checkpoint found for run "${resume}"`);
+
+    // Lo que no se indica al reanudar se toma de la ejecución original
+    const stored = checkpoint.options;
+    this.options = { ...DEFAULT_OPTIONS, ...stored, ...definedOptions(this.givenOptions) };
+    for (const name of RESUME_LOCKED_OPTIONS) {
+      if (this.options[name] !== stored[name]) {
+        throw new InvalidOptionsError(`Run ${resume} was started with ${name} "${stored[name]}", which cannot change when resuming it`);
+      }
+    }
+    if (!this.options.rules) {
+      throw new InvalidOptionsError(`Run ${resume} was started with a rules object; pass the rules again to resume it`);
+    }
+    this.checkpoint = checkpoint;
+  }
+
+  /**
+   * Runs one stage, timing it and turning unexpected errors into a `StageError`.
+   */
+  async stage(name, task) {
+    const startedAt = Date.now();
+    this.emit(ANONYMIZER_EVENTS.STAGE_START, { stage: name });
+    let ok = false;
+    try {
+      const result = await task();
+      ok = true;
+      return result;
+    } catch (error) {
+      if (!(error instanceof AnonymizerError)) throw new StageError(name, error);
+      if (!error.stage) error.stage = name;
+      throw error;
+    } finally {
+      this.timings[name] = Date.now() - startedAt;
+      this.emit(ANONYMIZER_EVENTS.STAGE_END, { stage: name, durationMs: this.timings[name], ok });
+    }
+  }
+
+  /**
+   * Resolves the input to a dump path or a `SourceDatabase`. A source is saved
+   * to a file first when the run needs one (dry run, discovery, `saveSource`).
+   */
+  async resolveInput() {
+    const { source, databaseEngine, dryRun, discover, saveSource } = this.options;
+
+    if (typeof source === 'string') {
+      const dumpPath = path.resolve(source);
+      try {
+        await fs.access(dumpPath);
+      } catch {
+        throw new InvalidOptionsError(`Dump file "${source}" not found`);
+      }
+      return dumpPath;
+    }
+
+    let database = source;
+    if (!(source instanceof SourceDatabase)) {
+      try {
+        database = SourceDatabase.fromConnection(source, databaseEngine);
+      } catch (error) {
+        throw new InvalidOptionsError(error.message);
+      }
+      if (!database) throw new InvalidOptionsError('The source database needs a url, a host or a database name');
+    }
+
+    if (!saveSource && !dryRun && !discover) return database;
+
+    await fs.mkdir(this.dumpsDirectory, { recursive: true });
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:]/g, '-');
+    // El pid en el nombre le dice a `clean` si el proceso que lo usa sigue vivo
+    const filePath = saveSource
+      ? path.resolve(saveSource)
+      : path.join(this.dumpsDirectory, `${timestamp}_source_${database.database}.${process.pid}.tmp.sql`);
+    if (!saveSource) this.temporaryFile = filePath;
+    // Para validar basta con el esquema: no se escriben datos personales en disco
+    await database.dumpToFile(filePath, { schemaOnly: dryRun && !discover && !saveSource });
+    return filePath;
+  }
+
+  async loadRules() {
+    const { rules } = this.options;
+    if (typeof rules !== 'string') {
+      // En unas reglas pasadas como objeto, las rutas de los generadores parten del directorio actual
+      if (rules && Array.isArray(rules.generators)) {
+        try {
+          await loadGeneratorModules(rules.generators);
+        } catch (error) {
+          throw new RulesError(error.message, { cause: error });
+        }
+      }
+      return rules;
+    }
+    try {
+      this.rulesFile = await resolveRulesPath(rules);
+      return await loadRules(rules);
+    } catch (error) {
+      throw new RulesError(error.message, { cause: error });
+    }
+  }
+
+  /**
+   * Validates the rules against the dump DDL and fails with the report when there are errors.
+   */
+  async validateRules(dumpPath, rules) {
+    const validator = new RulesValidator(this.options.engine, this.options.databaseEngine, {
+      maskingMode: this.options.maskingMode,
+    });
+    const report = await validator.validate(dumpPath, rules);
+    validator.printReport(report);
+    for (const { table, column, message } of report.warnings) {
+      this.emit(ANONYMIZER_EVENTS.WARNING, { message: `[${[table, column].filter(Boolean).join('.')}] ${message}` });
+    }
+    if (report.errors.length > 0) {
+      throw new RulesError(`Rules validation failed with ${report.errors.length} error(s)`, { stage: 'validate', report });
+    }
+    return report;
+  }
+
+  /**
+   * Starts the masking engine service on the resolved input.
+   */
+  async createService(input) {
+    const { engine, databaseEngine, outputFormat, maskingMode, leakCheck, sampleRows } = this.options;
+    const AnonymizationService = await MASKING_ENGINES[engine]();
+    // Solo el motor docker tiene pasos que se puedan retomar, en su contenedor de trabajo
+    if (engine === 'docker' && !this.checkpoint) {
+      this.checkpoint = new RunCheckpoint(this.runId, this.dumpsDirectory, { options: this.checkpointOptions(input) });
+    }
+    this.service = new AnonymizationService(input, databaseEngine, {
+      leakCheck,
+      sampleRows,
+      maskingMode,
+      runId: this.runId,
+      events: this,
+      checkpoint: this.checkpoint,
+      keepContainer: this.options.keepContainer,
+    });
+    if (!this.service.outputFormats.includes(outputFormat)) {
+      throw new InvalidOptionsError(`Output format "${outputFormat}" is not available here (use ${this.service.outputFormats.join(', ')})`);
+    }
+    if (this.checkpoint) await this.checkpoint.start();
+    await this.service.init();
+    await this.service.setup();
+  }
+
+  /**
+   * Options kept in the checkpoint of the run, so that `resume` can continue it.
+   */
+  checkpointOptions(input) {
+    const { output, databaseEngine, engine, maskingMode, outputFormat, sampleRows, leakCheck, report } = this.options;
+    return {
+      source: checkpointSource(typeof input === 'string' ? input : this.options.source),
+      rules: this.rulesFile,
+      output,
+      databaseEngine,
+      engine,
+      maskingMode,
+      outputFormat,
+      sampleRows,
+      leakCheck,
+      report,
+    };
+  }
+
+  /**
+   * Runs the pipeline and returns the result of the run.
+   * @returns {Promise<object>} - `{ runId, outputPath, format, engine, databaseEngine, tables, leakCheck, preprocessing,
+   * report, reportFiles, sourceDump, rulesPath, warnings, timings, durationMs }`; fields that do not apply to the run are null.
+   * `preprocessing` lists the statements of the input dump rewritten before importing it.
+   */
+  async run() {
+    const startedAt = Date.now();
+    if (this.options.resume) await this.loadCheckpoint();
+    this.validateOptions();
+    const { options } = this;
+
+    let failure = null;
+    try {
+      const input = await this.stage('input', () => this.resolveInput());
+
+      // Con saveSource y sin reglas solo se toma el dump de la base de origen
+      if (options.saveSource && !options.rules && !options.discover) {
+        return this.result(startedAt, { sourceDump: input });
+      }
+
+      if (options.discover) {
+        const discovery = new DiscoveryService(input, { sampleRows: options.sampleRows });
+        await this.stage('discover', () => discovery.writeRules(path.resolve(options.discover)));
+        return this.result(startedAt, { rulesPath: path.resolve(options.discover) });
+      }
+
+      const rules = await this.stage('rules', () => this.loadRules());
+
+      if (options.dryRun) {
+        const report = await this.stage('validate', () => this.validateRules(input, rules));
+        return this.result(startedAt, { report });
+      }
+
+      await this.stage('setup', () => this.createService(input));
+      await this.stage('mask', () => this.service.processRules(rules));
+      const outputPath = await this.stage('dump', () =>
+        this.service.createAnonymizedDump(options.output, { format: options.outputFormat })
+      );
+      const leakCheck = await this.stage('verify', () => this.service.verifyOutput(outputPath));
+      this.logTableSummary(this.service.tableSummary);
+
+      const fields = {
+        outputPath,
+        format: options.outputFormat,
+        tables: this.service.tableSummary,
+        leakCheck,
+        preprocessing: [...this.service.preprocessChanges],
+      };
+      if (options.report && options.report.length > 0) {
+        fields.reportFiles = await this.stage('report', () => this.writeReport(input, rules, this.result(startedAt, fields)));
+      }
+      return this.result(startedAt, fields);
+    } catch (error) {
+      failure = error;
+      throw error;
+    } finally {
+      await this.cleanup(failure);
+    }
+  }
+
+  /**
+   * Writes the run report (fingerprints, masked columns, stages) next to the dump.
+   * @returns {Promise<string[]>} - Paths of the report files.
+   */
+  async writeReport(input, rules, result) {
+    const reporter = new RunReporter(this.options.report);
+    const report = await reporter.build({
+      ...result,
+      maskingMode: this.options.engine === 'docker' ? this.options.maskingMode : null,
+      rules,
+      rulesPath: this.rulesFile,
+      inputPath: typeof input === 'string' ? input : null,
+      inputSource: typeof input === 'string' ? null : input.description,
+    });
+    return reporter.write(report);
+  }
+
+  /**
+   * Logs what happened to every table of the dump.
+   */
+  logTableSummary(tables) {
+    logger.info(`Table summary (${tables.length} tables):`);
+    for (const { table, strategy, rows } of tables) {
+      logger.info(`  ${table}: ${strategy}, ${rows} rows in the output`);
+    }
+  }
+
+  result(startedAt, fields) {
+    return {
+      runId: this.runId,
+      outputPath: null,
+      format: null,
+      engine: this.options.engine,
+      databaseEngine: getDatabaseEngine(this.options.databaseEngine).name,
+      tables: [],
+      leakCheck: null,
+      preprocessing: [],
+      report: null,
+      reportFiles: [],
+      sourceDump: null,
+      rulesPath: null,
+      ...fields,
+      warnings: [...this.warnings],
+      timings: { ...this.timings },
+      durationMs: Date.now() - startedAt,
+    };
+  }
+
+  async cleanup(failure = null) {
+    if (this.service) {
+      await this.service.cleanup({ failed: !!failure }).catch((error) => logger.error('Cleanup after failure:', error));
+      this.service = null;
+    }
+    if (this.checkpoint) {
+      // Un run fallido conserva su punto de control para poder reanudarlo
+      if (failure) {
+        await this.checkpoint
+          .save({ status: 'failed', error: failure.message })
+          .catch((error) => logger.error('Failed to save the checkpoint:', error));
+        const kept = this.options.keepContainer ? '' : ' (the work container was removed, so the dump will be imported again)';
+        logger.info(`Run ${this.runId} can be resumed with --resume ${this.runId}${kept}`);
+      } else {
+        await this.checkpoint.remove();
+      }
+      this.checkpoint = null;
+    }
+    // Dump temporal de la base de origen usado por el dry run o discover
+    if (this.temporaryFile) {
+      await fs.rm(this.temporaryFile, { force: true });
+      this.temporaryFile = null;
+    }
+  }
+}
+
+/**
+ * Runs the anonymization pipeline with the given options (see `Anonymizer`).
+ * Every failure, the configuration errors of the constructor included, rejects the promise.
+ * @param {object} options - Run options; `onEvent(type, payload)` receives the progress events.
+ * @returns {Promise<object>} - Result of the run.
+ */
+export async function anonymize(options = {}) {
+  return new Anonymizer(options).run();
+}
@@ -0,0 +1,120 @@
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+
+/**
+ * Steps of a docker run that a resumed run can skip, in order.
+ */
+export const CHECKPOINT_STAGES = ['preprocess', 'container', 'import', 'anon', 'mask', 'dump'];
+
+// Los identificadores de ejecución forman parte de nombres de archivo y contenedor
+const RUN_ID_PATTERN = /^[\w-]+$/;
+
+/**
+ * Folder of the checkpoints inside the dumps folder.
+ */
+export function checkpointsDirectory(dumpsDirectory) {
+  return path.join(dumpsDirectory, '.checkpoints');
+}
+
+/**
+ * Progress of one run, kept in `dumps/.checkpoints/<runId>.json`: the options
+ * it was started with and the steps it completed, each one with the data needed
+ * to continue after it. No row data is ever written to the checkpoint.
+ */
+export class RunCheckpoint {
+  constructor(runId, dumpsDirectory, state = {}) {
+    if (!RUN_ID_PATTERN.test(runId)) throw new Error(`Invalid run id "${runId}"`);
+    this.runId = runId;
+    this.filePath = path.join(checkpointsDirectory(dumpsDirectory), `${runId}.json`);
+    this.state = { runId, status: 'running', options: {}, stages: {}, error: null, ...state };
+  }
+
+  /**
+   * Reads the checkpoint of a run.
+   * @returns {Promise<RunCheckpoint|null>} - The checkpoint, or null when the run has none.
+   */
+  static async load(runId, dumpsDirectory) {
+    const checkpoint = new RunCheckpoint(runId, dumpsDirectory);
+    try {
+      checkpoint.state = JSON.parse(await fs.readFile(checkpoint.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    return checkpoint;
+  }
+
+  /**
+   * Ids of the runs that have a checkpoint.
+   */
+  static async list(dumpsDirectory) {
+    let names;
+    try {
+      names = await fs.readdir(checkpointsDirectory(dumpsDirectory));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return names
+      .filter((name) => name.endsWith('.json'))
+      .map((name) => name.slice(0, -'.json'.length))
+      .filter((runId) => RUN_ID_PATTERN.test(runId));
+  }
+
+  get options() {
+    return this.state.options;
+  }
+
+  isComplete(stage) {
+    return !!this.state.stages[stage];
+  }
+
+  /**
+   * Data saved when the stage completed.
+   */
+  data(stage) {
+    const { completedAt, ...data } = this.state.stages[stage] || {};
+    return data;
+  }
+
+  /**
+   * Whether a previous attempt of the run completed any stage.
+   */
+  get started() {
+    return Object.keys(this.state.stages).length > 0;
+  }
+
+  /**
+   * Marks the run as running in this process, so that `clean` leaves it alone.
+   */
+  async start() {
+    await this.save({ status: 'running', error: null, pid: process.pid, host: os.hostname() });
+  }
+
+  async complete(stage, data = {}) {
+    this.state.stages[stage] = { ...data, completedAt: new Date().toISOString() };
+    await this.save();
+  }
+
+  /**
+   * Forgets a stage and every later one, so they run again.
+   */
+  async reset(stage) {
+    for (const name of CHECKPOINT_STAGES.slice(CHECKPOINT_STAGES.indexOf(stage))) delete this.state.stages[name];
+    await this.save();
+  }
+
+  async save(fields = {}) {
+    Object.assign(this.state, fields, { updatedAt: new Date().toISOString() });
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    // Se escribe aparte y se renombra: un fallo a medias no deja un JSON cortado
+    const temporaryPath = `${this.filePath}.tmp`;
+    await fs.writeFile(temporaryPath, `${JSON.stringify(this.state, null, 2)}\n`);
+    await fs.rename(temporaryPath, this.filePath);
+  }
+
+  async remove() {
+    await fs.rm(this.filePath, { force: true });
+  }
+}
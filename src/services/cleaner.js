@@ -0,0 +1,164 @@
+import { logger } from '../utils/logger.js';
+import { DockerManager, CONTAINER_LABELS } from './docker.js';
+import { listDatabaseEngines } from '../engines/index.js';
+import { getConfig } from '../config/index.js';
+import { RunCheckpoint } from './checkpoint.js';
+import path from 'path';
+import os from 'os';
+import fs from 'fs/promises';
+
+// Archivos de trabajo que un proceso interrumpido puede dejar en `dumps`, y cómo saber de quién son
+const TEMPORARY_FILES = [
+  // `<dump>.<runId>.decompressed`: dumps .gz o .zst descomprimidos antes de importarlos
+  { pattern: /\.decompressed$/, owner: /\.([\w-]+)\.decompressed$/, ownedBy: 'run' },
+  // `<dump>.<runId>.processed`: dumps preprocesados antes de importarlos
+  { pattern: /\.processed$/, owner: /\.([\w-]+)\.processed$/, ownedBy: 'run' },
+  // `<fecha>_source_<base>.<pid>.tmp.sql`: dumps temporales de una base de origen (dry run, discover)
+  { pattern: /\.tmp\.sql$/, owner: /\.(\d+)\.tmp\.sql$/, ownedBy: 'pid' },
+];
+
+/**
+ * Whether the process that created a work container or checkpoint is still running on this host.
+ */
+function isOwnerRunning({ pid, host }) {
+  pid = Number(pid);
+  if (host !== os.hostname() || !pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: el proceso existe pero es de otro usuario
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Finds and removes what interrupted runs leave behind: the work containers of
+ * every database engine, the temporary files in `dumps` and the checkpoints of
+ * runs whose container is gone. Containers and files of runs still in progress on
+ * this host are left alone, and so are those a failed run kept to be resumed, unless `all`.
+ */
+export class WorkspaceCleaner {
+  constructor(dumpsDirectory = getConfig().paths.dumps) {
+    this.dumpsDirectory = dumpsDirectory;
+    this.dockerManager = new DockerManager();
+  }
+
+  /**
+   * Finds the containers to remove.
+   * @param {object} runs - `resumable`: runs with a checkpoint, whose containers are kept unless `all`;
+   *   `live`: runs in progress according to their checkpoint (a resumed run keeps the labels of the first attempt).
+   * @returns {Promise<{containers: string[], keptRuns: Set<string>}>} - Containers to remove and runs whose container stays.
+   */
+  async findContainers({ resumable = new Set(), live = new Set() } = {}, { all = false } = {}) {
+    const containers = [];
+    const keptRuns = new Set();
+    for (const container of await this.dockerManager.listWorkContainers()) {
+      const name = container.Names[0].replace(/^\//, '');
+      const runId = container.Labels[CONTAINER_LABELS.run];
+      const owner = { pid: container.Labels[CONTAINER_LABELS.pid], host: container.Labels[CONTAINER_LABELS.host] };
+      if (isOwnerRunning(owner) || live.has(runId)) {
+        logger.info(`Skipping container ${name}: its run is still in progress`);
+        keptRuns.add(runId);
+      } else if (resumable.has(runId) && !all) {
+        logger.info(`Skipping container ${name}: run ${runId} can be resumed with --resume ${runId} (--all removes it)`);
+        keptRuns.add(runId);
+      } else {
+        containers.push(name);
+      }
+    }
+
+    // Contenedores con nombre fijo de versiones anteriores, sin etiquetas
+    const names = [...new Set(listDatabaseEngines().map((engine) => engine.containerName))];
+    for (const name of names) {
+      if (await this.dockerManager.getExistingContainer(name)) containers.push(name);
+    }
+    return { containers, keptRuns };
+  }
+
+  /**
+   * Reads the checkpoints of the runs; unreadable ones are listed too, to be removed.
+   * @returns {Promise<Array<{runId: string, filePath: string, checkpoint: RunCheckpoint|null}>>} - One entry per file.
+   */
+  async findCheckpoints() {
+    const found = [];
+    for (const runId of await RunCheckpoint.list(this.dumpsDirectory)) {
+      const checkpoint = await RunCheckpoint.load(runId, this.dumpsDirectory).catch(() => null);
+      found.push({ runId, filePath: new RunCheckpoint(runId, this.dumpsDirectory).filePath, checkpoint });
+    }
+    return found;
+  }
+
+  /**
+   * Finds the temporary files in `dumps`, except those of runs that are in progress or kept.
+   * @param {Set<string>} keptRuns - Runs whose work files stay.
+   * @returns {Promise<string[]>} - Paths of the files to remove.
+   */
+  async findTemporaryFiles(keptRuns = new Set()) {
+    let entries;
+    try {
+      entries = await fs.readdir(this.dumpsDirectory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const files = [];
+    for (const name of entries) {
+      const kind = TEMPORARY_FILES.find(({ pattern }) => pattern.test(name));
+      if (!kind) continue;
+      // Los archivos sin dueño en el nombre son de versiones anteriores
+      const owner = (name.match(kind.owner) || [])[1];
+      const kept = kind.ownedBy === 'run' ? keptRuns.has(owner) : owner && isOwnerRunning({ pid: owner, host: os.hostname() });
+      if (kept) logger.info(`Skipping ${name}: its run is still in progress or can be resumed`);
+      else files.push(path.join(this.dumpsDirectory, name));
+    }
+    return files;
+  }
+
+  /**
+   * Removes the leftovers, or only lists them with `dryRun`.
+   * @returns {Promise<{containers: string[], checkpoints: string[], files: string[]}>} - What was found.
+   */
+  async clean({ dryRun = false, containers = true, all = false } = {}) {
+    const checkpoints = await this.findCheckpoints();
+    const runs = {
+      resumable: new Set(checkpoints.map(({ runId }) => runId)),
+      live: new Set(
+        checkpoints
+          .filter(({ checkpoint }) => checkpoint?.state.status === 'running' && isOwnerRunning(checkpoint.state))
+          .map(({ runId }) => runId)
+      ),
+    };
+    const { containers: foundContainers, keptRuns } = containers
+      ? await this.findContainers(runs, { all })
+      : { containers: [], keptRuns: null };
+    const found = {
+      containers: foundContainers,
+      // Punto de control sin contenedor: --resume ya no encontraría su base de datos.
+      // Sin Docker no se sabe qué contenedores quedan, así que no se toca ninguno
+      checkpoints: keptRuns
+        ? checkpoints
+          .filter(({ runId }) => !keptRuns.has(runId) && !runs.live.has(runId))
+          .map(({ filePath }) => filePath)
+        : [],
+      // Sin Docker, se conservan los archivos de todas las ejecuciones con punto de control
+      files: await this.findTemporaryFiles(new Set([...(keptRuns || runs.resumable), ...runs.live])),
+    };
+
+    for (const name of found.containers) {
+      if (dryRun) logger.info(`Would remove container ${name}`);
+      else await this.dockerManager.ensureCleanContainer(name);
+    }
+    for (const file of [...found.checkpoints, ...found.files]) {
+      if (dryRun) {
+        logger.info(`Would remove ${file}`);
+      } else {
+        await fs.rm(file, { recursive: true, force: true });
+        logger.info(`Removed ${file}`);
+      }
+    }
+
+    if (found.containers.length === 0 && found.checkpoints.length === 0 && found.files.length === 0) logger.info('Nothing to clean');
+    return found;
+  }
+}
@@ -0,0 +1,236 @@
+import { logger } from '../utils/logger.js';
+import { readDump } from '../utils/dump-reader.js';
+import {
+  parseCopyRow,
+  parseCreateTable,
+  parseInsertStatement,
+  decodeSqlLiteral,
+  quoteIdentifier,
+} from '../utils/sql-dump.js';
+import { qualifiedTableName, DEFAULT_SCHEMA } from '../utils/rules.js';
+import { typeFamily, familyFits, expressionFamily } from '../masking/catalog.js';
+import { parseMaskExpression } from '../masking/expression.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Column name patterns that suggest personal data, with the mask to propose.
+ * `{col}` is replaced with the quoted column name.
+ */
+const NAME_PATTERNS = [
+  { kind: 'email', pattern: /e_?mail/, score: 0.7, mask: 'anon.fake_email()' },
+  { kind: 'phone', pattern: /phone|mobile|movil|telef|(^|_)tel(_|$)|cell_?phone/, score: 0.7, mask: "anon.partial({col}, 2, '******', 2)" },
+  { kind: 'national id', pattern: /\b(dni|nie|nif|ssn|passport|pasaporte|national_id|tax_id)\b|_(dni|nie|nif|ssn)$|^(dni|nie|nif|ssn)_/, score: 0.8, mask: 'anon.random_string(9)' },
+  { kind: 'iban', pattern: /iban|account_number|bank_account/, score: 0.8, mask: 'anon.fake_iban()' },
+  { kind: 'card', pattern: /card_number|credit_card|cc_number|\bpan\b/, score: 0.8, mask: "anon.partial({col}, 0, '************', 4)" },
+  { kind: 'address', pattern: /address|street|direccion|calle|addr/, score: 0.6, mask: 'anon.fake_address()' },
+  { kind: 'city', pattern: /^city$|_city$|ciudad/, score: 0.4, mask: 'anon.fake_city()' },
+  { kind: 'postal code', pattern: /zip|postal|postcode/, score: 0.4, mask: 'anon.random_zip()' },
+  { kind: 'birth date', pattern: /birth|(^|_)dob(_|$)|nacimiento/, score: 0.7, mask: "anon.random_date_between('1940-01-01', '2005-12-31')" },
+  { kind: 'first name', pattern: /first_?name|given_?name|nombre/, score: 0.7, mask: 'anon.fake_first_name()' },
+  { kind: 'last name', pattern: /last_?name|surname|family_?name|apellido/, score: 0.7, mask: 'anon.fake_last_name()' },
+  { kind: 'full name', pattern: /^(full_?)?name$|_name$/, score: 0.3, mask: 'anon.dummy_name()' },
+  { kind: 'secret', pattern: /password|passwd|secret|token|api_key/, score: 0.7, mask: 'anon.random_string(12)' },
+  { kind: 'ip address', pattern: /(^|_)ip(_|$)|ip_address/, score: 0.6, mask: "'0.0.0.0'" },
+];
+
+/**
+ * Value patterns checked against the sampled rows.
+ */
+const VALUE_PATTERNS = [
+  { kind: 'email', test: (value) => /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test(value), mask: 'anon.fake_email()' },
+  { kind: 'card', test: (value) => isCardNumber(value), mask: "anon.partial({col}, 0, '************', 4)" },
+  {
+    kind: 'ip address',
+    test: (value) => /^(\d{1,3}\.){3}\d{1,3}(\/\d+)?$/.test(value) || /^[0-9a-f]*:[0-9a-f:]+$/i.test(value),
+    mask: "'0.0.0.0'",
+  },
+  { kind: 'iban', test: (value) => /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(value.replace(/\s/g, '')), mask: 'anon.fake_iban()' },
+  { kind: 'national id', test: (value) => /^[XYZ0-9]\d{7}[A-Z]$/i.test(value), mask: 'anon.random_string(9)' },
+];
+
+/**
+ * Columns at or above this confidence are emitted as active rules; those at or
+ * above `REVIEW_CONFIDENCE` are emitted commented out for review.
+ */
+const ACCEPT_CONFIDENCE = 0.7;
+const REVIEW_CONFIDENCE = 0.3;
+
+function isCardNumber(value) {
+  const digits = value.replace(/[\s-]/g, '');
+  if (!/^\d{13,19}$/.test(digits)) return false;
+
+  // Algoritmo de Luhn
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function jsString(value) {
+  const quote = value.includes("'") && !value.includes('"') ? '"' : "'";
+  return `${quote}${value.replace(/\\/g, '\\\\').replace(new RegExp(quote, 'g'), `\\${quote}`)}${quote}`;
+}
+
+/**
+ * Scans a dump for likely personal data and writes a starter rules file.
+ */
+export class DiscoveryService {
+  constructor(dumpPath, { sampleRows = 1000 } = {}) {
+    this.dumpPath = dumpPath;
+    this.sampleRows = sampleRows;
+  }
+
+  /**
+   * Reads the DDL and the first `sampleRows` rows of every table.
+   * Returns a map of qualified table name -> `{ schema, table, columns, samples }`.
+   */
+  async sampleDump() {
+    const tables = new Map();
+    const tableFor = (schema, table) => tables.get(qualifiedTableName(schema || DEFAULT_SCHEMA, table));
+
+    let copy = null;
+    for await (const event of readDump(this.dumpPath)) {
+      if (event.type === 'statement' && event.kind === 'create-table') {
+        const definition = parseCreateTable(event.text);
+        if (definition) {
+          const schema = definition.schema || DEFAULT_SCHEMA;
+          tables.set(qualifiedTableName(schema, definition.table), { ...definition, schema, samples: [] });
+        }
+      } else if (event.type === 'copy-start') {
+        const table = tableFor(event.header.schema, event.header.table);
+        copy = table ? { table, columns: event.header.columns || table.columns.map((column) => column.name) } : null;
+      } else if (event.type === 'copy-row' && copy && copy.table.samples.length < this.sampleRows) {
+        const values = parseCopyRow(event.text);
+        copy.table.samples.push(Object.fromEntries(copy.columns.map((column, index) => [column, values[index]])));
+      } else if (event.type === 'copy-end') {
+        copy = null;
+      } else if (event.type === 'statement' && event.kind === 'insert') {
+        const insert = parseInsertStatement(event.text);
+        const table = insert && tableFor(insert.schema, insert.table);
+        if (!table) continue;
+        const columns = insert.columns || table.columns.map((column) => column.name);
+        for (const tuple of insert.tuples) {
+          if (table.samples.length >= this.sampleRows) break;
+          table.samples.push(
+            Object.fromEntries(columns.map((column, index) => [column, decodeSqlLiteral(tuple[index].raw).value]))
+          );
+        }
+      }
+    }
+
+    return tables;
+  }
+
+  /**
+   * Scores one column and returns a finding, or null when nothing was detected.
+   */
+  classifyColumn(column, samples) {
+    const reasons = [];
+    let valueMatch = null;
+
+    const normalizedName = column.name.toLowerCase();
+    const nameMatch = NAME_PATTERNS.find(({ pattern }) => pattern.test(normalizedName)) || null;
+    if (nameMatch) reasons.push(`name looks like ${nameMatch.kind}`);
+
+    const values = samples.map((row) => row[column.name]).filter((value) => value !== null && value !== undefined && value !== '');
+    if (values.length > 0) {
+      for (const candidate of VALUE_PATTERNS) {
+        const ratio = values.filter((value) => candidate.test(String(value))).length / values.length;
+        if (ratio > 0 && (!valueMatch || ratio > valueMatch.ratio)) valueMatch = { ...candidate, ratio };
+      }
+      if (valueMatch) reasons.push(`${Math.round(valueMatch.ratio * 100)}% of ${values.length} sampled values look like ${valueMatch.kind}`);
+    }
+
+    if (!nameMatch && !valueMatch) return null;
+
+    const nameScore = nameMatch ? nameMatch.score : 0;
+    const valueScore = valueMatch ? valueMatch.ratio * 0.9 : 0;
+    const confidence = 1 - (1 - nameScore) * (1 - valueScore);
+
+    // Con datos de ejemplo que contradicen el nombre se prefiere lo que dicen los valores
+    const source = valueMatch && valueMatch.ratio >= 0.5 ? valueMatch : nameMatch || valueMatch;
+    const mask = this.fitMask(source.mask.replace(/\{col\}/g, quoteIdentifier(column.name)), column.type);
+
+    return { column: column.name, type: column.type, mask, confidence: Math.round(confidence * 100) / 100, reasons };
+  }
+
+  /**
+   * Replaces a suggested mask that does not fit the column type with a type-based one.
+   */
+  fitMask(mask, type) {
+    const family = typeFamily(type);
+    if (familyFits(expressionFamily(parseMaskExpression(mask)), family)) return mask;
+    if (family === 'numeric') return 'anon.random_int_between(0, 999999)';
+    if (family === 'datetime') return 'anon.random_date()';
+    return 'NULL';
+  }
+
+  /**
+   * Scans the dump and returns the findings grouped by table.
+   */
+  async discover() {
+    logger.info(`Scanning ${this.dumpPath} for personal data...`);
+    const tables = await this.sampleDump();
+    const findings = [];
+
+    for (const table of tables.values()) {
+      const columns = table.columns
+        .map((column) => this.classifyColumn(column, table.samples))
+        .filter((finding) => finding && finding.confidence >= REVIEW_CONFIDENCE);
+      if (columns.length > 0) findings.push({ schema: table.schema, table: table.table, columns });
+    }
+
+    const flagged = findings.reduce((total, table) => total + table.columns.length, 0);
+    logger.info(`Flagged ${flagged} columns in ${findings.length} of ${tables.size} tables`);
+    return findings;
+  }
+
+  /**
+   * Renders the findings as a rules module in the shape `loadRules` consumes.
+   */
+  renderRules(findings) {
+    const lines = [
+      `// Starter rules generated by discovery from ${path.basename(this.dumpPath)} on ${new Date().toISOString()}`,
+      '// Review every rule before use. Commented columns were not detected with enough confidence.',
+      'export default {',
+    ];
+
+    for (const finding of findings) {
+      const key = finding.schema === DEFAULT_SCHEMA
+        ? quoteIdentifier(finding.table)
+        : qualifiedTableName(finding.schema, finding.table);
+      const accepted = finding.columns.some((column) => column.confidence >= ACCEPT_CONFIDENCE);
+      const prefix = accepted ? '' : '// ';
+
+      lines.push(`  ${prefix}${jsString(key)}: {`, `  ${prefix}  masks: {`);
+      for (const column of finding.columns) {
+        const comment = column.confidence >= ACCEPT_CONFIDENCE ? '' : '// ';
+        lines.push(
+          `  ${prefix}    ${comment}${jsString(quoteIdentifier(column.column))}: ${jsString(column.mask)}, ` +
+            `// confidence ${column.confidence.toFixed(2)}: ${column.reasons.join('; ')}`
+        );
+      }
+      lines.push(`  ${prefix}  },`, `  ${prefix}},`);
+    }
+
+    lines.push('};', '');
+    return lines.join('\n');
+  }
+
+  /**
+   * Discovers personal data and writes the starter rules file. Existing files are never overwritten.
+   */
+  async writeRules(outputPath) {
+    const findings = await this.discover();
+    await fs.writeFile(outputPath, this.renderRules(findings), { flag: 'wx' });
+    logger.info(`Starter rules written to ${outputPath}`);
+    return findings;
+  }
+}
@@ -1,10 +1,63 @@
 import { logger } from '../utils/logger.js';
-import { promisify } from 'util';
-import { exec } from 'child_process';
 import Docker from 'dockerode';
 import path from 'path';
+import os from 'os';
+import { createReadStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { spawnProcess, runProcess } from '../utils/process.js';
 
-const execAsync = promisify(exec);
+// Etiquetas que identifican los contenedores de trabajo y el proceso que los creó
+export const CONTAINER_LABELS = {
+  run: 'db-anonymizer.run',
+  pid: 'db-anonymizer.pid',
+  host: 'db-anonymizer.host',
+};
+
+const MEMORY_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+
+// Contenedores creados por este proceso, para quitarlos si recibe SIGINT o SIGTERM
+const runningContainers = new Set();
+let signalHandlersInstalled = false;
+
+/**
+ * Parses a Docker memory size (`512m`, `2g`, bytes) into bytes.
+ */
+export function parseMemory(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*([bkmg])?$/i.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid memory limit "${value}" (use e.g. 512m or 2g)`);
+  return Math.round(Number(match[1]) * MEMORY_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Labels of a work container of the given run.
+ */
+export function runLabels(runId) {
+  return {
+    [CONTAINER_LABELS.run]: runId,
+    [CONTAINER_LABELS.pid]: String(process.pid),
+    [CONTAINER_LABELS.host]: os.hostname(),
+  };
+}
+
+/**
+ * Removes the containers of this process on SIGINT/SIGTERM, then lets the signal
+ * end the process as usual (unless the application handles it too).
+ */
+function installSignalHandlers(docker) {
+  if (signalHandlersInstalled) return;
+  signalHandlersInstalled = true;
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.once(signal, async () => {
+      logger.warn(`${signal} received, removing ${runningContainers.size} work container(s)...`);
+      await Promise.allSettled(
+        [...runningContainers].map((name) => docker.getContainer(name).remove({ force: true, v: true }))
+      );
+      runningContainers.clear();
+      if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+    });
+  }
+}
 
 export class DockerManager {
   constructor(){
@@ -17,11 +70,16 @@ export class DockerManager {
   async ensureCleanContainer(containerName) {
     try {
       const container = this.docker.getContainer(containerName);
-      await container.stop();
+      // 304: el contenedor ya estaba parado (por ejemplo, tras un fallo)
+      await container.stop().catch((error) => {
+        if (error.statusCode !== 304) throw error;
+      });
       await container.remove({ v: true });
+      runningContainers.delete(containerName);
       logger.info(`Removed existing container: ${containerName}`);
     } catch (error) {
-      if (error.statusCode !== 404) {
+      if (error.statusCode === 404) runningContainers.delete(containerName);
+      else {
         logger.error('Failed to remove existing container:', error);
         throw error;
       }
@@ -29,59 +87,91 @@ export class DockerManager {
   }
 
   /**
-   * Executes a Docker command.
+   * Executes a Docker command. Arguments are passed as an array, never through a shell.
+   * @param {string[]} args - Arguments of `docker`.
+   * @param {object} options - `{ env, name, outputFile }` (see `runProcess`).
+   * @returns {Promise<string>} - Stdout of the command, empty when it goes to `outputFile`.
    */
-  async executeDockerCommand(args) {
+  async executeDockerCommand(args, { env = {}, name = 'docker', outputFile = null } = {}) {
     try {
-      const command = ['docker', ...args].join(' ');
-      logger.debug(`Executing Docker command: ${command}`);
-      const { stdout, stderr } = await execAsync(command);
-      if (stderr) logger.warn(`Docker stderr: ${stderr}`);
+      logger.debug(`Executing Docker command: docker ${args.join(' ')}`);
+      const { stdout, stderr } = await runProcess('docker', args, { env, name, outputFile });
+      if (stderr.trim()) logger.warn(`${name} stderr: ${stderr.trim()}`);
       return stdout;
     } catch (error) {
-      logger.error('Failed to execute Docker command:', error);
+      logger.error(`Failed to execute ${name}:`, error);
       throw error;
     }
   }
 
   /**
-   * Runs pg_dump within a Docker container.
+   * Runs a command inside a container. The values of `env` reach the container
+   * through the environment of `docker` itself, so secrets never show up in the arguments.
+   * @param {string} containerName - Container to run in.
+   * @param {string[]} command - Program and arguments.
+   * @param {object} env - Environment variables for the command.
+   * @param {object} options - `{ outputFile }`: host file that receives stdout.
+   */
+  async execInContainer(containerName, command, env = {}, { outputFile = null } = {}) {
+    const args = ['exec', ...Object.keys(env).flatMap((variable) => ['-e', variable]), containerName, ...command];
+    return this.executeDockerCommand(args, { env, name: command[0], outputFile });
+  }
+
+  /**
+   * Runs the engine dump tool (pg_dump, mysqldump) within a Docker container.
+   * @param {object} options - Options of the engine `dumpCommand`.
+   * @param {object} output - `{ outputFile }`: host file that receives the dump from stdout.
+   */
+  async runDump(containerName, engine, config, options = {}, { outputFile = null } = {}) {
+    return this.execInContainer(containerName, engine.dumpCommand(config, options), engine.execEnv(config), { outputFile });
+  }
+
+  /**
+   * Runs the engine client (psql, mysql) within a Docker container to import a dump file.
+   */
+  async runImport(containerName, engine, config, dumpPath) {
+    // Los clientes que no leen archivos por argumento (mysql) reciben el dump por stdin
+    if (!engine.readsDumpFiles) {
+      return this.runImportStream(containerName, engine, config, createReadStream(dumpPath));
+    }
+    const containerDumpPath = `/dumps/${path.basename(dumpPath)}`;
+    return this.execInContainer(containerName, engine.importCommand(config, containerDumpPath), engine.execEnv(config));
+  }
+
+  /**
+   * Runs a command inside a container with a stream piped to its stdin.
+   */
+  async pipeIntoContainer(containerName, command, env, input) {
+    const args = ['exec', '-i', ...Object.keys(env).flatMap((variable) => ['-e', variable]), containerName, ...command];
+    logger.debug(`Piping into Docker command: docker ${['exec', '-i', containerName, ...command].join(' ')}`);
+    const { child, done } = spawnProcess('docker', args, { env, stdin: true, name: command[0] });
+
+    const [piped, finished] = await Promise.allSettled([pipeline(input, child.stdin), done]);
+    // Si el comando falla, su stderr explica más que el EPIPE de la tubería
+    if (finished.status === 'rejected') {
+      logger.error(`Failed to execute ${command[0]}:`, finished.reason);
+      throw finished.reason;
+    }
+    if (piped.status === 'rejected') throw piped.reason;
+    if (finished.value.stderr.trim()) logger.warn(`${command[0]} stderr: ${finished.value.stderr.trim()}`);
+  }
+
+  /**
+   * Runs the engine client (psql, mysql) within a Docker container, reading the dump from a stream.
    */
-  async runPgDump(containerName, config, schemaOnly) {
-    const args = [
-      'exec',
-      containerName,
-      'pg_dump',
-      '-h', 'localhost',
-      `-p ${config.port}`,
-      `-U ${config.user}`,
-      `-d ${config.database}`,
-      schemaOnly ? '--schema-only' : '--data-only',
-      '--no-owner',
-      '--no-acl',
-      '--clean',
-    ];
-    return this.executeDockerCommand(args);
+  async runImportStream(containerName, engine, config, input) {
+    return this.pipeIntoContainer(containerName, engine.importCommand(config), engine.execEnv(config), input);
   }
 
   /**
-   * Runs psql within a Docker container to import a dump file.
+   * Runs pg_restore within a Docker container to restore a custom, directory or tar archive.
    */
-  async runPsql(containerName, config, dumpPath) {
+  async runRestore(containerName, engine, config, dumpPath) {
+    if (!engine.restoreCommand) {
+      throw new Error(`${engine.label} can only import plain SQL dumps`);
+    }
     const containerDumpPath = `/dumps/${path.basename(dumpPath)}`;
-    const args = [
-      'exec',
-      containerName,
-      'psql',
-      '-h', 'localhost',
-      `-p ${config.port}`,
-      `-U ${config.user}`,
-      `-d ${config.database}`,
-      '--set', 'ON_ERROR_STOP=off',
-      // '--echo-errors',
-      '-f', containerDumpPath,
-    ];
-    return this.executeDockerCommand(args);
+    return this.execInContainer(containerName, engine.restoreCommand(config, containerDumpPath), engine.execEnv(config));
   }
 
   /**
@@ -105,16 +195,24 @@ export class DockerManager {
         return;
       }
 
+      await this.ensureImage(imageName);
+
       logger.info(`Creating and starting container: ${containerName}`);
+      installSignalHandlers(this.docker);
       const container = await this.docker.createContainer({
         Image: imageName,
         name: containerName,
+        Labels: options.labels || {},
+        ExposedPorts: Object.fromEntries(Object.keys(options.portBindings || {}).map((port) => [port, {}])),
         HostConfig: {
           PortBindings: options.portBindings || {},
           Binds: options.volumes || [],
+          ...(options.cpus ? { NanoCpus: Math.round(options.cpus * 1e9) } : {}),
+          ...(options.memory ? { Memory: parseMemory(options.memory) } : {}),
         },
         Env: options.env || [],
       });
+      runningContainers.add(containerName);
 
       await container.start();
       logger.info(`Container "${containerName}" created and started successfully.`);
@@ -124,6 +222,47 @@ export class DockerManager {
     }
   }
 
+  /**
+   * Pulls the image when it is not available locally.
+   */
+  async ensureImage(imageName) {
+    try {
+      await this.docker.getImage(imageName).inspect();
+      return;
+    } catch (error) {
+      if (error.statusCode !== 404) throw error;
+    }
+
+    logger.info(`Pulling image ${imageName}...`);
+    const stream = await this.docker.pull(imageName);
+    await new Promise((resolve, reject) => {
+      this.docker.modem.followProgress(stream, (error) => (error ? reject(error) : resolve()));
+    });
+    logger.info(`Image ${imageName} pulled`);
+  }
+
+  /**
+   * Host address of a running container: the published host port of `containerPort`,
+   * or the container IP on the Docker network when the port is not published.
+   * @returns {Promise<{host: string|null, port: number}>} - `host` is null for a published port.
+   */
+  async getContainerAddress(containerName, containerPort) {
+    const { NetworkSettings: network } = await this.docker.getContainer(containerName).inspect();
+    const binding = (network.Ports?.[`${containerPort}/tcp`] || [])[0];
+    if (binding) return { host: null, port: Number(binding.HostPort) };
+
+    const ip = network.IPAddress || Object.values(network.Networks || {}).map((net) => net.IPAddress).find(Boolean);
+    if (!ip) throw new Error(`Container "${containerName}" has neither a published port nor an IP address`);
+    return { host: ip, port: containerPort };
+  }
+
+  /**
+   * Lists the work containers created by this tool (any run, any engine).
+   */
+  async listWorkContainers() {
+    return this.docker.listContainers({ all: true, filters: { label: [CONTAINER_LABELS.run] } });
+  }
+
   /**
    * Retrieves an existing container by name.
    */
@@ -3,25 +3,71 @@ import { promisify } from 'util';
 import fs from 'fs/promises';
 import { createReadStream, createWriteStream } from 'fs';
 import readline from 'readline';
-import { Transform } from 'stream';
 import { pipeline } from 'stream/promises';
 import path from 'path';
 import { DockerManager } from './docker.js';
+import { parseCreateTable, parseInsertStatement } from '../utils/sql-dump.js';
+import { readDump } from '../utils/dump-reader.js';
+import { createDumpPreprocessor, defaultRewrites } from '../utils/dump-preprocessor.js';
+import { qualifiedTableName } from '../utils/rules.js';
+import { getDatabaseEngine } from '../engines/index.js';
+import { detectDumpFormat, decompressDump, ARCHIVE_FORMATS } from '../utils/dump-format.js';
 
 export class Dumper {
-  constructor(){
+  constructor(engine = getDatabaseEngine(), { containerName = engine.containerName, runId = null, rewrites = defaultRewrites() } = {}){
     this.dockerManager = new DockerManager();
+    this.engine = engine;
+    // Contenedor de trabajo donde se ejecutan las herramientas del motor
+    this.containerName = containerName;
+    // Ejecución a la que pertenecen los archivos de trabajo, para que `clean` no borre los de otra en curso
+    this.runId = runId;
+    // Reescrituras de compatibilidad aplicadas al preprocesar, y los cambios que han hecho
+    this.rewrites = rewrites;
+    this.changes = [];
   }
 
   /**
-   * Preprocesses the dump file to comment out unnecessary lines.
+   * Path of a work file next to the dump, named after the run when there is one (`<dump>.<runId>.<suffix>`).
+   */
+  workFilePath(dumpPath, suffix) {
+    return this.runId ? `${dumpPath}.${this.runId}.${suffix}` : `${dumpPath}.${suffix}`;
+  }
+
+  /**
+   * Detects the dump format and decompresses gzip and zstd files next to the original.
+   * Returns `{ path, format, temporary }`, where `format` is `plain` or an archive format.
+   */
+  async prepareInput(dumpPath) {
+    try {
+      const format = await detectDumpFormat(dumpPath);
+      logger.info(`Detected ${format} dump format`);
+      if (format !== 'gzip' && format !== 'zstd') return { path: dumpPath, format, temporary: false };
+
+      // Un .gz puede contener tanto SQL plano como un archivo de pg_dump -Fc
+      const decompressedPath = this.workFilePath(dumpPath, 'decompressed');
+      logger.info(`Decompressing ${format} dump...`);
+      await decompressDump(dumpPath, decompressedPath);
+      const innerFormat = await detectDumpFormat(decompressedPath);
+      logger.info(`Dump decompressed to ${decompressedPath} (${innerFormat})`);
+      return { path: decompressedPath, format: innerFormat, temporary: true };
+    } catch (error) {
+      logger.error('Failed to prepare dump file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Preprocesses the dump file with the compatibility rewrites (see `createPreprocessTransform`).
    */
   async preprocessDump(dumpPath) {
+    // Solo los dumps de PostgreSQL necesitan ajustes antes de importarse
+    if (!this.engine.needsPreprocess) return dumpPath;
+
     try {
       logger.info('Preprocessing dump file...');
-      const tempPath = `${dumpPath}.processed`;
+      const tempPath = this.workFilePath(dumpPath, 'processed');
       await this.transformDumpFile(dumpPath, tempPath);
-      logger.info('Dump file preprocessed successfully');
+      logger.info(`Dump file preprocessed successfully: ${this.changes.length} statement(s) changed`);
       return tempPath;
     } catch (error) {
       logger.error('Failed to preprocess dump file:', error);
@@ -33,21 +79,20 @@ export class Dumper {
     const readStream = createReadStream(inputPath);
     const writeStream = createWriteStream(outputPath);
 
-    const transform = new Transform({
-      transform(chunk, encoding, callback) {
-        let data = chunk
-          .toString()
-          .replace(/SET transaction_timeout = 0;/g, '-- SET transaction_timeout = 0;')
-          .replace(
-            /SELECT pg_catalog.set_config\('search_path', '', false\);/g,
-            "SELECT pg_catalog.set_config('search_path', 'public', false);"
-          ).replace(/'/g, "''");
-
-        callback(null, data);
+    await pipeline(readStream, this.createPreprocessTransform(), writeStream);
+  }
+
+  /**
+   * Transform with the preprocessing applied to dump files, for dumps read from a stream.
+   * Every change is logged and kept in `changes`.
+   */
+  createPreprocessTransform() {
+    return createDumpPreprocessor(this.rewrites, {
+      onChange: (change) => {
+        logger.info(`Preprocess [${change.rewrite}] line ${change.line}: ${change.before} -> ${change.after}`);
+        this.changes.push(change);
       },
     });
-
-    await pipeline(readStream, transform, writeStream);
   }
 
   /**
@@ -87,6 +132,73 @@ export class Dumper {
     }
   }
 
+  /**
+   * Reads the `CREATE TABLE` statements of a plain-SQL dump, skipping `COPY` data.
+   * Returns a map of qualified table name -> `{ schema, table, columns }`.
+   */
+  async readTableDefinitions(dumpPath) {
+    if (!dumpPath) throw new Error('Dump path is required to read table definitions');
+
+    try {
+      const tables = new Map();
+
+      for await (const event of readDump(dumpPath)) {
+        if (event.type !== 'statement' || event.kind !== 'create-table') continue;
+        const table = parseCreateTable(event.text);
+        if (table) {
+          const schema = table.schema || 'public';
+          tables.set(qualifiedTableName(schema, table.table), { ...table, schema });
+        }
+      }
+
+      logger.info(`Read ${tables.size} table definitions from ${dumpPath}`);
+      return tables;
+    } catch (error) {
+      logger.error('Failed to read table definitions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Describes a dump: format, size and, for plain-SQL dumps (optionally compressed),
+   * every table with its column and row counts.
+   */
+  async inspectDump(dumpPath) {
+    const format = await detectDumpFormat(dumpPath);
+    const { size } = await fs.stat(dumpPath);
+    const summary = { path: dumpPath, format, size, tables: [], rows: 0 };
+    // Los archivos de pg_dump solo se pueden leer con pg_restore
+    if (ARCHIVE_FORMATS.includes(format)) return summary;
+
+    const tables = new Map();
+    const tableEntry = (schema, table) => {
+      const key = qualifiedTableName(schema || 'public', table);
+      if (!tables.has(key)) tables.set(key, { table: key, columns: null, rows: 0 });
+      return tables.get(key);
+    };
+
+    let current = null;
+    for await (const event of readDump(dumpPath)) {
+      if (event.type === 'copy-start') {
+        current = tableEntry(event.header.schema, event.header.table);
+      } else if (event.type === 'copy-row' && current) {
+        current.rows++;
+      } else if (event.type === 'copy-end') {
+        current = null;
+      } else if (event.type === 'statement' && event.kind === 'create-table') {
+        const table = parseCreateTable(event.text);
+        if (table) tableEntry(table.schema, table.table).columns = table.columns.length;
+      } else if (event.type === 'statement' && event.kind === 'insert') {
+        const insert = parseInsertStatement(event.text);
+        if (insert) tableEntry(insert.schema, insert.table).rows += insert.tuples.length;
+      }
+    }
+
+    summary.tables = [...tables.values()];
+    summary.rows = summary.tables.reduce((total, table) => total + table.rows, 0);
+    return summary;
+  }
+
   /**
    * Creates a database structure dump.
    */
@@ -109,8 +221,12 @@ export class Dumper {
     const dumpFile = `${fileName}_${timestamp}.sql`;
 
     try {
-      const stdout = await this.dockerManager.runPgDump('dump_postgresql', config, schemaOnly);
-      await fs.writeFile(dumpFile, stdout);
+      // La salida de pg_dump va directa al archivo, sin pasar entera por memoria
+      await this.dockerManager.runDump(this.containerName, this.engine, config, {
+        schemaOnly,
+        dataOnly: !schemaOnly,
+        clean: true,
+      }, { outputFile: dumpFile });
       logger.info(`Dump created successfully: ${dumpFile}`);
       return dumpFile;
     } catch (error) {
@@ -126,7 +242,7 @@ export class Dumper {
     if (!dumpPath) throw new Error('No dump file provided');
 
     try {
-      await this.dockerManager.runPsql('dump_postgresql', config, dumpPath);
+      await this.dockerManager.runImport(this.containerName, this.engine, config, dumpPath);
       logger.info('Database dump imported successfully');
     } catch (error) {
       logger.error('Failed to import database dump:', error);
@@ -134,14 +250,45 @@ export class Dumper {
     }
   }
 
+  /**
+   * Imports a plain-SQL dump read from a stream (e.g. a live `pg_dump`),
+   * preprocessing it on the fly like a dump file.
+   */
+  async importStream(config, input) {
+    try {
+      const stream = this.engine.needsPreprocess ? input.pipe(this.createPreprocessTransform()) : input;
+      await this.dockerManager.runImportStream(this.containerName, this.engine, config, stream);
+      logger.info('Database dump imported successfully');
+    } catch (error) {
+      logger.error('Failed to import database dump:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restores a custom, directory or tar archive with pg_restore.
+   */
+  async restoreDump(config, dumpPath) {
+    if (!dumpPath) throw new Error('No dump file provided');
+
+    try {
+      await this.dockerManager.runRestore(this.containerName, this.engine, config, dumpPath);
+      logger.info('Database archive restored successfully');
+    } catch (error) {
+      logger.error('Failed to restore database archive:', error);
+      throw error;
+    }
+  }
+
   /**
    * Resets the target database (drops and recreates it).
    */
   async resetDatabase(client, dbName) {
     try {
       logger.info('Resetting database...');
-      await client.query(`DROP DATABASE IF EXISTS ${dbName}`);
-      await client.query(`CREATE DATABASE ${dbName}`);
+      for (const statement of this.engine.resetDatabaseStatements(dbName)) {
+        await client.query(statement);
+      }
       logger.info('Database reset successfully');
     } catch (error) {
       logger.error('Failed to reset database:', error);
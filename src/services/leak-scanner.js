@@ -0,0 +1,274 @@
+import { logger } from '../utils/logger.js';
+import { LeakError } from '../utils/errors.js';
+import { openDumpStream, detectDumpFormat } from '../utils/dump-format.js';
+import { encodeCopyField } from '../utils/sql-dump.js';
+import * as fakeData from '../masking/fake-data.js';
+import { createReadStream } from 'fs';
+import { createGunzip } from 'zlib';
+import readline from 'readline';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Valores demasiado cortos o comunes aparecerían en cualquier dump y no prueban nada
+const MIN_VALUE_LENGTH = 4;
+const MIN_NUMBER_LENGTH = 6;
+
+// Filas por INSERT al guardar las muestras
+const SAVE_BATCH_ROWS = 200;
+
+/**
+ * Output formats the leak check cannot read.
+ */
+export const UNSCANNABLE_FORMATS = ['custom', 'tar'];
+
+// Las máscaras pueden generar estas palabras, así que encontrarlas no es una fuga
+const DICTIONARY = new Set(
+  Object.values(fakeData)
+    .filter(Array.isArray)
+    .flat()
+    .map((word) => String(word).toLowerCase())
+);
+
+/**
+ * Multi-pattern substring search (Aho-Corasick), so every line of the output is
+ * read once whatever the number of sampled values.
+ */
+class ValueMatcher {
+  constructor() {
+    this.nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+  }
+
+  add(pattern, id) {
+    let state = 0;
+    for (const char of pattern) {
+      let next = this.nodes[state].next.get(char);
+      if (next === undefined) {
+        next = this.nodes.push({ next: new Map(), fail: 0, outputs: [] }) - 1;
+        this.nodes[state].next.set(char, next);
+      }
+      state = next;
+    }
+    this.nodes[state].outputs.push(id);
+  }
+
+  build() {
+    const queue = [...this.nodes[0].next.values()];
+    while (queue.length > 0) {
+      const state = queue.shift();
+      for (const [char, next] of this.nodes[state].next) {
+        let fail = this.nodes[state].fail;
+        while (fail !== 0 && !this.nodes[fail].next.has(char)) fail = this.nodes[fail].fail;
+        const target = this.nodes[fail].next.get(char);
+        this.nodes[next].fail = target !== undefined && target !== next ? target : 0;
+        this.nodes[next].outputs.push(...this.nodes[this.nodes[next].fail].outputs);
+        queue.push(next);
+      }
+    }
+  }
+
+  /**
+   * Calls `onMatch(id)` for every pattern found in the text.
+   */
+  search(text, onMatch) {
+    let state = 0;
+    for (const char of text) {
+      while (state !== 0 && !this.nodes[state].next.has(char)) state = this.nodes[state].fail;
+      state = this.nodes[state].next.get(char) ?? 0;
+      for (const id of this.nodes[state].outputs) onMatch(id);
+    }
+  }
+}
+
+/**
+ * Samples the original values of every masked column and checks that none of
+ * them appears in the anonymized dump.
+ */
+export class LeakScanner {
+  constructor({ sampleRows = 1000 } = {}) {
+    this.sampleRows = sampleRows;
+    this.samples = new Map();
+  }
+
+  getSample(table, column) {
+    const key = `${table}.${column}`;
+    if (!this.samples.has(key)) this.samples.set(key, { table, column, values: new Set(), skipped: 0 });
+    return this.samples.get(key);
+  }
+
+  /**
+   * Records one original value of a masked column.
+   */
+  addValue(table, column, value) {
+    const sample = this.getSample(table, column);
+    if (value === null || value === undefined || sample.values.size >= this.sampleRows) return;
+
+    const text = String(value);
+    const tooShort = /^-?[\d.]+$/.test(text) ? text.length < MIN_NUMBER_LENGTH : text.length < MIN_VALUE_LENGTH;
+    if (tooShort || DICTIONARY.has(text.toLowerCase())) {
+      sample.skipped++;
+      return;
+    }
+    sample.values.add(text);
+  }
+
+  /**
+   * Samples masked columns from a database before the masks are applied.
+   * @param {object} client - Connected client of the engine adapter.
+   * @param {object} engine - Database engine adapter.
+   * @param {object} table - Table resolved by the engine (`qualifiedName`).
+   * @param {string[]} columns - Exact names of the masked columns.
+   * @param {object} options - `where`: per column, SQL condition of the rows that are masked. Values
+   *   that rows outside it also hold are dropped, since those rows keep them in the output.
+   */
+  async sampleDatabase(client, engine, table, columns, { where = {} } = {}) {
+    for (const column of columns) {
+      const quoted = engine.quoteIdentifier(column);
+      const condition = where[column] ? ` AND (${where[column]})` : '';
+      // CONCAT devuelve el valor como texto tanto en PostgreSQL como en MySQL
+      const result = await client.query(
+        `SELECT DISTINCT CONCAT(${quoted}) AS value FROM ${table.qualifiedName} WHERE ${quoted} IS NOT NULL${condition} LIMIT ${Number(this.sampleRows)}`
+      );
+      const sample = this.getSample(table.qualifiedName, column);
+      const before = new Set(sample.values);
+      for (const row of result.rows) this.addValue(table.qualifiedName, column, row.value);
+
+      const added = [...sample.values].filter((value) => !before.has(value));
+      if (!where[column] || added.length === 0) continue;
+      // Las excepciones y las ramas que no enmascaran la columna conservan sus valores a propósito
+      const kept = await client.query(
+        `SELECT DISTINCT CONCAT(${quoted}) AS value FROM ${table.qualifiedName} ` +
+          `WHERE NOT COALESCE((${where[column]}), false) AND CONCAT(${quoted}) IN (${added.map((_, i) => engine.parameter(i + 1)).join(', ')})`,
+        added
+      );
+      for (const row of kept.rows) {
+        if (sample.values.delete(row.value)) sample.skipped++;
+      }
+    }
+  }
+
+  /**
+   * Copies the samples into a new table, so that a resumed run can still check
+   * its output after the data was masked. The table is created by this method.
+   * @param {object} client - Connected client of the engine adapter.
+   * @param {object} engine - Database engine adapter.
+   * @param {string} tableName - Table to create.
+   */
+  async saveSamples(client, engine, tableName) {
+    const table = engine.quoteIdentifier(tableName);
+    await client.query(
+      `CREATE TABLE ${table} (table_name VARCHAR(255) NOT NULL, column_name VARCHAR(255) NOT NULL, value TEXT, skipped INT NOT NULL)`
+    );
+
+    // Una fila sin valor por columna guarda los valores descartados, y una fila más por valor
+    const rows = [];
+    for (const { table: sampleTable, column, values, skipped } of this.samples.values()) {
+      rows.push([sampleTable, column, null, skipped]);
+      for (const value of values) rows.push([sampleTable, column, value, 0]);
+    }
+    for (let start = 0; start < rows.length; start += SAVE_BATCH_ROWS) {
+      const batch = rows.slice(start, start + SAVE_BATCH_ROWS);
+      const placeholders = batch.map((_, row) => `(${[1, 2, 3, 4].map((field) => engine.parameter(row * 4 + field)).join(', ')})`);
+      await client.query(`INSERT INTO ${table} (table_name, column_name, value, skipped) VALUES ${placeholders.join(', ')}`, batch.flat());
+    }
+  }
+
+  /**
+   * Reads back the samples written by `saveSamples`.
+   */
+  async loadSamples(client, engine, tableName) {
+    const result = await client.query(`SELECT table_name, column_name, value, skipped FROM ${engine.quoteIdentifier(tableName)}`);
+    for (const row of result.rows) {
+      const sample = this.getSample(row.table_name, row.column_name);
+      if (row.value === null) sample.skipped += Number(row.skipped);
+      else sample.values.add(row.value);
+    }
+  }
+
+  /**
+   * Lists the files to read for an output dump: the file itself, or the data files of a directory dump.
+   */
+  async outputFiles(outputPath) {
+    const format = await detectDumpFormat(outputPath);
+    if (UNSCANNABLE_FORMATS.includes(format)) {
+      throw new Error(`Leak check cannot read ${format}-format dumps; use a plain, gzip or directory output, or --no-leak-check`);
+    }
+    if (format !== 'directory') return [{ path: outputPath, open: () => openDumpStream(outputPath) }];
+
+    const files = (await fs.readdir(outputPath)).filter((name) => /\.dat(\.gz)?$/.test(name) && name !== 'toc.dat');
+    return files.map((name) => {
+      const filePath = path.join(outputPath, name);
+      return {
+        path: filePath,
+        open: async () => (name.endsWith('.gz') ? createReadStream(filePath).pipe(createGunzip()) : createReadStream(filePath)),
+      };
+    });
+  }
+
+  /**
+   * Searches the output dump for the sampled values.
+   * @param {string} outputPath - Anonymized dump (file or directory).
+   * @returns {Promise<Array<{table: string, column: string, sampled: number, skipped: number, found: number}>>} - One result per masked column.
+   */
+  async scan(outputPath) {
+    const samples = [...this.samples.values()];
+    const patterns = [];
+    const matcher = new ValueMatcher();
+
+    samples.forEach((sample, sampleIndex) => {
+      for (const value of sample.values) {
+        const id = patterns.push({ sampleIndex, value }) - 1;
+        // El mismo valor puede aparecer escapado como campo de COPY o como literal SQL
+        const variants = new Set([value, encodeCopyField(value), value.replace(/'/g, "''"), value.replace(/[\\']/g, '\\$&')]);
+        for (const variant of variants) matcher.add(variant, id);
+      }
+    });
+    matcher.build();
+
+    const found = new Set();
+    for (const file of await this.outputFiles(outputPath)) {
+      const rl = readline.createInterface({ input: await file.open(), crlfDelay: Infinity });
+      for await (const line of rl) {
+        matcher.search(line, (id) => found.add(id));
+      }
+    }
+
+    return samples.map((sample, sampleIndex) => ({
+      table: sample.table,
+      column: sample.column,
+      sampled: sample.values.size,
+      skipped: sample.skipped,
+      found: [...found].filter((id) => patterns[id].sampleIndex === sampleIndex).length,
+    }));
+  }
+
+  /**
+   * Scans the output and fails when any original value is found in it. A leaking
+   * dump is renamed to `<name>.rejected` so it cannot be shipped by mistake.
+   */
+  async verify(outputPath) {
+    logger.info(`Scanning ${outputPath} for original values of ${this.samples.size} masked columns...`);
+    const results = await this.scan(outputPath);
+
+    for (const result of results) {
+      const line = `${result.table}.${result.column}: ${result.found} of ${result.sampled} sampled values found` +
+        (result.skipped ? ` (${result.skipped} too short or common to check)` : '');
+      if (result.found > 0) logger.error(`Leak: ${line}`);
+      else logger.info(`No leak: ${line}`);
+    }
+
+    const leaks = results.filter((result) => result.found > 0);
+    if (leaks.length > 0) {
+      const rejectedPath = `${outputPath}.rejected`;
+      await fs.rename(outputPath, rejectedPath);
+      logger.error(`Leaking dump moved to ${rejectedPath}`);
+      throw new LeakError(
+        `Leak check failed: original values found in ${leaks.length} masked column(s): ` +
+          leaks.map((leak) => `${leak.table}.${leak.column} (${leak.found})`).join(', '),
+        { results, rejectedPath }
+      );
+    }
+
+    logger.info('Leak check passed: no sampled original value appears in the output');
+    return results;
+  }
+}
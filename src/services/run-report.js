@@ -0,0 +1,232 @@
+import { logger } from '../utils/logger.js';
+import { describeMask } from '../masking/masker.js';
+import { createHash } from 'crypto';
+import { createReadStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Extensión de cada formato; el informe se escribe junto al dump: `<dump>.report.json`
+export const REPORT_FORMATS = {
+  json: '.report.json',
+  md: '.report.md',
+  html: '.report.html',
+};
+
+/**
+ * SHA-256 of a file, or of a directory dump: the hash of its `<sha256>  <name>`
+ * lines sorted by name, so any changed, added or removed file changes it.
+ */
+async function sha256(filePath) {
+  const stat = await fs.stat(filePath);
+  if (stat.isDirectory()) {
+    const lines = [];
+    for (const name of (await fs.readdir(filePath)).sort()) {
+      lines.push(`${await sha256(path.join(filePath, name))}  ${name}`);
+    }
+    return createHash('sha256').update(lines.join('\n')).digest('hex');
+  }
+
+  const hash = createHash('sha256');
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+function escapeMarkdown(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Builds the per-run compliance report (rules and dump fingerprints, what was
+ * done to every table, leak check, warnings and stage durations) and writes it
+ * as JSON, Markdown and/or HTML next to the anonymized dump.
+ */
+export class RunReporter {
+  constructor(formats = ['json', 'html']) {
+    const unknown = formats.filter((format) => !REPORT_FORMATS[format]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown report format "${unknown[0]}" (use ${Object.keys(REPORT_FORMATS).join(', ')})`);
+    }
+    this.formats = formats;
+  }
+
+  /**
+   * Collects the report of a finished run.
+   * @param {object} run - `{ runId, engine, databaseEngine, maskingMode, format, rules, rulesPath, inputPath,
+   * inputSource, outputPath, tables, leakCheck, preprocessing, warnings, timings, durationMs }`; a live source database
+   * has no `inputPath`, only its `inputSource` description.
+   * @returns {Promise<object>} - The report, as written to JSON.
+   */
+  async build(run) {
+    // Las funciones y los generadores no tienen texto SQL: se describen
+    const tables = run.tables.map(({ table, strategy, rows, masks = {}, branches = [], removedByCascade }) => ({
+      table,
+      strategy,
+      rows,
+      masks: Object.fromEntries(Object.entries(masks).map(([column, mask]) => [column, describeMask(mask)])),
+      branches,
+      // Filas quitadas porque referencian una tabla vaciada
+      ...(removedByCascade && { removedByCascade }),
+    }));
+
+    return {
+      runId: run.runId,
+      createdAt: new Date().toISOString(),
+      engine: run.engine,
+      databaseEngine: run.databaseEngine,
+      maskingMode: run.maskingMode,
+      rules: {
+        path: run.rulesPath,
+        // Reglas pasadas como objeto por la API: se firma su JSON
+        sha256: run.rulesPath
+          ? await sha256(run.rulesPath)
+          : createHash('sha256').update(JSON.stringify(run.rules)).digest('hex'),
+      },
+      input: run.inputPath
+        ? { path: run.inputPath, sha256: await sha256(run.inputPath) }
+        : { source: run.inputSource, sha256: null },
+      output: { path: run.outputPath, format: run.format, sha256: await sha256(run.outputPath) },
+      tables,
+      masked: tables
+        .filter(({ strategy }) => strategy === 'mask')
+        .flatMap(({ table, masks }) => Object.entries(masks).map(([column, mask]) => ({ table, column, mask }))),
+      skipped: tables.filter(({ strategy }) => strategy !== 'mask').map(({ table, strategy }) => ({ table, strategy })),
+      leakCheck: run.leakCheck,
+      preprocessing: run.preprocessing || [],
+      warnings: run.warnings,
+      timings: run.timings,
+      durationMs: run.durationMs,
+    };
+  }
+
+  /**
+   * Writes the report in every selected format next to the dump.
+   * @returns {Promise<string[]>} - Paths of the written files.
+   */
+  async write(report) {
+    const files = [];
+    for (const format of this.formats) {
+      const filePath = `${report.output.path}${REPORT_FORMATS[format]}`;
+      await fs.writeFile(filePath, this.render(report, format));
+      files.push(filePath);
+    }
+    logger.info(`Run report written to ${files.join(', ')}`);
+    return files;
+  }
+
+  render(report, format) {
+    if (format === 'json') return `${JSON.stringify(report, null, 2)}\n`;
+    return format === 'md' ? renderMarkdown(report) : renderHtml(report);
+  }
+}
+
+/**
+ * Rows shared by the Markdown and HTML summaries.
+ */
+function summarySections(report) {
+  const input = report.input.path || report.input.source;
+  return {
+    overview: [
+      ['Run', report.runId],
+      ['Created', report.createdAt],
+      ['Engine', `${report.engine} (${report.databaseEngine}${report.maskingMode ? `, ${report.maskingMode} masking` : ''})`],
+      ['Rules', report.rules.path || '(rules object)'],
+      ['Rules SHA-256', report.rules.sha256],
+      ['Input', input],
+      ['Input SHA-256', report.input.sha256 || '(live source, not stored)'],
+      ['Output', `${report.output.path} (${report.output.format})`],
+      ['Output SHA-256', report.output.sha256],
+      ['Duration', `${report.durationMs} ms`],
+    ],
+    masked: report.masked.map(({ table, column, mask }) => [table, column, mask]),
+    tables: report.tables.map(({ table, strategy, rows, removedByCascade }) => [
+      table,
+      strategy,
+      removedByCascade ? `${rows} (${removedByCascade.rows} removed by the cascade from ${removedByCascade.from.join(', ')})` : rows,
+    ]),
+    // Filas de cada rama de `exceptions`/`when`; las de una columna condicional llevan su nombre
+    branches: report.tables.flatMap(({ table, branches = [] }) =>
+      branches.map(({ column, branch, rows }) => [table, column || '(row)', branch, rows])
+    ),
+    leaks: (report.leakCheck || []).map(({ table, column, sampled, found }) => [`${table}.${column}`, sampled, found]),
+    preprocessing: report.preprocessing.map(({ line, rewrite, before, after }) => [line, rewrite, before, after]),
+    timings: Object.entries(report.timings).map(([stage, ms]) => [stage, `${ms} ms`]),
+  };
+}
+
+function renderMarkdown(report) {
+  const sections = summarySections(report);
+  const table = (headers, rows) => [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${row.map(escapeMarkdown).join(' | ')} |`),
+  ].join('\n');
+
+  return [
+    `# Anonymization report ${report.runId}`,
+    table(['Field', 'Value'], sections.overview),
+    '## Masked columns',
+    sections.masked.length ? table(['Table', 'Column', 'Mask'], sections.masked) : 'No column was masked.',
+    '## Tables',
+    table(['Table', 'Strategy', 'Rows in output'], sections.tables),
+    '## Row branches',
+    sections.branches.length ? table(['Table', 'Column', 'Branch', 'Rows'], sections.branches) : 'No conditional masks.',
+    '## Leak check',
+    report.leakCheck ? table(['Column', 'Sampled', 'Found'], sections.leaks) : 'Leak check disabled.',
+    '## Dump preprocessing',
+    sections.preprocessing.length
+      ? table(['Line', 'Rewrite', 'Before', 'After'], sections.preprocessing)
+      : 'The input dump was imported unchanged.',
+    '## Warnings',
+    report.warnings.length ? report.warnings.map((warning) => `- ${escapeMarkdown(warning)}`).join('\n') : 'None.',
+    '## Stages',
+    table(['Stage', 'Duration'], sections.timings),
+  ].join('\n\n') + '\n';
+}
+
+function renderHtml(report) {
+  const sections = summarySections(report);
+  const table = (headers, rows) => [
+    '<table>',
+    `<tr>${headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('')}</tr>`,
+    ...rows.map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`),
+    '</table>',
+  ].join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Anonymization report ${escapeHtml(report.runId)}</title>
+<style>
+body { font-family: sans-serif; margin: 2rem; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; font-size: 0.9rem; }
+th { background: #f3f3f3; }
+</style>
+</head>
+<body>
+<h1>Anonymization report ${escapeHtml(report.runId)}</h1>
+${table(['Field', 'Value'], sections.overview)}
+<h2>Masked columns</h2>
+${sections.masked.length ? table(['Table', 'Column', 'Mask'], sections.masked) : '<p>No column was masked.</p>'}
+<h2>Tables</h2>
+${table(['Table', 'Strategy', 'Rows in output'], sections.tables)}
+<h2>Row branches</h2>
+${sections.branches.length ? table(['Table', 'Column', 'Branch', 'Rows'], sections.branches) : '<p>No conditional masks.</p>'}
+<h2>Leak check</h2>
+${report.leakCheck ? table(['Column', 'Sampled', 'Found'], sections.leaks) : '<p>Leak check disabled.</p>'}
+<h2>Dump preprocessing</h2>
+${sections.preprocessing.length ? table(['Line', 'Rewrite', 'Before', 'After'], sections.preprocessing) : '<p>The input dump was imported unchanged.</p>'}
+<h2>Warnings</h2>
+${report.warnings.length ? `<ul>\n${report.warnings.map((warning) => `<li>${escapeHtml(warning)}</li>`).join('\n')}\n</ul>` : '<p>None.</p>'}
+<h2>Stages</h2>
+${table(['Stage', 'Duration'], sections.timings)}
+</body>
+</html>
+`;
+}
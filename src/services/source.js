@@ -0,0 +1,103 @@
+import { logger } from '../utils/logger.js';
+import { spawnProcess } from '../utils/process.js';
+import { getDatabaseEngine } from '../engines/index.js';
+import { getConfig } from '../config/index.js';
+import { createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Live source database dumped with the engine tool (pg_dump, mysqldump) running
+ * on the host. The password never comes from the command line: it is read from
+ * `SOURCE_DB_PASSWORD`, or left to the tool (`PGPASSWORD`, `~/.pgpass`, `MYSQL_PWD`, `~/.my.cnf`).
+ */
+export class SourceDatabase {
+  constructor(engine, { host, port, user, database }) {
+    if (!database) throw new Error('The source database name is required');
+    this.engine = engine;
+    this.host = host;
+    this.port = port;
+    this.user = user;
+    this.database = database;
+  }
+
+  /**
+   * Builds a source from a connection URL or from its fields, or returns null when none is given.
+   * @param {object} connection - `{ url }` or `{ host, port, user, database }`.
+   * @param {string} databaseEngine - Engine selected with `--databaseEngine`.
+   * @returns {SourceDatabase|null} - The source database.
+   */
+  static fromConnection({ url, host, port, user, database } = {}, databaseEngine) {
+    const engine = getDatabaseEngine(databaseEngine);
+
+    if (url) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        throw new Error('Invalid source URL, expected e.g. postgres://user@host:5432/database');
+      }
+      if (parsed.password) {
+        throw new Error('Do not put the password in the source URL; set SOURCE_DB_PASSWORD or use ~/.pgpass');
+      }
+      if (!engine.urlProtocols.includes(parsed.protocol)) {
+        throw new Error(`The source URL uses ${parsed.protocol}// but the database engine is ${engine.name} (set --databaseEngine)`);
+      }
+      return new SourceDatabase(engine, {
+        host: parsed.hostname || undefined,
+        port: parsed.port || undefined,
+        user: parsed.username ? decodeURIComponent(parsed.username) : undefined,
+        database: decodeURIComponent(parsed.pathname.replace(/^\//, '')),
+      });
+    }
+
+    if (host || database) return new SourceDatabase(engine, { host, port, user, database });
+
+    return null;
+  }
+
+  /**
+   * Name used in logs, without credentials.
+   */
+  get description() {
+    const user = this.user ? `${this.user}@` : '';
+    const port = this.port ? `:${this.port}` : '';
+    return `${this.engine.name}://${user}${this.host || 'localhost'}${port}/${this.database}`;
+  }
+
+  /**
+   * Starts the dump and returns its plain-SQL output as a stream.
+   * @param {object} options - `{ schemaOnly }`.
+   * @returns {{stream: import('stream').Readable, done: Promise<void>, cancel: Function}} - Dump output,
+   * a promise that rejects when the dump tool fails, and a function that stops it.
+   */
+  open({ schemaOnly = false } = {}) {
+    logger.info(`Dumping source database ${this.description}${schemaOnly ? ' (schema only)' : ''}...`);
+    const [command, ...args] = this.engine.sourceDumpCommand(this, { schemaOnly });
+    const { child, done } = spawnProcess(command, args, { env: this.engine.sourceEnv(getConfig().source.password) });
+
+    const finished = done.then(({ stderr }) => {
+      if (stderr.trim()) logger.warn(`${command} stderr: ${stderr.trim()}`);
+      logger.info(`Source database ${this.description} dumped successfully`);
+    });
+    finished.catch(() => {});
+
+    return { stream: child.stdout, done: finished, cancel: () => child.kill() };
+  }
+
+  /**
+   * Dumps the source database to a file; a failed dump leaves no partial file.
+   */
+  async dumpToFile(filePath, options = {}) {
+    const { stream, done } = this.open(options);
+    const [written, finished] = await Promise.allSettled([pipeline(stream, createWriteStream(filePath)), done]);
+    if (finished.status === 'rejected' || written.status === 'rejected') {
+      // Un dump a medias no debe quedar en `dumps`, donde pasaría por una entrada válida
+      await fs.rm(filePath, { force: true });
+      // El error del proceso explica mejor el fallo que el de la tubería
+      throw finished.status === 'rejected' ? finished.reason : written.reason;
+    }
+    logger.info(`Source dump saved to ${filePath}`);
+    return filePath;
+  }
+}
@@ -0,0 +1,374 @@
+import { logger } from '../utils/logger.js';
+import { createTableMasker, compileColumnMask } from '../masking/masker.js';
+import { compileCondition } from '../masking/expression.js';
+import { rowBranches, BranchCounter } from '../masking/conditions.js';
+import {
+  parseCopyRow,
+  formatCopyRow,
+  parseCreateTable,
+  parseInsertStatement,
+  decodeSqlLiteral,
+  formatSqlLiteral,
+} from '../utils/sql-dump.js';
+import {
+  normalizeRules,
+  findTableRules,
+  qualifiedTableName,
+  tableStrategy,
+  globalColumnRules,
+  resolveTableRules,
+  EMPTY_STRATEGIES,
+} from '../utils/rules.js';
+import { readDump } from '../utils/dump-reader.js';
+import { getDatabaseEngine } from '../engines/index.js';
+import { getConfig } from '../config/index.js';
+import { LeakScanner } from './leak-scanner.js';
+import { ANONYMIZER_EVENTS, emitWarning } from '../utils/events.js';
+import { OUTPUT_FORMATS, ARCHIVE_FORMATS, detectDumpFormat } from '../utils/dump-format.js';
+import { createWriteStream } from 'fs';
+import { createGzip } from 'zlib';
+import { once } from 'events';
+import path from 'path';
+import fs from 'fs/promises';
+
+/**
+ * Anonymizes a plain-SQL dump by streaming it through JavaScript masks,
+ * without Docker or the PostgreSQL Anonymizer extension. It exposes the same
+ * lifecycle as `AnonymizationService` so `Anonymizer` can use either engine.
+ */
+export class StreamAnonymizationService {
+  constructor(dumpPath, dbEngine, { leakCheck = true, sampleRows = 1000, events = null } = {}) {
+    // `dumpPath` es la ruta de un dump o una base de datos de origen (SourceDatabase)
+    this.source = typeof dumpPath === 'string' ? null : dumpPath;
+    this.originalDumpFile = this.source ? null : dumpPath;
+    const { paths, anonymization } = getConfig();
+    this.dumpsDirectory = paths.dumps;
+    this.dbEngine = getDatabaseEngine(dbEngine).name;
+    if (this.dbEngine !== 'postgres') {
+      throw new Error(`The stream engine only reads PostgreSQL plain-SQL dumps; use the docker engine for ${this.dbEngine}`);
+    }
+    this.salt = anonymization.salt;
+    this.outputFormats = ['plain', 'gzip'];
+    this.leakScanner = leakCheck ? new LeakScanner({ sampleRows }) : null;
+    // Emisor de eventos de la API (`Anonymizer`); null desde servicios sueltos
+    this.events = events;
+    this.maskedTables = [];
+    this.tableSummary = [];
+    // El dump de entrada se lee tal cual, sin reescrituras de compatibilidad
+    this.preprocessChanges = [];
+    this.rules = [];
+    this.globals = [];
+    this.tableColumns = new Map();
+    this.maskers = new Map();
+    this.maskedCounts = new Map();
+    // Tablas vistas en el dump y filas escritas de cada una en el dump final
+    this.dumpTables = new Map();
+    this.outputRows = new Map();
+  }
+
+  async init() {
+    logger.info('Initializing Stream Anonymization Service');
+  }
+
+  async setup() {
+    try {
+      logger.info('Starting setup process...');
+      await this.ensureDumpsDirectory();
+      if (this.source) {
+        logger.info(`Setup completed successfully (reading from ${this.source.description})`);
+        return;
+      }
+      await fs.access(this.originalDumpFile);
+
+      // Los archivos de pg_dump (-Fc, -Fd, -Ft) necesitan pg_restore
+      const format = await detectDumpFormat(this.originalDumpFile);
+      if (ARCHIVE_FORMATS.includes(format)) {
+        throw new Error(`The stream engine only reads plain SQL dumps (optionally gzip or zstd compressed), got ${format} format`);
+      }
+      logger.info(`Setup completed successfully (${format} input)`);
+    } catch (error) {
+      logger.error('Setup failed:', error);
+      throw error;
+    }
+  }
+
+  async ensureDumpsDirectory() {
+    try {
+      await fs.access(this.dumpsDirectory);
+    } catch {
+      await fs.mkdir(this.dumpsDirectory, { recursive: true });
+      logger.info(`Created dumps directory at: ${this.dumpsDirectory}`);
+    }
+  }
+
+  /**
+   * Registers the rules; masks are compiled once the table columns are known from the dump.
+   */
+  async processRules(rules) {
+    if (!rules || Object.keys(rules).length === 0) {
+      throw new Error('No rules provided for anonymization');
+    }
+
+    this.rules = [];
+    this.globals = globalColumnRules(rules);
+    for (const rule of this.globals) {
+      compileColumnMask(typeof rule.mask === 'string' ? rule.mask.replaceAll('{col}', 'col') : rule.mask, 'col', { salt: this.salt });
+    }
+    for (const entry of normalizeRules(rules)) {
+      if (entry.rules && (entry.rules.where || entry.rules.sample !== undefined)) {
+        throw new Error(`Row subsetting (where/sample) in ${entry.key} is only supported by the docker engine`);
+      }
+      const strategy = tableStrategy(entry.rules);
+      if (strategy === 'exclude') {
+        throw new Error(`The exclude strategy in ${entry.key} is only supported by the docker engine; use schema_only`);
+      }
+      if (strategy !== 'mask') {
+        this.rules.push(entry);
+        continue;
+      }
+      if (!entry.rules.masks) {
+        emitWarning(this.events, `No masks found for table ${entry.key}`);
+        continue;
+      }
+      // Compila cada máscara y condición para detectar errores antes de leer el dump
+      for (const branch of rowBranches(entry.rules)) {
+        if (branch.condition !== null) compileCondition(branch.condition);
+        for (const [column, mask] of Object.entries(branch.masks)) {
+          compileColumnMask(mask, column, { salt: this.salt });
+        }
+      }
+      this.rules.push(entry);
+    }
+
+    logger.info('All anonymization rules registered successfully');
+  }
+
+  /**
+   * Columns of a table with their type from the `CREATE TABLE`, in the order of
+   * `columnNames` (a `COPY` or `INSERT` column list) when given.
+   */
+  describeColumns(schema, table, columnNames = null) {
+    const known = this.tableColumns.get(qualifiedTableName(schema, table)) || [];
+    return (columnNames || known.map((column) => column.name)).map((name) => ({
+      name,
+      type: (known.find((column) => column.name === name) || {}).type || null,
+    }));
+  }
+
+  /**
+   * Returns the rules of a table with the global column rules applied, or null when none applies.
+   */
+  getTableRules(schema, table, columnNames = null) {
+    const entry = findTableRules(this.rules, schema, table);
+    const resolved = resolveTableRules(entry ? entry.rules : null, this.globals, this.describeColumns(schema, table, columnNames));
+    return resolved ? resolved.rules : null;
+  }
+
+  /**
+   * Returns the masker for a table, or null when the table has no rules.
+   */
+  getMasker(schema, table, columnNames) {
+    const tableRules = this.getTableRules(schema, table, columnNames);
+    if (!tableRules || tableStrategy(tableRules) !== 'mask') return null;
+
+    const tableName = qualifiedTableName(schema, table);
+    const columns = this.describeColumns(schema, table, columnNames);
+    const key = `${tableName}:${columns.map((column) => column.name).join(',')}`;
+    if (!this.maskers.has(key)) {
+      if (!this.maskedCounts.has(tableName)) {
+        this.maskedCounts.set(tableName, { table: tableName, rows: 0, masks: tableRules.masks, branches: new BranchCounter() });
+      }
+      const stats = this.maskedCounts.get(tableName);
+      // Solo se muestrean para el leak check los valores que se enmascaran de verdad
+      const onMask = this.leakScanner ? (column, value) => this.leakScanner.addValue(tableName, column, value) : null;
+      this.maskers.set(key, {
+        maskRow: createTableMasker(tableName, columns, tableRules, { salt: this.salt, counter: stats.branches, onMask }),
+        stats,
+      });
+    }
+    return this.maskers.get(key);
+  }
+
+  /**
+   * Returns the strategy for a table of the dump; tables without rules are kept as they are.
+   */
+  getStrategy(schema, table, columnNames = null) {
+    const tableRules = this.getTableRules(schema, table, columnNames);
+    return tableRules ? tableStrategy(tableRules) : 'keep';
+  }
+
+  registerTable(schema, table) {
+    const key = qualifiedTableName(schema, table);
+    if (!this.dumpTables.has(key)) this.dumpTables.set(key, { schema, table });
+    return key;
+  }
+
+  countOutputRows(schema, table, rows) {
+    const key = this.registerTable(schema, table);
+    this.outputRows.set(key, (this.outputRows.get(key) || 0) + rows);
+  }
+
+  /**
+   * Masks the values of an `INSERT` statement in place.
+   */
+  maskInsertStatement(statement, insert = parseInsertStatement(statement)) {
+    if (!insert) return statement;
+
+    const masker = this.getMasker(insert.schema, insert.table, insert.columns);
+    if (!masker) return statement;
+
+    let result = statement;
+    for (const tuple of insert.tuples.slice().reverse()) {
+      const literals = tuple.map((item) => decodeSqlLiteral(item.raw));
+      const masked = masker.maskRow(literals.map((literal) => literal.value));
+
+      for (let i = tuple.length - 1; i >= 0; i--) {
+        if (masked[i] === literals[i].value) continue;
+        const keepBare = !literals[i].quoted && /^-?\d+(\.\d+)?$/.test(masked[i] ?? '');
+        const replacement = keepBare ? masked[i] : formatSqlLiteral(masked[i], literals[i].cast);
+        result = result.slice(0, tuple[i].start) + replacement + result.slice(tuple[i].end);
+      }
+    }
+
+    masker.stats.rows += insert.tuples.length;
+    return result;
+  }
+
+  /**
+   * Streams the original dump into a new file, masking `COPY` rows and `INSERT` values.
+   * The input can be a path (compressed files are read transparently) or a stream; `gzip` compresses the output.
+   */
+  async transformDump(inputPath, outputPath, { gzip = false } = {}) {
+    const file = createWriteStream(outputPath);
+    const output = gzip ? createGzip() : file;
+    if (gzip) output.pipe(file);
+    const write = async (text) => {
+      if (!output.write(`${text}\n`)) await once(output, 'drain');
+    };
+
+    let masker = null;
+    let copy = null;
+
+    try {
+      for await (const event of readDump(inputPath)) {
+        if (event.type === 'copy-start') {
+          const { schema, table, columns } = event.header;
+          // Las tablas vacías conservan el bloque COPY, pero sin filas
+          copy = { schema, table, skip: EMPTY_STRATEGIES.includes(this.getStrategy(schema, table, columns)) };
+          masker = copy.skip ? null : this.getMasker(schema, table, columns);
+          await write(event.text);
+        } else if (event.type === 'copy-row' && copy) {
+          if (copy.skip) continue;
+          await write(masker ? formatCopyRow(masker.maskRow(parseCopyRow(event.text))) : event.text);
+          if (masker) masker.stats.rows++;
+          this.countOutputRows(copy.schema, copy.table, 1);
+        } else if (event.type === 'statement' && event.kind === 'create-table') {
+          const table = parseCreateTable(event.text);
+          if (table) this.tableColumns.set(this.registerTable(table.schema, table.table), table.columns);
+          await write(event.text);
+        } else if (event.type === 'statement' && event.kind === 'insert') {
+          const insert = parseInsertStatement(event.text);
+          if (insert && EMPTY_STRATEGIES.includes(this.getStrategy(insert.schema, insert.table))) continue;
+          await write(this.maskInsertStatement(event.text, insert));
+          if (insert) this.countOutputRows(insert.schema, insert.table, insert.tuples.length);
+        } else {
+          if (event.type === 'copy-end') {
+            masker = null;
+            copy = null;
+          }
+          await write(event.text);
+        }
+      }
+
+      output.end();
+      await once(file, 'finish');
+    } catch (error) {
+      // Las escrituras pendientes fallan al destruir el archivo; el error que importa es este
+      for (const stream of [output, file]) {
+        stream.on('error', () => {});
+        stream.destroy();
+      }
+      throw error;
+    }
+  }
+
+  async createAnonymizedDump(outputPath, { format = 'plain' } = {}) {
+    try {
+      if (!this.outputFormats.includes(format)) {
+        throw new Error(`Output format "${format}" is not supported by the stream engine (use ${this.outputFormats.join(', ')})`);
+      }
+
+      const timestamp = new Date().toISOString().slice(0, 19).replace(/[:]/g, '-');
+      const filename = `${timestamp}_anonymized_${outputPath}${OUTPUT_FORMATS[format]}`;
+      const finalPath = path.join(this.dumpsDirectory, filename);
+
+      logger.info('Streaming dump through masking rules...');
+      if (this.source) {
+        const { stream, done, cancel } = this.source.open();
+        try {
+          await Promise.all([this.transformDump(stream, finalPath, { gzip: format === 'gzip' }), done]);
+        } catch (error) {
+          cancel();
+          // No deja un dump a medias si falla la herramienta de origen
+          await fs.rm(finalPath, { force: true });
+          throw error;
+        }
+      } else {
+        await this.transformDump(this.originalDumpFile, finalPath, { gzip: format === 'gzip' });
+      }
+
+      const tables = [...this.dumpTables.values()];
+      for (const entry of this.rules) {
+        if (!tables.some(({ schema, table }) => findTableRules([entry], schema, table))) {
+          emitWarning(this.events, `Table ${entry.key} does not exist, skipping...`);
+        }
+      }
+      for (const stats of this.maskedCounts.values()) this.recordMaskedTable(stats.table, stats.rows, stats.branches.list());
+      this.tableSummary = [...this.dumpTables].map(([key, { schema, table }]) => {
+        const stats = this.maskedCounts.get(key);
+        const strategy = stats ? 'mask' : this.getStrategy(schema, table);
+        return {
+          table: key,
+          strategy,
+          rows: this.outputRows.get(key) || 0,
+          masks: stats ? { ...stats.masks } : strategy === 'mask' ? { ...this.getTableRules(schema, table).masks } : {},
+          branches: stats ? stats.branches.list() : [],
+        };
+      });
+
+      logger.info(`Anonymized dump created successfully at: ${finalPath}`);
+      return finalPath;
+    } catch (error) {
+      logger.error('Failed to create anonymized dump:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Records the rows masked in a table for the run result.
+   */
+  recordMaskedTable(table, rows, branches = []) {
+    logger.info(`Masked ${rows} rows in table ${table}`);
+    for (const { column, branch, rows: count } of branches) {
+      logger.info(`  ${column ? `${column}: ` : ''}${branch}: ${count} rows`);
+    }
+    this.maskedTables.push({ table, rows, branches });
+    if (this.events) this.events.emit(ANONYMIZER_EVENTS.TABLE_MASKED, { table, rows });
+  }
+
+  /**
+   * Checks that no sampled original value of a masked column appears in the output.
+   */
+  async verifyOutput(outputPath) {
+    if (!this.leakScanner) {
+      emitWarning(this.events, 'Leak check disabled, the output was not verified');
+      return null;
+    }
+    return this.leakScanner.verify(outputPath);
+  }
+
+  async cleanup() {
+    logger.info('Starting cleanup...');
+    this.maskers.clear();
+  }
+}
@@ -0,0 +1,174 @@
+import { logger } from '../utils/logger.js';
+import { qualifiedTableName } from '../utils/rules.js';
+import { quoteIdentifier } from '../utils/sql-dump.js';
+
+const FOREIGN_KEYS_QUERY = `
+  SELECT
+    cn.nspname AS child_schema,
+    cc.relname AS child_table,
+    pn.nspname AS parent_schema,
+    pc.relname AS parent_table,
+    ARRAY(
+      SELECT a.attname FROM unnest(c.conkey) WITH ORDINALITY AS k(attnum, ord)
+      JOIN pg_catalog.pg_attribute a ON a.attrelid = c.conrelid AND a.attnum = k.attnum
+      ORDER BY k.ord
+    )::text[] AS child_columns,
+    ARRAY(
+      SELECT a.attname FROM unnest(c.confkey) WITH ORDINALITY AS k(attnum, ord)
+      JOIN pg_catalog.pg_attribute a ON a.attrelid = c.confrelid AND a.attnum = k.attnum
+      ORDER BY k.ord
+    )::text[] AS parent_columns
+  FROM pg_catalog.pg_constraint c
+  JOIN pg_catalog.pg_class cc ON cc.oid = c.conrelid
+  JOIN pg_catalog.pg_namespace cn ON cn.oid = cc.relnamespace
+  JOIN pg_catalog.pg_class pc ON pc.oid = c.confrelid
+  JOIN pg_catalog.pg_namespace pn ON pn.oid = pc.relnamespace
+  WHERE c.contype = 'f';
+`;
+
+/**
+ * Tables whose rows the subset of some tables can remove through foreign keys,
+ * directly or through other tables.
+ * @param {Array<{child: string, parent: string}>} foreignKeys - As returned by `Subsetter.loadForeignKeys`.
+ * @param {string[]} roots - Qualified names of the subset tables.
+ * @returns {Map<string, string[]>} - Each reached table and the roots it is reached from.
+ */
+export function foreignKeyReach(foreignKeys, roots) {
+  const reach = new Map();
+  for (const root of roots) {
+    const seen = new Set([root]);
+    const queue = [root];
+    while (queue.length > 0) {
+      const parent = queue.shift();
+      for (const fk of foreignKeys) {
+        if (fk.parent !== parent || seen.has(fk.child)) continue;
+        seen.add(fk.child);
+        queue.push(fk.child);
+        reach.set(fk.child, [...(reach.get(fk.child) || []), root]);
+      }
+    }
+  }
+  return reach;
+}
+
+/**
+ * Reduces the restored database to the rows selected by the `where` and
+ * `sample` table rules while keeping referential integrity: parents of kept
+ * rows are kept, and rows whose parents were removed are removed too.
+ * Works inside the caller's transaction.
+ */
+export class Subsetter {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Lists the foreign keys of the database with qualified table names.
+   */
+  async loadForeignKeys() {
+    const result = await this.client.query(FOREIGN_KEYS_QUERY);
+    return result.rows.map((row) => ({
+      child: qualifiedTableName(row.child_schema, row.child_table),
+      parent: qualifiedTableName(row.parent_schema, row.parent_table),
+      childColumns: row.child_columns.map(quoteIdentifier),
+      parentColumns: row.parent_columns.map(quoteIdentifier),
+    }));
+  }
+
+  /**
+   * Tables the cascade of emptying `tables` can reach (see `foreignKeyReach`).
+   */
+  async cascadeReach(tables) {
+    return foreignKeyReach(await this.loadForeignKeys(), tables);
+  }
+
+  async countRows(table) {
+    const result = await this.client.query(`SELECT COUNT(*) FROM ${table}`);
+    return parseInt(result.rows[0].count);
+  }
+
+  /**
+   * Applies the filters and returns the number of rows removed per table.
+   * @param {Array<{table: string, where?: string, sample?: number}>} filters - Qualified table names and their filters.
+   * @returns {Promise<Map<string, number>>} - Removed rows per qualified table name.
+   */
+  async apply(filters) {
+    const removed = new Map();
+    if (filters.length === 0) return removed;
+
+    logger.info(`Subsetting ${filters.length} tables...`);
+    // Las FK se desactivan mientras se borra; la cascada final restaura la integridad
+    await this.client.query('SET LOCAL session_replication_role = replica');
+
+    const foreignKeys = await this.loadForeignKeys();
+    const keepTables = new Map();
+
+    // 1. Filas semilla de cada tabla filtrada
+    for (const [index, filter] of filters.entries()) {
+      const keepTable = `subset_keep_${index}`;
+      const conditions = [];
+      if (filter.where) conditions.push(`(${filter.where})`);
+      if (filter.sample !== undefined) conditions.push(`random() < ${Number(filter.sample) / 100}`);
+
+      await this.client.query(
+        `CREATE TEMP TABLE ${keepTable} ON COMMIT DROP AS
+         SELECT ctid AS row_id FROM ${filter.table} WHERE ${conditions.join(' AND ')}`
+      );
+      keepTables.set(filter.table, keepTable);
+    }
+
+    // 2. Los padres de las filas conservadas también se conservan
+    let added;
+    do {
+      added = 0;
+      for (const fk of foreignKeys) {
+        const childKeep = keepTables.get(fk.child);
+        const parentKeep = keepTables.get(fk.parent);
+        if (!childKeep || !parentKeep) continue;
+
+        const join = fk.childColumns.map((column, i) => `c.${column} = p.${fk.parentColumns[i]}`).join(' AND ');
+        const result = await this.client.query(
+          `INSERT INTO ${parentKeep} (row_id)
+           SELECT DISTINCT p.ctid FROM ${fk.parent} p
+           JOIN ${fk.child} c ON ${join}
+           JOIN ${childKeep} ck ON ck.row_id = c.ctid
+           WHERE NOT EXISTS (SELECT 1 FROM ${parentKeep} pk WHERE pk.row_id = p.ctid)`
+        );
+        added += result.rowCount;
+      }
+    } while (added > 0);
+
+    // 3. Se eliminan las filas no conservadas de las tablas filtradas
+    for (const [table, keepTable] of keepTables) {
+      const result = await this.client.query(
+        `DELETE FROM ${table} t WHERE NOT EXISTS (SELECT 1 FROM ${keepTable} k WHERE k.row_id = t.ctid)`
+      );
+      removed.set(table, result.rowCount);
+    }
+
+    // 4. Cascada: se eliminan las filas hijas cuyos padres ya no existen
+    let deleted;
+    do {
+      deleted = 0;
+      for (const fk of foreignKeys) {
+        const notNull = fk.childColumns.map((column) => `c.${column} IS NOT NULL`).join(' AND ');
+        const join = fk.childColumns.map((column, i) => `c.${column} = p.${fk.parentColumns[i]}`).join(' AND ');
+        const result = await this.client.query(
+          `DELETE FROM ${fk.child} c
+           WHERE ${notNull} AND NOT EXISTS (SELECT 1 FROM ${fk.parent} p WHERE ${join})`
+        );
+        if (result.rowCount > 0) {
+          removed.set(fk.child, (removed.get(fk.child) || 0) + result.rowCount);
+          deleted += result.rowCount;
+        }
+      }
+    } while (deleted > 0);
+
+    await this.client.query('SET LOCAL session_replication_role = DEFAULT');
+
+    for (const [table, count] of removed) {
+      logger.info(`Subset removed ${count} rows from ${table} (${await this.countRows(table)} kept)`);
+    }
+    return removed;
+  }
+}
@@ -0,0 +1,371 @@
+import { logger } from '../utils/logger.js';
+import { Dumper } from './dumper.js';
+import {
+  GLOBAL_COLUMNS_KEY,
+  normalizeRules,
+  matchesIdentifier,
+  resolveColumnName,
+  tableStrategy,
+  globalColumnRules,
+  resolveTableRules,
+  qualifiedTableName,
+} from '../utils/rules.js';
+import { parseMaskExpression, parseCondition, collectReferences } from '../masking/expression.js';
+import { functionSupport, expressionFamily, typeFamily, familyFits } from '../masking/catalog.js';
+import { isPseudonymMask, assertPseudonymMask } from '../masking/pseudonym.js';
+import { isGeneratorMask, assertGeneratorMask } from '../masking/generators.js';
+import { isJsMask, isJsonMask, describeMask, masksTableInJs } from '../masking/masker.js';
+import { parseJsonPath } from '../masking/json-path.js';
+import { isConditionalMask, rowBranches, columnBranches } from '../masking/conditions.js';
+import { getDatabaseEngine } from '../engines/index.js';
+import { getConfig } from '../config/index.js';
+
+function usesIlike(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (node.type === 'like' && node.ignoreCase) return true;
+  return Object.values(node).some((value) => (Array.isArray(value) ? value.some(usesIlike) : usesIlike(value)));
+}
+
+/**
+ * Checks a rules file against the DDL of a dump without starting any container:
+ * tables, columns, mask functions and column types. Without a dump only the
+ * masks themselves are checked.
+ */
+export class RulesValidator {
+  constructor(engine = 'docker', databaseEngine, { maskingMode = 'static' } = {}) {
+    this.databaseEngine = getDatabaseEngine(databaseEngine);
+    // Sin etiquetas de seguridad las máscaras se evalúan en JS, igual que en el motor stream
+    this.functionEngine = this.databaseEngine.maskFunctions === 'js' ? 'stream' : engine;
+    this.engine = this.databaseEngine.maskFunctions === 'js' ? this.databaseEngine.name : engine;
+    this.maskingMode = maskingMode;
+    this.salt = getConfig().anonymization.salt;
+    this.dumper = new Dumper(this.databaseEngine);
+  }
+
+  /**
+   * Validates the rules and returns a report with every error and warning found.
+   * `resolvedRules` lists the rules each table ends up with once the global column rules are applied.
+   */
+  async validate(dumpPath, rules) {
+    const report = { tables: 0, columns: 0, errors: [], warnings: [], resolvedRules: [] };
+    const definitions = [...(await this.dumper.readTableDefinitions(dumpPath)).values()];
+    const entries = normalizeRules(rules);
+    const globals = globalColumnRules(rules);
+
+    if (entries.length === 0 && globals.length === 0) {
+      report.errors.push({ table: null, column: null, message: 'The rules file does not define any table' });
+    }
+
+    const ruled = [];
+    for (const entry of entries) {
+      const definition = definitions.find(
+        (table) => matchesIdentifier(entry.schema, table.schema) && matchesIdentifier(entry.table, table.table)
+      );
+      if (!definition) {
+        report.errors.push({ table: entry.key, column: null, message: 'Table does not exist in the dump' });
+        continue;
+      }
+      ruled.push(definition);
+      this.validateTable(report, entry, definition, resolveTableRules(entry.rules, globals, definition.columns));
+    }
+
+    // Tablas sin reglas propias a las que se aplican reglas globales
+    for (const definition of definitions.filter((table) => !ruled.includes(table))) {
+      const resolved = resolveTableRules(null, globals, definition.columns);
+      if (!resolved) continue;
+      const key = qualifiedTableName(definition.schema, definition.table);
+      this.validateTable(report, { key, rules: resolved.rules }, definition, resolved);
+    }
+
+    return report;
+  }
+
+  /**
+   * Validates the rules without a dump: functions, generators, pseudonyms, JSON
+   * paths and conditions are checked, but not the tables, columns and types they refer to.
+   */
+  validateWithoutSchema(rules) {
+    const report = { tables: 0, columns: 0, errors: [], warnings: [], resolvedRules: [] };
+    const entries = normalizeRules(rules);
+    const globals = globalColumnRules(rules);
+
+    if (entries.length === 0 && globals.length === 0) {
+      report.errors.push({ table: null, column: null, message: 'The rules file does not define any table' });
+    }
+    for (const entry of entries) {
+      this.validateTable(report, entry, null, { rules: entry.rules, sources: {} });
+    }
+    for (const { label, maskFor } of globals) {
+      const error = (message) => report.errors.push({ table: GLOBAL_COLUMNS_KEY, column: label, message });
+      // Sin columnas reales, `{col}` se comprueba como una columna cualquiera
+      this.validateMask(error, report, GLOBAL_COLUMNS_KEY, null, label, null, maskFor('column'), this.functionEngine);
+    }
+    return report;
+  }
+
+  /**
+   * Checks the resolved rules of one table and records them in the report.
+   * `definition` is the table in the dump, or null when there is no dump to check against.
+   */
+  validateTable(report, entry, definition, { rules: tableRules, sources }) {
+    report.tables++;
+    const strategy = tableStrategy(tableRules);
+    report.resolvedRules.push({
+      table: definition ? qualifiedTableName(definition.schema, definition.table) : entry.key,
+      strategy,
+      masks: strategy === 'mask' ? { ...tableRules.masks } : {},
+      exceptions: strategy === 'mask' ? tableRules.exceptions || [] : [],
+      when: strategy === 'mask' ? tableRules.when || [] : [],
+      sources,
+    });
+
+    const subset = tableRules && (tableRules.where || tableRules.sample !== undefined);
+    if (subset && (this.engine === 'stream' || !this.databaseEngine.supportsSubsetting)) {
+      report.errors.push({ table: entry.key, column: null, message: `Row subsetting (where/sample) is not supported by the ${this.engine} engine` });
+    }
+    if (strategy === 'exclude' && this.engine === 'stream') {
+      report.errors.push({ table: entry.key, column: null, message: 'The exclude strategy is not supported by the stream engine; use schema_only' });
+    }
+    if (strategy !== 'mask') return;
+    if (!tableRules || typeof tableRules.masks !== 'object' || Object.keys(tableRules.masks).length === 0) {
+      if (!subset) report.errors.push({ table: entry.key, column: null, message: 'No masks defined for table' });
+      return;
+    }
+
+    // Una tabla con máscaras JS y condiciones o máscaras SQL se enmascara entera en JS, también en PostgreSQL
+    const branches = rowBranches(tableRules);
+    const functionEngine = masksTableInJs(tableRules) ? 'stream' : this.functionEngine;
+
+    for (const [column, mask] of Object.entries(tableRules.masks)) {
+      report.columns++;
+      this.validateColumn(report, entry.key, definition, column, mask, functionEngine);
+    }
+    for (const branch of tableRules.when || []) {
+      for (const [column, mask] of Object.entries(branch.masks || {})) {
+        this.validateColumn(report, entry.key, definition, column, mask, functionEngine);
+      }
+    }
+    for (const branch of branches.filter((item) => item.condition !== null)) {
+      this.validateCondition(report, entry.key, null, definition, branch.condition, functionEngine === 'stream');
+    }
+  }
+
+  /**
+   * Checks a row condition: its columns must exist, and it must be in the
+   * subset of SQL the JavaScript evaluator understands when it is not run by the database.
+   */
+  validateCondition(report, tableKey, ruleColumn, definition, condition, inJs) {
+    let tree;
+    try {
+      tree = parseCondition(condition);
+    } catch (parseError) {
+      const message = `Condition "${condition}" is not supported in JavaScript: ${parseError.message}`;
+      // PostgreSQL evalúa él mismo las condiciones de las tablas sin máscaras JS
+      if (inJs) report.errors.push({ table: tableKey, column: ruleColumn, message });
+      else report.warnings.push({ table: tableKey, column: ruleColumn, message: `${message} (PostgreSQL will evaluate it)` });
+      return;
+    }
+
+    const { functions, columns } = collectReferences(tree);
+    const error = (message) => report.errors.push({ table: tableKey, column: ruleColumn, message: `Condition "${condition}": ${message}` });
+    const columnNames = definition ? definition.columns.map((column) => column.name) : null;
+    for (const reference of columnNames ? columns : []) {
+      if (!resolveColumnName(columnNames, reference)) error(`unknown column "${reference}"`);
+    }
+    for (const name of functions) {
+      const support = functionSupport(name, inJs ? 'stream' : this.functionEngine);
+      if (!support.known) error(`unknown masking function ${name}()`);
+      else if (!support.supported) error(`function ${name}() is not supported`);
+    }
+    if (this.databaseEngine.name === 'mysql' && usesIlike(tree)) {
+      error('ILIKE does not exist in MySQL; use LIKE, which ignores case with the default collations');
+    }
+  }
+
+  validateColumn(report, tableKey, definition, ruleColumn, mask, functionEngine = this.functionEngine) {
+    const error = (message) => report.errors.push({ table: tableKey, column: ruleColumn, message });
+    // Sin DDL no hay columnas ni tipos que comprobar
+    if (!definition) {
+      this.validateMask(error, report, tableKey, definition, ruleColumn, null, mask, functionEngine);
+      return;
+    }
+    const columnNames = definition.columns.map((column) => column.name);
+    const columnName = resolveColumnName(columnNames, ruleColumn);
+
+    if (!columnName) {
+      error('Column does not exist in the table');
+      return;
+    }
+
+    const columnType = definition.columns.find((column) => column.name === columnName).type;
+    const columnFamily = typeFamily(columnType);
+    if (columnFamily === 'other') {
+      report.warnings.push({ table: tableKey, column: ruleColumn, message: `Cannot check masks against type ${columnType}` });
+    }
+
+    this.validateMask(error, report, tableKey, definition, ruleColumn, columnType, mask, functionEngine);
+  }
+
+  /**
+   * Checks one mask of a column; each branch of a conditional mask is checked in turn.
+   * `functionEngine` is 'stream' when the table is masked in JavaScript.
+   */
+  validateMask(error, report, tableKey, definition, ruleColumn, columnType, mask, functionEngine) {
+    const columnFamily = typeFamily(columnType);
+
+    if (isConditionalMask(mask)) {
+      for (const branch of columnBranches(mask)) {
+        if (branch.condition !== null) {
+          this.validateCondition(report, tableKey, ruleColumn, definition, branch.condition, functionEngine === 'stream');
+        }
+        if (branch.mask !== null) this.validateMask(error, report, tableKey, definition, ruleColumn, columnType, branch.mask, functionEngine);
+      }
+      return;
+    }
+
+    if (isJsMask(mask)) {
+      if (isJsonMask(mask)) this.validateJsonMask(error, definition, columnType, mask);
+      if (isGeneratorMask(mask)) {
+        try {
+          assertGeneratorMask(mask);
+        } catch (validationError) {
+          error(validationError.message);
+          return;
+        }
+      }
+      // Las etiquetas de seguridad solo admiten expresiones SQL
+      if (this.engine === 'docker' && this.maskingMode === 'dynamic') {
+        error(`The ${describeMask(mask)} mask runs in JavaScript; it needs static masking`);
+      }
+      return;
+    }
+
+    if (isPseudonymMask(mask)) {
+      try {
+        assertPseudonymMask(mask, this.salt);
+      } catch (validationError) {
+        error(validationError.message);
+        return;
+      }
+      const maskFamily = mask.pseudonym === 'number' ? 'numeric' : 'text';
+      if (!familyFits(maskFamily, columnFamily)) {
+        error(`Pseudonym "${mask.pseudonym}" produces ${maskFamily} values but the column is ${columnType}`);
+      }
+      return;
+    }
+
+    if (typeof mask !== 'string' || mask.trim() === '') {
+      error('Mask must be a SQL expression, a pseudonym rule, a generator or a function');
+      return;
+    }
+
+    const unsupportedWhere = functionEngine === this.functionEngine ? `by the ${this.engine} engine` : 'in tables masked in JavaScript';
+    const tree = this.validateExpression(error, definition, mask, functionEngine, unsupportedWhere);
+    if (!tree) return;
+
+    const columnFamilies = {};
+    for (const column of definition ? definition.columns : []) columnFamilies[column.name] = typeFamily(column.type);
+    const maskFamily = expressionFamily(tree, columnFamilies);
+    if (!familyFits(maskFamily, columnFamily)) {
+      error(`Mask produces ${maskFamily} values but the column is ${columnType}`);
+    }
+  }
+
+  /**
+   * Parses a mask expression and checks its functions and column references.
+   * @returns {object|null} - The expression tree, or null when it does not parse.
+   */
+  validateExpression(error, definition, mask, functionEngine, unsupportedWhere) {
+    let tree;
+    try {
+      tree = parseMaskExpression(mask);
+    } catch (parseError) {
+      error(parseError.message);
+      return null;
+    }
+
+    const { functions, columns } = collectReferences(tree);
+    for (const name of functions) {
+      const support = functionSupport(name, functionEngine);
+      if (!support.known) error(`Unknown masking function ${name}()`);
+      else if (!support.supported) error(`Function ${name}() is not supported ${unsupportedWhere}`);
+    }
+    const columnNames = definition ? definition.columns.map((column) => column.name) : null;
+    for (const reference of columnNames ? columns : []) {
+      if (!resolveColumnName(columnNames, reference)) error(`Mask references unknown column "${reference}"`);
+    }
+    return tree;
+  }
+
+  /**
+   * Checks the paths of a JSON path mask and the mask of each one. Field masks
+   * always run in JavaScript, so their functions must exist in the stream engine.
+   */
+  validateJsonMask(error, definition, columnType, mask) {
+    if (!['json', 'text', 'other'].includes(typeFamily(columnType))) {
+      error(`JSON path masks need a json, jsonb or text column, but the column is ${columnType}`);
+    }
+
+    for (const [jsonPath, fieldMask] of Object.entries(mask.json)) {
+      const fieldError = (message) => error(`${jsonPath}: ${message}`);
+      try {
+        parseJsonPath(jsonPath);
+      } catch (pathError) {
+        fieldError(pathError.message);
+        continue;
+      }
+
+      try {
+        if (isJsonMask(fieldMask)) fieldError('JSON masks cannot be nested');
+        else if (isGeneratorMask(fieldMask)) assertGeneratorMask(fieldMask);
+        else if (isPseudonymMask(fieldMask)) assertPseudonymMask(fieldMask, this.salt);
+        else if (typeof fieldMask === 'string' && fieldMask.trim() !== '') {
+          this.validateExpression(fieldError, definition, fieldMask, 'stream', 'in JSON path masks');
+        } else if (typeof fieldMask !== 'function') {
+          fieldError('Mask must be a SQL expression, a pseudonym rule, a generator or a function');
+        }
+      } catch (validationError) {
+        fieldError(validationError.message);
+      }
+    }
+  }
+
+  /**
+   * Formats the resolved rules of a report as a YAML rules document, with the
+   * origin of every mask as a comment.
+   */
+  formatResolvedRules(report) {
+    const lines = [`# Resolved rules: ${report.resolvedRules.length} table(s)`];
+    // JSON es YAML válido y conserva las comillas de máscaras y columnas; las funciones se describen
+    const toYaml = (value) => JSON.stringify(value, (key, item) => (typeof item === 'function' ? describeMask(item) : item));
+    for (const { table, strategy, masks, exceptions = [], when = [], sources } of report.resolvedRules) {
+      lines.push(`${JSON.stringify(table)}:`, `  strategy: ${strategy}`);
+      if (Object.keys(masks).length === 0) continue;
+      lines.push('  masks:');
+      for (const [column, mask] of Object.entries(masks)) {
+        lines.push(`    ${JSON.stringify(column)}: ${toYaml(mask)}  # ${sources[column] || 'table'}`);
+      }
+      if (exceptions.length > 0) lines.push(`  exceptions: ${toYaml(exceptions)}`);
+      if (when.length > 0) lines.push(`  when: ${toYaml(when)}`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Logs a validation report.
+   */
+  printReport(report) {
+    logger.info(`Validated ${report.columns} columns in ${report.tables} tables`);
+    for (const { table, column, message } of report.errors) {
+      logger.error(`[${[table, column].filter(Boolean).join('.')}] ${message}`);
+    }
+    for (const { table, column, message } of report.warnings) {
+      logger.warn(`[${[table, column].filter(Boolean).join('.')}] ${message}`);
+    }
+    if (report.errors.length === 0) {
+      logger.info('Rules validation passed');
+    } else {
+      logger.error(`Rules validation failed with ${report.errors.length} error(s)`);
+    }
+  }
+}
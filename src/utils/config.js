@@ -1,32 +1,119 @@
 import { pathToFileURL } from 'url';
 import path from 'path';
 import fs from 'fs/promises';
+import yaml from 'js-yaml';
 import { logger } from './logger.js';
+import { validateRulesDocument, findLine } from './rules-schema.js';
+import { GENERATORS_KEY } from './rules.js';
+import { getConfig } from '../config/index.js';
+import { loadGeneratorModules } from '../masking/generators.js';
+
+const RULE_FORMATS = {
+  '.js': 'module',
+  '.mjs': 'module',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.json': 'json',
+};
+
+/**
+ * Resuelve la ruta de un archivo de reglas: rutas absolutas o relativas al
+ * directorio actual si existen, y si no, un nombre dentro del directorio de reglas (`src/rules` por defecto).
+ * @param {string} rulesFileName - Nombre o ruta del archivo de reglas.
+ * @returns {Promise<string>} - Ruta absoluta del archivo.
+ */
+export async function resolveRulesPath(rulesFileName) {
+  if (path.isAbsolute(rulesFileName)) return rulesFileName;
+
+  const fromCwd = path.resolve(rulesFileName);
+  try {
+    await fs.access(fromCwd);
+    return fromCwd;
+  } catch {
+    return path.join(getConfig().paths.rules, rulesFileName);
+  }
+}
+
+/**
+ * Elige las reglas exportadas por un módulo JS: `default`, `testDbRules` o la
+ * única exportación con nombre (por ejemplo `usersRules`).
+ * @param {object} ruleModule - Módulo importado.
+ * @returns {object} - Reglas exportadas.
+ */
+function pickModuleRules(ruleModule) {
+  if (ruleModule.default !== undefined) return ruleModule.default;
+  if (ruleModule.testDbRules !== undefined) return ruleModule.testDbRules;
+
+  const exported = Object.keys(ruleModule);
+  if (exported.length === 1) return ruleModule[exported[0]];
+  if (exported.length === 0) throw new Error('The rules module does not export anything');
+  throw new Error(`The rules module has several exports (${exported.join(', ')}); use a default export`);
+}
 
 /**
- * Carga un archivo de reglas desde la carpeta predeterminada `src/rules`.
- * @param {string} rulesFileName - Nombre del archivo de reglas.
+ * Lee y parsea un archivo de reglas según su extensión.
+ * @param {string} ruleFilePath - Ruta absoluta del archivo.
+ * @returns {Promise<{rules: object, source: string|null, format: string}>} - Reglas y texto original.
+ */
+async function readRulesFile(ruleFilePath) {
+  const format = RULE_FORMATS[path.extname(ruleFilePath).toLowerCase()];
+  if (!format) {
+    throw new Error(`Unsupported rules file extension "${path.extname(ruleFilePath)}" (use .js, .yaml, .yml or .json)`);
+  }
+
+  if (format === 'module') {
+    // Convierte la ruta a una URL válida para ESM e importa dinámicamente el módulo
+    const ruleModule = await import(pathToFileURL(ruleFilePath).href);
+    return { rules: pickModuleRules(ruleModule), source: null, format };
+  }
+
+  const source = await fs.readFile(ruleFilePath, 'utf8');
+  try {
+    const rules = format === 'yaml' ? yaml.load(source, { filename: ruleFilePath }) : JSON.parse(source);
+    return { rules, source, format };
+  } catch (error) {
+    if (format === 'json') {
+      const position = Number((error.message.match(/position (\d+)/) || [])[1]);
+      const line = Number.isNaN(position) ? null : source.slice(0, position).split('\n').length;
+      throw new Error(`Invalid JSON${line ? ` at line ${line}` : ''}: ${error.message}`);
+    }
+    // js-yaml ya incluye la línea y la columna en el mensaje
+    throw new Error(`Invalid YAML: ${error.message}`);
+  }
+}
+
+/**
+ * Carga un archivo de reglas (.js, .yaml, .yml o .json) y valida su estructura.
+ * @param {string} rulesFileName - Nombre del archivo en `src/rules` o ruta a cualquier archivo de reglas.
  * @returns {Promise<object>} - Objeto con las reglas cargadas.
  */
 export async function loadRules(rulesFileName) {
-  const rulesBaseDir = path.resolve('src/rules');
   const rules = {};
 
   try {
-    // Construye la ruta completa en la carpeta `src/rules`
-    const ruleFilePath = path.join(rulesBaseDir, rulesFileName);
+    const ruleFilePath = await resolveRulesPath(rulesFileName);
 
     // Verifica si el archivo existe
     await fs.access(ruleFilePath);
 
-    // Convierte la ruta a una URL válida para ESM
-    const ruleFileUrl = pathToFileURL(ruleFilePath).href;
+    const { rules: loaded, source, format } = await readRulesFile(ruleFilePath);
+
+    const errors = validateRulesDocument(loaded);
+    if (errors.length > 0) {
+      const details = errors.map(({ path: keys, message }) => {
+        const line = source ? findLine(source, keys, format) : null;
+        return `  - ${keys.length ? keys.join('.') : '(root)'}${line ? ` (line ${line})` : ''}: ${message}`;
+      });
+      throw new Error(`Invalid rules file ${ruleFilePath}:\n${details.join('\n')}`);
+    }
 
-    // Importa dinámicamente el módulo
-    const ruleModule = await import(ruleFileUrl);
+    // Los generadores propios se registran antes de compilar ninguna máscara
+    if (Array.isArray(loaded[GENERATORS_KEY])) {
+      const names = await loadGeneratorModules(loaded[GENERATORS_KEY], path.dirname(ruleFilePath));
+      logger.info(`Registered generators: ${names.join(', ')}`);
+    }
 
-    // Usa `testDbRules` si está definido, de lo contrario intenta con `default`
-    Object.assign(rules, ruleModule.testDbRules || ruleModule.default || {});
+    Object.assign(rules, loaded);
 
     logger.info(`Rules loaded successfully from ${ruleFilePath}`);
   } catch (error) {
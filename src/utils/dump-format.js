@@ -0,0 +1,123 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { spawn } from 'child_process';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+import path from 'path';
+
+/**
+ * Input formats: plain SQL, the `pg_dump` archive formats restored with
+ * `pg_restore`, and compressed files.
+ */
+export const INPUT_FORMATS = ['plain', 'custom', 'directory', 'tar', 'gzip', 'zstd'];
+
+/**
+ * Formats that can only be restored with `pg_restore`.
+ */
+export const ARCHIVE_FORMATS = ['custom', 'directory', 'tar'];
+
+/**
+ * Output formats for the anonymized dump and the file extension of each one.
+ */
+export const OUTPUT_FORMATS = {
+  plain: '.sql',
+  custom: '.dump',
+  directory: '',
+  gzip: '.sql.gz',
+};
+
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+const ZSTD_MAGIC = Buffer.from([0x28, 0xb5, 0x2f, 0xfd]);
+
+/**
+ * Detects the format of a dump from its first bytes (or its contents for directories).
+ * @param {string} dumpPath - Path of the dump file or directory.
+ * @returns {Promise<string>} - One of `INPUT_FORMATS`.
+ */
+export async function detectDumpFormat(dumpPath) {
+  const stats = await fs.stat(dumpPath);
+  if (stats.isDirectory()) {
+    try {
+      await fs.access(path.join(dumpPath, 'toc.dat'));
+      return 'directory';
+    } catch {
+      throw new Error(`${dumpPath} is a directory but not a pg_dump directory-format dump (toc.dat is missing)`);
+    }
+  }
+
+  const handle = await fs.open(dumpPath, 'r');
+  const header = Buffer.alloc(512);
+  try {
+    await handle.read(header, 0, header.length, 0);
+  } finally {
+    await handle.close();
+  }
+
+  if (header.subarray(0, 5).toString('latin1') === 'PGDMP') return 'custom';
+  if (header.subarray(257, 262).toString('latin1') === 'ustar') return 'tar';
+  if (header.subarray(0, 2).equals(GZIP_MAGIC)) return 'gzip';
+  if (header.subarray(0, 4).equals(ZSTD_MAGIC)) return 'zstd';
+  return 'plain';
+}
+
+/**
+ * Creates a zstd decompressor: the built-in one when Node has it, otherwise the `zstd` command.
+ */
+function zstdDecompressStream(dumpPath) {
+  if (typeof zlib.createZstdDecompress === 'function') {
+    return createReadStream(dumpPath).pipe(zlib.createZstdDecompress());
+  }
+
+  const child = spawn('zstd', ['-dc', dumpPath], { stdio: ['ignore', 'pipe', 'inherit'] });
+  child.on('error', (error) => {
+    child.stdout.destroy(new Error(`Unable to decompress ${dumpPath}: the zstd command is not available (${error.message})`));
+  });
+  child.on('exit', (code) => {
+    if (code !== 0) child.stdout.destroy(new Error(`zstd exited with code ${code} while decompressing ${dumpPath}`));
+  });
+  return child.stdout;
+}
+
+/**
+ * Opens a plain-SQL dump for reading, decompressing gzip and zstd files on the fly.
+ * @param {string} dumpPath - Path of the dump file.
+ * @returns {Promise<import('stream').Readable>} - Stream of plain SQL.
+ */
+export async function openDumpStream(dumpPath) {
+  const format = await detectDumpFormat(dumpPath);
+  if (ARCHIVE_FORMATS.includes(format)) {
+    throw new Error(`${dumpPath} is a ${format}-format dump; it can only be restored with pg_restore (use the docker engine)`);
+  }
+
+  if (format === 'gzip') {
+    const input = createReadStream(dumpPath, { highWaterMark: 64 * 1024 });
+    const gunzip = zlib.createGunzip();
+    input.on('error', (error) => gunzip.destroy(error));
+    return input.pipe(gunzip);
+  }
+  if (format === 'zstd') return zstdDecompressStream(dumpPath);
+  return createReadStream(dumpPath, { highWaterMark: 64 * 1024 });
+}
+
+/**
+ * Writes the decompressed contents of a gzip or zstd dump to a new file.
+ * @param {string} dumpPath - Compressed dump.
+ * @param {string} outputPath - Destination file.
+ * @returns {Promise<string>} - `outputPath`.
+ */
+export async function decompressDump(dumpPath, outputPath) {
+  await pipeline(await openDumpStream(dumpPath), createWriteStream(outputPath));
+  return outputPath;
+}
+
+/**
+ * Compresses a file with gzip and removes the original.
+ * @param {string} inputPath - File to compress.
+ * @param {string} outputPath - Destination `.gz` file.
+ * @returns {Promise<string>} - `outputPath`.
+ */
+export async function gzipFile(inputPath, outputPath) {
+  await pipeline(createReadStream(inputPath), zlib.createGzip(), createWriteStream(outputPath));
+  await fs.unlink(inputPath);
+  return outputPath;
+}
@@ -0,0 +1,186 @@
+import { Transform } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import { SqlStatementScanner, parseCopyHeader, unquoteIdentifier } from './sql-dump.js';
+import { getConfig } from '../config/index.js';
+
+// Longitud máxima de las sentencias mostradas en el registro de cambios
+const PREVIEW_LENGTH = 120;
+
+function preview(text) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > PREVIEW_LENGTH ? `${flat.slice(0, PREVIEW_LENGTH - 3)}...` : flat;
+}
+
+function commentOut(statement) {
+  return statement
+    .split('\n')
+    .map((line) => `-- ${line}`)
+    .join('\n');
+}
+
+/**
+ * Comments out the `SET` and `set_config()` statements of settings the target server does not know,
+ * e.g. `transaction_timeout` in a PostgreSQL 17 dump imported into an older server.
+ * @param {string[]} names - Setting names.
+ * @returns {object} - Rewrite for `createDumpPreprocessor`.
+ */
+export function unknownSettings(names) {
+  const settings = names.map((name) => name.toLowerCase());
+  return {
+    name: 'unknown-settings',
+    startsWith: /^\s*(SET\b|SELECT\s+pg_catalog\.set_config\()/i,
+    rewrite(statement) {
+      const match = statement.match(/^\s*SET\s+(?:SESSION\s+|LOCAL\s+)?([\w.]+)/i)
+        || statement.match(/^\s*SELECT\s+pg_catalog\.set_config\('([\w.]+)'/i);
+      return match && settings.includes(match[1].toLowerCase()) ? commentOut(statement) : null;
+    },
+  };
+}
+
+/**
+ * Keeps `public` in the search path of the import: pg_dump empties it, which
+ * breaks unqualified names in functions and defaults evaluated while importing.
+ * @returns {object} - Rewrite for `createDumpPreprocessor`.
+ */
+export function publicSearchPath() {
+  return {
+    name: 'search-path',
+    startsWith: /^\s*SELECT\s+pg_catalog\.set_config\('search_path'/i,
+    rewrite(statement) {
+      const rewritten = statement.replace(
+        "pg_catalog.set_config('search_path', '', false)",
+        "pg_catalog.set_config('search_path', 'public', false)"
+      );
+      return rewritten === statement ? null : rewritten;
+    },
+  };
+}
+
+/**
+ * Comments out `CREATE EXTENSION` and `COMMENT ON EXTENSION` for extensions
+ * that are not installed in the work container.
+ * @param {string[]} names - Extension names.
+ * @returns {object} - Rewrite for `createDumpPreprocessor`.
+ */
+export function unavailableExtensions(names) {
+  return {
+    name: 'unavailable-extensions',
+    startsWith: /^\s*(CREATE|COMMENT\s+ON)\s+EXTENSION\s/i,
+    rewrite(statement) {
+      const match = statement.match(/EXTENSION\s+(?:IF\s+NOT\s+EXISTS\s+)?("(?:[^"]|"")+"|[\w$]+)/i);
+      return match && names.includes(unquoteIdentifier(match[1])) ? commentOut(statement) : null;
+    },
+  };
+}
+
+/**
+ * Rewrites applied to PostgreSQL dumps before importing them. The `dump.skipSettings`
+ * and `dump.skipExtensions` settings (`DUMP_SKIP_SETTINGS` and `DUMP_SKIP_EXTENSIONS`)
+ * add settings and extensions to skip.
+ * @returns {object[]} - Rewrites, in the order they are applied.
+ */
+export function defaultRewrites() {
+  const { dump } = getConfig();
+  const rewrites = [unknownSettings(['transaction_timeout', ...dump.skipSettings]), publicSearchPath()];
+  if (dump.skipExtensions.length > 0) rewrites.push(unavailableExtensions(dump.skipExtensions));
+  return rewrites;
+}
+
+/**
+ * Streaming preprocessor for plain-SQL dumps. It follows statements, quoted
+ * strings, dollar-quoted bodies and `COPY` blocks, and only hands complete
+ * top-level statements to the rewrites; `COPY` data and everything else is
+ * copied byte for byte.
+ *
+ * A rewrite is `{ name, startsWith, rewrite(statement) }`: `startsWith` is tested
+ * on the first line of each statement, and only matching statements are buffered
+ * and passed to `rewrite`, which returns the new text or null to keep it.
+ * @param {object[]} rewrites - Rewrites, applied in order.
+ * @param {object} options - `onChange({ rewrite, line, before, after })` is called for every change.
+ * @returns {Transform} - Transform stream of the dump text.
+ */
+export function createDumpPreprocessor(rewrites, { onChange = () => {} } = {}) {
+  const decoder = new StringDecoder('utf8');
+  const scanner = new SqlStatementScanner();
+  let partial = '';
+  let lineNumber = 0;
+  let inCopy = false;
+  let pending = null;
+
+  function finishStatement() {
+    let text = pending.lines.join('\n');
+    for (const rewrite of pending.rewrites) {
+      const rewritten = rewrite.rewrite(text);
+      if (rewritten === null || rewritten === text) continue;
+      onChange({ rewrite: rewrite.name, line: pending.line, before: preview(text), after: preview(rewritten) });
+      text = rewritten;
+    }
+    pending = null;
+    return text;
+  }
+
+  // Devuelve el texto que sale por cada línea de entrada (sin el salto de línea)
+  function processLine(line) {
+    lineNumber++;
+    // El \r de los dumps con CRLF se conserva, pero no cuenta para el análisis
+    const content = line.endsWith('\r') ? line.slice(0, -1) : line;
+
+    if (inCopy) {
+      if (content === '\\.') inCopy = false;
+      return line;
+    }
+
+    if (pending === null && scanner.atStatementStart) {
+      if (parseCopyHeader(content)) {
+        scanner.scan(content);
+        inCopy = true;
+        return line;
+      }
+      const matching = rewrites.filter((rewrite) => rewrite.startsWith.test(content));
+      if (matching.length > 0) pending = { line: lineNumber, lines: [], rewrites: matching };
+    }
+
+    const ended = scanner.scan(content);
+    if (pending === null) return line;
+
+    pending.lines.push(line);
+    return ended ? finishStatement() : null;
+  }
+
+  function processText(text, push) {
+    // Solo se parte el texto nuevo: una línea enorme no se vuelve a recorrer en cada trozo
+    const lines = text.split('\n');
+    lines[0] = partial + lines[0];
+    partial = lines.pop();
+    for (const line of lines) {
+      const output = processLine(line);
+      if (output !== null) push(`${output}\n`);
+    }
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        processText(decoder.write(chunk), (text) => this.push(text));
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        processText(decoder.end(), (text) => this.push(text));
+        // Última línea sin salto de línea y sentencia sin terminar: se copian tal cual
+        const last = partial;
+        if (last !== '') {
+          const output = processLine(last);
+          if (output !== null) this.push(output);
+        }
+        if (pending !== null) this.push(`${pending.lines.join('\n')}${last === '' ? '\n' : ''}`);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+}
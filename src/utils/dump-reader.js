@@ -0,0 +1,73 @@
+import readline from 'readline';
+import { SqlStatementScanner, parseCopyHeader } from './sql-dump.js';
+import { openDumpStream } from './dump-format.js';
+
+const BUFFERED_STATEMENTS = {
+  insert: /^\s*INSERT\s+INTO\s/i,
+  'create-table': /^\s*CREATE\s+(UNLOGGED\s+)?TABLE\s/i,
+};
+
+/**
+ * Reads a plain-SQL dump (optionally gzip or zstd compressed) line by line and yields what each line is:
+ * - `{ type: 'line', text }` for anything the caller can copy as is.
+ * - `{ type: 'copy-start', header, text }` for a `COPY ... FROM stdin;` line.
+ * - `{ type: 'copy-row', text }` for each data row of that `COPY`.
+ * - `{ type: 'copy-end', text }` for the `\.` terminator.
+ * - `{ type: 'statement', kind, text }` for complete `INSERT` and `CREATE TABLE`
+ *   statements, which may span several lines.
+ * @param {string|import('stream').Readable} dumpPath - Path of the dump file, or a stream of plain SQL.
+ * @returns {AsyncGenerator<object>} - Dump events.
+ */
+export async function* readDump(dumpPath) {
+  const input = typeof dumpPath === 'string' ? await openDumpStream(dumpPath) : dumpPath;
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  const scanner = new SqlStatementScanner();
+
+  let inCopy = false;
+  let statement = null;
+
+  try {
+    for await (const line of rl) {
+      if (inCopy) {
+        if (line === '\\.') {
+          inCopy = false;
+          yield { type: 'copy-end', text: line };
+        } else {
+          yield { type: 'copy-row', text: line };
+        }
+        continue;
+      }
+
+      if (statement === null && scanner.atStatementStart) {
+        const header = parseCopyHeader(line);
+        if (header) {
+          scanner.scan(line);
+          inCopy = true;
+          yield { type: 'copy-start', header, text: line };
+          continue;
+        }
+
+        const kind = Object.keys(BUFFERED_STATEMENTS).find((name) => BUFFERED_STATEMENTS[name].test(line));
+        if (kind) statement = { kind, lines: [] };
+      }
+
+      const ended = scanner.scan(line);
+      if (statement === null) {
+        yield { type: 'line', text: line };
+        continue;
+      }
+
+      statement.lines.push(line);
+      if (ended) {
+        yield { type: 'statement', kind: statement.kind, text: statement.lines.join('\n') };
+        statement = null;
+      }
+    }
+
+    // Una sentencia sin terminar al final del dump se devuelve tal cual
+    if (statement !== null) yield { type: 'line', text: statement.lines.join('\n') };
+  } finally {
+    rl.close();
+    input.destroy();
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Base error of the anonymizer. `code` is stable and meant for programs;
+ * `stage` names the pipeline stage that failed, when there is one.
+ */
+export class AnonymizerError extends Error {
+  constructor(message, { code = 'ANONYMIZER_ERROR', stage = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.stage = stage;
+  }
+}
+
+/**
+ * The options passed to the anonymizer are missing or inconsistent.
+ */
+export class InvalidOptionsError extends AnonymizerError {
+  constructor(message) {
+    super(message, { code: 'INVALID_OPTIONS' });
+  }
+}
+
+/**
+ * The rules could not be loaded, or do not match the dump (`report` holds the validation report).
+ */
+export class RulesError extends AnonymizerError {
+  constructor(message, { stage = 'rules', report = null, cause } = {}) {
+    super(message, { code: 'INVALID_RULES', stage, cause });
+    this.report = report;
+  }
+}
+
+/**
+ * Original values of masked columns were found in the output.
+ */
+export class LeakError extends AnonymizerError {
+  constructor(message, { results, rejectedPath }) {
+    super(message, { code: 'LEAK_DETECTED', stage: 'verify' });
+    this.results = results;
+    this.rejectedPath = rejectedPath;
+  }
+}
+
+/**
+ * A pipeline stage failed; the original error is kept in `cause`.
+ */
+export class StageError extends AnonymizerError {
+  constructor(stage, cause) {
+    super(`${stage} stage failed: ${cause.message}`, { code: 'STAGE_FAILED', stage, cause });
+  }
+}
+
+/**
+ * The configuration file, the environment or a configuration flag holds an invalid value.
+ */
+export class ConfigError extends AnonymizerError {
+  constructor(message) {
+    super(message, { code: 'INVALID_CONFIG' });
+  }
+}
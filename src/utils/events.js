@@ -0,0 +1,25 @@
+import { logger } from './logger.js';
+
+/**
+ * Events emitted by `Anonymizer` while a run progresses.
+ * - `stage:start` `{ stage }`
+ * - `stage:end` `{ stage, durationMs, ok }`
+ * - `table:masked` `{ table, rows }`
+ * - `warning` `{ message }`
+ */
+export const ANONYMIZER_EVENTS = Object.freeze({
+  STAGE_START: 'stage:start',
+  STAGE_END: 'stage:end',
+  TABLE_MASKED: 'table:masked',
+  WARNING: 'warning',
+});
+
+/**
+ * Logs a warning and forwards it to the run's event emitter, when there is one.
+ * @param {import('events').EventEmitter|null} events - Emitter of the run.
+ * @param {string} message - Warning text.
+ */
+export function emitWarning(events, message) {
+  logger.warn(message);
+  if (events) events.emit(ANONYMIZER_EVENTS.WARNING, { message });
+}
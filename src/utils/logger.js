@@ -1,15 +1,8 @@
 import winston from 'winston';
 import path from 'path';
-import fs from 'fs/promises';
+import fs from 'fs';
 
-const logsDir = path.resolve('logs');
-
-// Crea la carpeta `logs` si no existe
-await fs.mkdir(logsDir, { recursive: true }).catch(err => {
-  if (err.code !== 'EEXIST') throw err;
-});
-
-// Configura Winston para usar esa carpeta
+// Configura Winston; los archivos de log se añaden al cargar la configuración
 export const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
@@ -20,14 +13,38 @@ export const logger = winston.createLogger({
     new winston.transports.Console({
       format: winston.format.simple(),
     }),
-    // Log de errores en `logs/error.log`
+  ],
+});
+
+// Transportes de archivo activos y su carpeta
+let fileTransports = [];
+let logsDirectory = null;
+
+/**
+ * Sets the log level and the folder of the log files (`error.log` and `combined.log`).
+ * @param {object} options - `level` (kept when not given) and `directory`.
+ */
+export function configureLogger({ level, directory }) {
+  if (level) logger.level = level;
+  if (!directory || directory === logsDirectory) return;
+
+  // Crea la carpeta de logs si no existe
+  fs.mkdirSync(directory, { recursive: true });
+  for (const transport of fileTransports) {
+    logger.remove(transport);
+    transport.close?.();
+  }
+  logsDirectory = directory;
+  fileTransports = [
+    // Log de errores en `<logs>/error.log`
     new winston.transports.File({
-      filename: path.join(logsDir, 'error.log'),
+      filename: path.join(directory, 'error.log'),
       level: 'error',
     }),
-    // Log combinado en `logs/combined.log`
+    // Log combinado en `<logs>/combined.log`
     new winston.transports.File({
-      filename: path.join(logsDir, 'combined.log'),
+      filename: path.join(directory, 'combined.log'),
     }),
-  ],
-});
+  ];
+  for (const transport of fileTransports) logger.add(transport);
+}
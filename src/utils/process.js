@@ -0,0 +1,68 @@
+import { spawn } from 'child_process';
+import { createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import { pipeline } from 'stream/promises';
+
+// Solo se guarda el final de stderr para los mensajes de error
+const MAX_STDERR_LENGTH = 64 * 1024;
+
+/**
+ * Starts a command with an argument array (no shell), keeping its stderr.
+ * @param {string} command - Executable name.
+ * @param {string[]} args - Arguments, passed as is.
+ * @param {object} options - `{ env, stdin, name }`: extra environment variables, whether stdin is
+ * piped, and the program named in error messages (e.g. `pg_dump` run through `docker exec`).
+ * @returns {{child: import('child_process').ChildProcess, done: Promise<{stderr: string}>}} - The process and
+ * a promise that resolves when it exits with code 0 and rejects otherwise.
+ */
+export function spawnProcess(command, args, { env = {}, stdin = false, name = command } = {}) {
+  const child = spawn(command, args, {
+    env: { ...process.env, ...env },
+    stdio: [stdin ? 'pipe' : 'ignore', 'pipe', 'pipe'],
+  });
+
+  let stderr = '';
+  child.stderr.on('data', (chunk) => {
+    stderr = (stderr + chunk).slice(-MAX_STDERR_LENGTH);
+  });
+
+  const done = new Promise((resolve, reject) => {
+    child.on('error', (error) => reject(new Error(`Unable to run ${command}: ${error.message}`)));
+    child.on('close', (code, signal) => {
+      if (code === 0) resolve({ stderr });
+      else reject(new Error(`${name} ${signal ? `was killed by ${signal}` : `exited with code ${code}`}: ${stderr.trim()}`));
+    });
+  });
+  // Se consulta más tarde; evita avisos de promesa rechazada sin manejar
+  done.catch(() => {});
+
+  return { child, done };
+}
+
+/**
+ * Runs a command with an argument array until it exits. Stdout is returned, or
+ * streamed to `outputFile` so big outputs (dumps) never sit in memory; a failed
+ * run leaves no partial file.
+ * @param {string} command - Executable name.
+ * @param {string[]} args - Arguments, passed as is.
+ * @param {object} options - `{ env, name, outputFile }` (see `spawnProcess`).
+ * @returns {Promise<{stdout: string, stderr: string}>} - Output of the command; `stdout` is empty with `outputFile`.
+ */
+export async function runProcess(command, args, { env = {}, name = command, outputFile = null } = {}) {
+  const { child, done } = spawnProcess(command, args, { env, name });
+
+  if (outputFile) {
+    const [written, finished] = await Promise.allSettled([pipeline(child.stdout, createWriteStream(outputFile)), done]);
+    if (finished.status === 'rejected' || written.status === 'rejected') {
+      await fs.rm(outputFile, { force: true });
+      // El error del proceso explica mejor el fallo que el de la escritura
+      throw finished.status === 'rejected' ? finished.reason : written.reason;
+    }
+    return { stdout: '', stderr: finished.value.stderr };
+  }
+
+  const chunks = [];
+  child.stdout.on('data', (chunk) => chunks.push(chunk));
+  const { stderr } = await done;
+  return { stdout: Buffer.concat(chunks).toString(), stderr };
+}
@@ -0,0 +1,327 @@
+import { PSEUDONYM_KINDS } from '../masking/pseudonym.js';
+import { GENERATOR_LOCALES } from '../masking/generators.js';
+import { parseJsonPath } from '../masking/json-path.js';
+import { TABLE_STRATEGIES, EMPTY_STRATEGIES, GLOBAL_COLUMNS_KEY, GENERATORS_KEY } from './rules.js';
+
+const TABLE_KEYS = ['strategy', 'masks', 'where', 'sample', 'exceptions', 'when'];
+const ROW_BRANCH_KEYS = ['if', 'masks', 'name'];
+const CONDITIONAL_MASK_KEYS = ['when', 'else'];
+const COLUMN_BRANCH_KEYS = ['if', 'mask', 'name'];
+const GLOBAL_RULE_KEYS = ['name', 'glob', 'regex', 'type', 'mask'];
+const GLOBAL_MATCHERS = ['name', 'glob', 'regex'];
+const SCHEMA_SECTION_KEYS = ['tables'];
+const PSEUDONYM_KEYS = ['pseudonym', 'min', 'max'];
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  return `a ${typeof value}`;
+}
+
+function checkUnknownKeys(value, allowed, path, errors) {
+  for (const key of Object.keys(value)) {
+    if (!allowed.includes(key)) {
+      errors.push({ path: [...path, key], message: `Unknown key "${key}" (allowed: ${allowed.join(', ')})` });
+    }
+  }
+}
+
+function validateCondition(condition, path, errors) {
+  if (typeof condition !== 'string' || condition.trim() === '') {
+    errors.push({ path, message: `Condition must be a non-empty SQL condition, got ${describe(condition)}` });
+  }
+}
+
+// El nombre de una rama sustituye a su condición en el informe
+function validateBranchName(branch, path, errors) {
+  if ('name' in branch && (typeof branch.name !== 'string' || branch.name.trim() === '')) {
+    errors.push({ path: [...path, 'name'], message: '"name" must be a non-empty string' });
+  }
+}
+
+// Máscara de una rama: cualquier máscara salvo otra condicional
+function validateBranchMask(mask, path, errors) {
+  if (isPlainObject(mask) && 'when' in mask) {
+    errors.push({ path, message: 'Conditional masks cannot be nested' });
+    return;
+  }
+  validateMask(mask, path, errors);
+}
+
+function validateConditionalMask(mask, path, errors) {
+  checkUnknownKeys(mask, CONDITIONAL_MASK_KEYS, path, errors);
+  if (!Array.isArray(mask.when) || mask.when.length === 0) {
+    errors.push({ path: [...path, 'when'], message: '"when" must be a non-empty list of { if, mask } branches' });
+    return;
+  }
+  mask.when.forEach((branch, index) => {
+    const branchPath = [...path, 'when', String(index)];
+    if (!isPlainObject(branch)) {
+      errors.push({ path: branchPath, message: `Branch must be an object with "if" and "mask", got ${describe(branch)}` });
+      return;
+    }
+    checkUnknownKeys(branch, COLUMN_BRANCH_KEYS, branchPath, errors);
+    validateCondition(branch.if, [...branchPath, 'if'], errors);
+    validateBranchName(branch, branchPath, errors);
+    if (!('mask' in branch)) errors.push({ path: branchPath, message: 'Branch needs a "mask"' });
+    else validateBranchMask(branch.mask, [...branchPath, 'mask'], errors);
+  });
+  // Sin else, las filas que no cumplen ninguna condición conservan su valor
+  if ('else' in mask) validateBranchMask(mask.else, [...path, 'else'], errors);
+}
+
+function validateMask(mask, path, errors) {
+  if (typeof mask === 'string') {
+    if (mask.trim() === '') errors.push({ path, message: 'Mask must not be empty' });
+    return;
+  }
+  // Las funciones solo llegan desde reglas en JS; se ejecutan tal cual
+  if (typeof mask === 'function') return;
+
+  if (!isPlainObject(mask)) {
+    errors.push({ path, message: `Mask must be a SQL expression, a pseudonym rule, a generator, a JSON mask or a conditional mask, got ${describe(mask)}` });
+    return;
+  }
+
+  if ('when' in mask) {
+    validateConditionalMask(mask, path, errors);
+    return;
+  }
+
+  if ('generator' in mask) {
+    // Los generadores propios pueden recibir cualquier otra opción
+    if (typeof mask.generator !== 'string' || mask.generator.trim() === '') {
+      errors.push({ path: [...path, 'generator'], message: '"generator" must be a non-empty generator name' });
+    }
+    if ('locale' in mask && !GENERATOR_LOCALES.includes(mask.locale)) {
+      errors.push({ path: [...path, 'locale'], message: `Locale must be one of: ${GENERATOR_LOCALES.join(', ')}` });
+    }
+    return;
+  }
+
+  if ('json' in mask) {
+    checkUnknownKeys(mask, ['json'], path, errors);
+    if (!isPlainObject(mask.json) || Object.keys(mask.json).length === 0) {
+      errors.push({ path: [...path, 'json'], message: '"json" must map JSON paths to masks' });
+      return;
+    }
+    for (const [jsonPath, fieldMask] of Object.entries(mask.json)) {
+      try {
+        parseJsonPath(jsonPath);
+      } catch (error) {
+        errors.push({ path: [...path, 'json', jsonPath], message: error.message });
+        continue;
+      }
+      if (isPlainObject(fieldMask) && 'json' in fieldMask) {
+        errors.push({ path: [...path, 'json', jsonPath], message: 'JSON masks cannot be nested' });
+      } else {
+        validateMask(fieldMask, [...path, 'json', jsonPath], errors);
+      }
+    }
+    return;
+  }
+
+  checkUnknownKeys(mask, PSEUDONYM_KEYS, path, errors);
+  if (!PSEUDONYM_KINDS.includes(mask.pseudonym)) {
+    errors.push({ path: [...path, 'pseudonym'], message: `Pseudonym must be one of: ${PSEUDONYM_KINDS.join(', ')}` });
+  }
+  for (const key of ['min', 'max']) {
+    if (key in mask && !Number.isInteger(mask[key])) {
+      errors.push({ path: [...path, key], message: `Expected an integer, got ${describe(mask[key])}` });
+    }
+  }
+}
+
+function validateTable(table, path, errors) {
+  if (!isPlainObject(table)) {
+    errors.push({ path, message: `Table rules must be an object, got ${describe(table)}` });
+    return;
+  }
+
+  checkUnknownKeys(table, TABLE_KEYS, path, errors);
+
+  if ('where' in table && (typeof table.where !== 'string' || table.where.trim() === '')) {
+    errors.push({ path: [...path, 'where'], message: '"where" must be a non-empty SQL condition' });
+  }
+  if ('sample' in table && !(typeof table.sample === 'number' && table.sample > 0 && table.sample <= 100)) {
+    errors.push({ path: [...path, 'sample'], message: '"sample" must be a percentage greater than 0 and up to 100' });
+  }
+
+  if ('strategy' in table) {
+    if (!TABLE_STRATEGIES.includes(table.strategy)) {
+      errors.push({ path: [...path, 'strategy'], message: `Strategy must be one of: ${TABLE_STRATEGIES.join(', ')}` });
+      return;
+    }
+    // Una tabla vacía o excluida no tiene filas que enmascarar ni filtrar
+    const unmasked = ['masks', 'exceptions', 'when'];
+    const ignored = EMPTY_STRATEGIES.includes(table.strategy) ? [...unmasked, 'where', 'sample'] : table.strategy === 'keep' ? unmasked : [];
+    for (const key of ignored.filter((key) => key in table)) {
+      errors.push({ path: [...path, key], message: `"${key}" does not apply to the ${table.strategy} strategy` });
+    }
+    if (table.strategy !== 'mask') return;
+  }
+
+  if (!('masks' in table)) {
+    if (table.strategy === 'mask') {
+      errors.push({ path, message: 'The mask strategy needs "masks"' });
+    } else if (!('where' in table) && !('sample' in table)) {
+      errors.push({ path, message: 'Table rules must define "strategy", "masks", "where" or "sample"' });
+    }
+  } else if (!isPlainObject(table.masks)) {
+    errors.push({ path: [...path, 'masks'], message: `"masks" must be an object, got ${describe(table.masks)}` });
+  } else if (Object.keys(table.masks).length === 0) {
+    errors.push({ path: [...path, 'masks'], message: '"masks" must define at least one column' });
+  } else {
+    for (const [column, mask] of Object.entries(table.masks)) {
+      validateMask(mask, [...path, 'masks', column], errors);
+    }
+  }
+
+  validateRowBranches(table, path, errors);
+}
+
+/**
+ * Checks `exceptions` (rows left unmasked) and `when` (rows masked with other masks).
+ * Both refine the masks of the table, so they need `masks`.
+ */
+function validateRowBranches(table, path, errors) {
+  for (const key of ['exceptions', 'when'].filter((key) => key in table)) {
+    if (!('masks' in table)) errors.push({ path: [...path, key], message: `"${key}" needs the table "masks"` });
+    if (!Array.isArray(table[key]) || table[key].length === 0) {
+      errors.push({ path: [...path, key], message: `"${key}" must be a non-empty list, got ${describe(table[key])}` });
+    }
+  }
+
+  if (Array.isArray(table.exceptions)) {
+    table.exceptions.forEach((condition, index) => validateCondition(condition, [...path, 'exceptions', String(index)], errors));
+  }
+  if (!Array.isArray(table.when)) return;
+  table.when.forEach((branch, index) => {
+    const branchPath = [...path, 'when', String(index)];
+    if (!isPlainObject(branch)) {
+      errors.push({ path: branchPath, message: `Branch must be an object with "if" and "masks", got ${describe(branch)}` });
+      return;
+    }
+    checkUnknownKeys(branch, ROW_BRANCH_KEYS, branchPath, errors);
+    validateCondition(branch.if, [...branchPath, 'if'], errors);
+    validateBranchName(branch, branchPath, errors);
+    if (!isPlainObject(branch.masks) || Object.keys(branch.masks).length === 0) {
+      errors.push({ path: [...branchPath, 'masks'], message: 'Branch needs "masks" with at least one column' });
+      return;
+    }
+    for (const [column, mask] of Object.entries(branch.masks)) {
+      validateMask(mask, [...branchPath, 'masks', column], errors);
+    }
+  });
+}
+
+function validateGlobalRule(rule, path, errors) {
+  if (!isPlainObject(rule)) {
+    errors.push({ path, message: `Global column rule must be an object, got ${describe(rule)}` });
+    return;
+  }
+
+  checkUnknownKeys(rule, GLOBAL_RULE_KEYS, path, errors);
+  const matchers = GLOBAL_MATCHERS.filter((key) => key in rule);
+  if (matchers.length !== 1) {
+    errors.push({ path, message: 'Global column rule needs exactly one of "name", "glob" or "regex"' });
+  }
+  for (const key of matchers) {
+    if (typeof rule[key] !== 'string' || rule[key].trim() === '') {
+      errors.push({ path: [...path, key], message: `"${key}" must be a non-empty string` });
+    }
+  }
+  if (typeof rule.regex === 'string') {
+    try {
+      new RegExp(rule.regex);
+    } catch (error) {
+      errors.push({ path: [...path, 'regex'], message: error.message });
+    }
+  }
+  if ('type' in rule && ![].concat(rule.type).every((type) => typeof type === 'string' && type.trim() !== '')) {
+    errors.push({ path: [...path, 'type'], message: '"type" must be a type name or a list of type names' });
+  }
+
+  if (!('mask' in rule)) errors.push({ path, message: 'Global column rule needs a "mask"' });
+  else validateMask(rule.mask, [...path, 'mask'], errors);
+}
+
+/**
+ * Validates the structure of a rules document.
+ * @param {*} rules - Parsed rules (from YAML, JSON or a JS module).
+ * @returns {Array<{path: string[], message: string}>} - Every problem found; empty when valid.
+ */
+export function validateRulesDocument(rules) {
+  const errors = [];
+
+  if (!isPlainObject(rules)) {
+    errors.push({ path: [], message: `Rules must be an object keyed by table, got ${describe(rules)}` });
+    return errors;
+  }
+  if (Object.keys(rules).length === 0) {
+    errors.push({ path: [], message: 'Rules do not define any table' });
+  }
+
+  for (const [key, value] of Object.entries(rules)) {
+    if (key === GLOBAL_COLUMNS_KEY && Array.isArray(value)) {
+      value.forEach((rule, index) => validateGlobalRule(rule, [key, String(index)], errors));
+      continue;
+    }
+    if (key === GENERATORS_KEY && Array.isArray(value)) {
+      value.forEach((modulePath, index) => {
+        if (typeof modulePath !== 'string' || modulePath.trim() === '') {
+          errors.push({ path: [key, String(index)], message: `Expected the path of a generator module, got ${describe(modulePath)}` });
+        }
+      });
+      continue;
+    }
+    if (isPlainObject(value) && 'tables' in value && !('masks' in value)) {
+      checkUnknownKeys(value, SCHEMA_SECTION_KEYS, [key], errors);
+      if (!isPlainObject(value.tables)) {
+        errors.push({ path: [key, 'tables'], message: `"tables" must be an object, got ${describe(value.tables)}` });
+        continue;
+      }
+      for (const [table, tableRules] of Object.entries(value.tables)) {
+        validateTable(tableRules, [key, 'tables', table], errors);
+      }
+    } else {
+      validateTable(value, [key], errors);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Finds the line where a path is declared in a YAML or JSON source, by looking
+ * for each key in turn after the previous one.
+ * @param {string} source - File contents.
+ * @param {string[]} path - Keys from the root.
+ * @param {string} format - `yaml` or `json`.
+ * @returns {number|null} - 1-based line number, or null when not found.
+ */
+export function findLine(source, path, format) {
+  const lines = source.split(/\r?\n/);
+  let line = 0;
+  let found = null;
+
+  for (const key of path) {
+    const escaped = key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = format === 'json'
+      ? new RegExp(`"${escaped}"\\s*:`)
+      : new RegExp(`^\\s*(-\\s+)?(${escaped}|"${escaped}"|'${escaped}')\\s*:`);
+
+    let index = line;
+    while (index < lines.length && !pattern.test(lines[index])) index++;
+    if (index === lines.length) break;
+
+    found = index + 1;
+    line = index + 1;
+  }
+
+  return found;
+}
@@ -0,0 +1,232 @@
+import { splitTopLevel, unquoteIdentifier, quoteIdentifier } from './sql-dump.js';
+import { typeFamily } from '../masking/catalog.js';
+
+export const DEFAULT_SCHEMA = 'public';
+
+// Sección de reglas globales por columna; es una lista, así que no se confunde con una tabla
+export const GLOBAL_COLUMNS_KEY = 'columns';
+
+/**
+ * Whether a top-level entry of a rules document is the global column rules section.
+ * @param {string} key - Top-level key.
+ * @param {*} value - Its value.
+ * @returns {boolean} - True for `columns: [...]`.
+ */
+export function isGlobalColumnsSection(key, value) {
+  return key === GLOBAL_COLUMNS_KEY && Array.isArray(value);
+}
+
+// Módulos de generadores propios; las rutas relativas parten del archivo de reglas
+export const GENERATORS_KEY = 'generators';
+
+/**
+ * Whether a top-level entry of a rules document lists generator modules.
+ * @param {string} key - Top-level key.
+ * @param {*} value - Its value.
+ * @returns {boolean} - True for `generators: [...]`.
+ */
+export function isGeneratorsSection(key, value) {
+  return key === GENERATORS_KEY && Array.isArray(value);
+}
+
+/**
+ * What can be done with a table: mask some columns, copy it untouched, empty it
+ * (keeping referential integrity), leave it out of the output, or keep only its definition.
+ */
+export const TABLE_STRATEGIES = ['mask', 'keep', 'truncate', 'exclude', 'schema_only'];
+
+// Estrategias que no escriben ninguna fila de la tabla en el dump final
+export const EMPTY_STRATEGIES = ['truncate', 'exclude', 'schema_only'];
+
+/**
+ * Returns the strategy of a table rule.
+ * @param {object} tableRules - Rules of one table.
+ * @returns {string} - The explicit `strategy`, or `mask` when the table has masks and `keep` otherwise.
+ */
+export function tableStrategy(tableRules) {
+  if (tableRules && tableRules.strategy) return tableRules.strategy;
+  return tableRules && tableRules.masks ? 'mask' : 'keep';
+}
+
+/**
+ * Parses an identifier written in a rules file (`users`, `"Users"`).
+ * @param {string} text - Identifier as written in the rules.
+ * @returns {{name: string, exact: boolean}} - Bare name and whether it was quoted.
+ */
+export function parseRuleIdentifier(text) {
+  const trimmed = text.trim();
+  return { name: unquoteIdentifier(trimmed), exact: trimmed.startsWith('"') };
+}
+
+/**
+ * Compares a rules identifier with a real one. Quoted identifiers in the rules
+ * must match exactly; unquoted ones match case-insensitively.
+ * @param {{name: string, exact: boolean}} identifier - Identifier from the rules.
+ * @param {string} actual - Identifier from the database or the dump.
+ * @returns {boolean} - Whether they refer to the same object.
+ */
+export function matchesIdentifier(identifier, actual) {
+  if (identifier.exact) return identifier.name === actual;
+  return identifier.name.toLowerCase() === String(actual).toLowerCase();
+}
+
+/**
+ * Flattens a rules map into a list of table entries with their schema.
+ * Tables can be keyed by `table` (schema `public`), by `schema.table`
+ * (`billing.invoices`, `crm."Contacts"`), or grouped in a schema section:
+ * `{ billing: { tables: { invoices: { masks } } } }`.
+ * @param {object} rules - Rules as loaded by `loadRules`.
+ * @returns {Array<object>} - Entries `{ key, schema, table, rules }`, where
+ * `schema` and `table` are `{ name, exact }` identifiers.
+ */
+export function normalizeRules(rules) {
+  const entries = [];
+
+  for (const [key, value] of Object.entries(rules || {})) {
+    if (isGlobalColumnsSection(key, value) || isGeneratorsSection(key, value)) continue;
+    if (value && typeof value === 'object' && value.tables && !value.masks) {
+      const schema = parseRuleIdentifier(key);
+      for (const [tableKey, tableRules] of Object.entries(value.tables)) {
+        entries.push({ key: `${key}.${tableKey}`, schema, table: parseRuleIdentifier(tableKey), rules: tableRules });
+      }
+      continue;
+    }
+
+    const parts = splitTopLevel(key, '.');
+    if (parts.length > 2) throw new Error(`Invalid table name in rules: ${key}`);
+    const schema = parts.length === 2 ? parseRuleIdentifier(parts[0]) : { name: DEFAULT_SCHEMA, exact: false };
+    entries.push({ key, schema, table: parseRuleIdentifier(parts[parts.length - 1]), rules: value });
+  }
+
+  return entries;
+}
+
+/**
+ * Finds the rules entry for a table.
+ * @param {Array<object>} entries - Entries returned by `normalizeRules`.
+ * @param {string|null} schema - Schema name (null means `public`).
+ * @param {string} table - Table name.
+ * @returns {object|null} - Matching entry.
+ */
+export function findTableRules(entries, schema, table) {
+  return entries.find(
+    (entry) => matchesIdentifier(entry.schema, schema || DEFAULT_SCHEMA) && matchesIdentifier(entry.table, table)
+  ) || null;
+}
+
+/**
+ * Resolves a rules column against the real column names, preferring an exact match.
+ * @param {string[]} columnNames - Real column names.
+ * @param {string} ruleColumn - Column as written in the rules.
+ * @returns {string|null} - Real column name.
+ */
+export function resolveColumnName(columnNames, ruleColumn) {
+  const identifier = parseRuleIdentifier(ruleColumn);
+  if (columnNames.includes(identifier.name)) return identifier.name;
+  if (!identifier.exact) {
+    const match = columnNames.find((name) => matchesIdentifier(identifier, name));
+    if (match !== undefined) return match;
+  }
+  return null;
+}
+
+/**
+ * Builds a quoted, schema-qualified table name.
+ * @param {string} schema - Bare schema name.
+ * @param {string} table - Bare table name.
+ * @returns {string} - Name safe to embed in SQL (`billing."Invoices"`).
+ */
+export function qualifiedTableName(schema, table) {
+  return `${quoteIdentifier(schema || DEFAULT_SCHEMA)}.${quoteIdentifier(table)}`;
+}
+
+/**
+ * Turns a glob (`*_ip`, `phone?`) into an anchored, case-insensitive regular expression.
+ * @param {string} glob - Pattern with `*` and `?` wildcards.
+ * @returns {RegExp} - Equivalent expression.
+ */
+export function globToRegExp(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Whether a column type matches the `type` of a global rule: by name
+ * (`varchar`, `inet`; length and precision are ignored) or by family (`text`, `numeric`...).
+ */
+function matchesColumnType(types, type) {
+  if (!type) return false;
+  const name = type.toLowerCase().replace(/\(.*$/, '').trim();
+  return types.includes(name) || types.includes(typeFamily(type));
+}
+
+/**
+ * Compiles the global column rules of a rules document (`columns: [...]`). Each
+ * rule matches columns of any table by `name`, `glob` or `regex`, optionally
+ * restricted by `type`; `{col}` in its mask stands for the matched column.
+ * @param {object} rules - Rules as loaded by `loadRules`.
+ * @returns {Array<{label: string, mask: string|object, matches: Function, maskFor: Function}>} - Rules in
+ * file order; `matches({ name, type })` tells whether a column is covered and `maskFor(name)` gives its mask.
+ */
+export function globalColumnRules(rules) {
+  const section = rules ? rules[GLOBAL_COLUMNS_KEY] : null;
+  if (!Array.isArray(section)) return [];
+
+  return section.map((rule) => {
+    let label;
+    let matchesName;
+    if (rule.name !== undefined) {
+      const identifier = parseRuleIdentifier(rule.name);
+      label = `name ${rule.name}`;
+      matchesName = (name) => matchesIdentifier(identifier, name);
+    } else {
+      const pattern = rule.glob !== undefined ? globToRegExp(rule.glob) : new RegExp(rule.regex, 'i');
+      label = rule.glob !== undefined ? `glob ${rule.glob}` : `regex ${rule.regex}`;
+      matchesName = (name) => pattern.test(name);
+    }
+
+    const types = rule.type === undefined ? null : [].concat(rule.type).map((type) => type.toLowerCase());
+    if (types) label += ` (${types.join(', ')})`;
+
+    return {
+      label,
+      mask: rule.mask,
+      matches: ({ name, type }) => matchesName(name) && (!types || matchesColumnType(types, type)),
+      maskFor: (name) => (typeof rule.mask === 'string' ? rule.mask.replaceAll('{col}', quoteIdentifier(name)) : rule.mask),
+    };
+  });
+}
+
+/**
+ * Resolves the rules of one table against its real columns: the first global
+ * rule matching each column gives its mask, and the table's own masks override them.
+ * @param {object|null} tableRules - Rules of the table (`entry.rules`), or null when it has none.
+ * @param {Array<object>} globals - Rules returned by `globalColumnRules`.
+ * @param {Array<{name: string, type: string|null}>} columns - Real columns of the table.
+ * @returns {{rules: object, sources: object}|null} - Table rules with the merged `masks` and, per
+ * column, where its mask comes from (`table` or `global <rule>`); null when no rule applies.
+ */
+export function resolveTableRules(tableRules, globals, columns) {
+  // Una estrategia explícita distinta de mask (keep, truncate...) no admite máscaras globales
+  if (tableRules && tableRules.strategy && tableRules.strategy !== 'mask') return { rules: tableRules, sources: {} };
+
+  const masks = {};
+  const sources = {};
+  for (const column of columns) {
+    const rule = globals.find((global) => global.matches(column));
+    if (!rule) continue;
+    masks[column.name] = rule.maskFor(column.name);
+    sources[column.name] = `global ${rule.label}`;
+  }
+
+  const names = columns.map((column) => column.name);
+  for (const [ruleColumn, mask] of Object.entries((tableRules && tableRules.masks) || {})) {
+    // Las columnas que no existen conservan su nombre para que el error llegue más adelante
+    const column = resolveColumnName(names, ruleColumn) || ruleColumn;
+    masks[column] = mask;
+    sources[column] = 'table';
+  }
+
+  if (Object.keys(masks).length === 0) return tableRules ? { rules: tableRules, sources } : null;
+  return { rules: { ...tableRules, masks }, sources };
+}
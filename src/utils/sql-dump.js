@@ -0,0 +1,343 @@
+/**
+ * Helpers to read plain-SQL dumps produced by `pg_dump` without a database:
+ * identifier handling, statement boundaries, `COPY` rows, `INSERT` tuples and
+ * `CREATE TABLE` column lists.
+ */
+
+/**
+ * Removes the quotes of a SQL identifier, lower-casing unquoted names like PostgreSQL does.
+ * MySQL backtick-quoted identifiers are kept as written.
+ * @param {string} identifier - Identifier as written in SQL (`users`, `"Users"`).
+ * @returns {string} - Bare identifier.
+ */
+export function unquoteIdentifier(identifier) {
+  const text = identifier.trim();
+  if (text.startsWith('"') && text.endsWith('"')) return text.slice(1, -1).replace(/""/g, '"');
+  if (text.startsWith('`') && text.endsWith('`')) return text.slice(1, -1).replace(/``/g, '`');
+  return text.toLowerCase();
+}
+
+// Palabras reservadas de PostgreSQL, que no pueden ser nombres sin comillas
+const RESERVED_KEYWORDS = new Set(`all analyse analyze and any array as asc asymmetric authorization binary both case
+  cast check collate collation column concurrently constraint create cross current_catalog current_date current_role
+  current_schema current_time current_timestamp current_user default deferrable desc distinct do else end except false
+  fetch for foreign freeze from full grant group having ilike in initially inner intersect into is isnull join lateral
+  leading left like limit localtime localtimestamp natural not notnull null offset on only or order outer overlaps
+  placing primary references returning right select session_user similar some symmetric system_user table tablesample
+  then to trailing true union unique user using variadic verbose when where window with`.split(/\s+/));
+
+/**
+ * Quotes an identifier when PostgreSQL would otherwise fold or reject it.
+ * @param {string} identifier - Bare identifier.
+ * @returns {string} - Identifier safe to embed in SQL.
+ */
+export function quoteIdentifier(identifier) {
+  if (/^[a-z_][a-z0-9_$]*$/.test(identifier) && !RESERVED_KEYWORDS.has(identifier)) return identifier;
+  return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Splits a string on a separator, ignoring separators inside quotes or parentheses.
+ * @param {string} text - Text to split.
+ * @param {string} separator - Single separator character.
+ * @returns {string[]} - Trimmed parts.
+ */
+export function splitTopLevel(text, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      current += char;
+      if (char === quote) {
+        if (text[i + 1] === quote) current += text[++i];
+        else quote = null;
+      }
+    } else if (char === "'" || char === '"' || char === '`') {
+      quote = char;
+      current += char;
+    } else if (char === '(' || char === '[') {
+      depth++;
+      current += char;
+    } else if (char === ')' || char === ']') {
+      depth--;
+      current += char;
+    } else if (char === separator && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Parses a possibly schema-qualified table name.
+ * @param {string} text - Name as written in SQL (`public."Users"`).
+ * @returns {{schema: string|null, table: string}} - Bare schema and table names.
+ */
+export function parseQualifiedName(text) {
+  const parts = splitTopLevel(text, '.').map(unquoteIdentifier);
+  if (parts.length === 1) return { schema: null, table: parts[0] };
+  return { schema: parts[parts.length - 2], table: parts[parts.length - 1] };
+}
+
+/**
+ * Tracks quotes, dollar-quoted bodies and comments line by line so callers
+ * know where SQL statements start and end.
+ */
+export class SqlStatementScanner {
+  constructor() {
+    this.mode = null;
+    this.dollarTag = null;
+    this.inStatement = false;
+  }
+
+  /**
+   * Whether the next line starts a new top-level statement.
+   */
+  get atStatementStart() {
+    return !this.inStatement && this.mode === null;
+  }
+
+  /**
+   * Consumes one line and returns true when it terminates a statement.
+   * @param {string} line - Line without its trailing newline.
+   * @returns {boolean} - Whether a statement ended on this line.
+   */
+  scan(line) {
+    let ended = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+
+      if (this.mode === 'single' || this.mode === 'escape') {
+        if (this.mode === 'escape' && char === '\\') i++;
+        else if (char === "'" && line[i + 1] === "'") i++;
+        else if (char === "'") this.mode = null;
+      } else if (this.mode === 'double') {
+        if (char === '"') this.mode = null;
+      } else if (this.mode === 'dollar') {
+        if (line.startsWith(this.dollarTag, i)) {
+          i += this.dollarTag.length - 1;
+          this.mode = null;
+        }
+      } else if (this.mode === 'comment') {
+        if (char === '*' && line[i + 1] === '/') {
+          this.mode = null;
+          i++;
+        }
+      } else if (char === '-' && line[i + 1] === '-') {
+        break;
+      } else if (char === '/' && line[i + 1] === '*') {
+        this.mode = 'comment';
+        i++;
+      } else if (/\s/.test(char)) {
+        continue;
+      } else {
+        ended = false;
+        this.inStatement = true;
+
+        if (char === "'") {
+          this.mode = /[eE]/.test(line[i - 1] || '') && !/\w/.test(line[i - 2] || '') ? 'escape' : 'single';
+        } else if (char === '"') {
+          this.mode = 'double';
+        } else if (char === '$') {
+          const match = line.slice(i).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/);
+          if (match && !/\w/.test(line[i - 1] || '')) {
+            this.mode = 'dollar';
+            this.dollarTag = match[0];
+            i += match[0].length - 1;
+          }
+        } else if (char === ';') {
+          this.inStatement = false;
+          ended = true;
+        }
+      }
+    }
+
+    return ended && this.mode === null;
+  }
+}
+
+/**
+ * Parses a `COPY ... FROM stdin;` header line.
+ * @param {string} line - Dump line.
+ * @returns {{schema: string|null, table: string, columns: string[]|null}|null} - Parsed header or null.
+ */
+export function parseCopyHeader(line) {
+  const match = line.match(/^COPY\s+((?:"(?:[^"]|"")*"|[^\s("])+)\s*(?:\((.*)\))?\s+FROM\s+stdin\b/i);
+  if (!match) return null;
+  const { schema, table } = parseQualifiedName(match[1]);
+  const columns = match[2] !== undefined ? splitTopLevel(match[2]).map(unquoteIdentifier) : null;
+  return { schema, table, columns };
+}
+
+const COPY_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v' };
+
+/**
+ * Decodes one field of a `COPY` text-format row.
+ * @param {string} field - Raw field text.
+ * @returns {string|null} - Decoded value (`\N` is null).
+ */
+export function decodeCopyField(field) {
+  if (field === '\\N') return null;
+  if (!field.includes('\\')) return field;
+
+  return field.replace(/\\(x[0-9a-fA-F]{1,2}|[0-7]{1,3}|.)/g, (match, code) => {
+    if (code[0] === 'x' && code.length > 1) return String.fromCharCode(parseInt(code.slice(1), 16));
+    if (/^[0-7]+$/.test(code)) return String.fromCharCode(parseInt(code, 8));
+    return COPY_ESCAPES[code] ?? code;
+  });
+}
+
+/**
+ * Encodes a value as a `COPY` text-format field.
+ * @param {string|null} value - Value to encode.
+ * @returns {string} - Field text.
+ */
+export function encodeCopyField(value) {
+  if (value === null || value === undefined) return '\\N';
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\t/g, '\\t')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r');
+}
+
+/**
+ * Splits a `COPY` row into decoded values.
+ * @param {string} line - Row line.
+ * @returns {Array<string|null>} - Decoded values.
+ */
+export function parseCopyRow(line) {
+  return line.split('\t').map(decodeCopyField);
+}
+
+/**
+ * Builds a `COPY` row line from values.
+ * @param {Array<string|null>} values - Values to encode.
+ * @returns {string} - Row line.
+ */
+export function formatCopyRow(values) {
+  return values.map(encodeCopyField).join('\t');
+}
+
+/**
+ * Parses a `CREATE TABLE` statement into its column definitions.
+ * @param {string} statement - Full statement text.
+ * @returns {{schema: string|null, table: string, columns: Array<{name: string, type: string}>}|null} - Table definition.
+ */
+export function parseCreateTable(statement) {
+  const match = statement.match(/^\s*CREATE\s+(?:UNLOGGED\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?((?:"(?:[^"]|"")*"|`(?:[^`]|``)*`|[^\s("`])+)\s*\(/i);
+  if (!match) return null;
+
+  const body = statement.slice(match[0].length, statement.lastIndexOf(')'));
+  const columns = [];
+
+  for (const definition of splitTopLevel(body)) {
+    if (/^(CONSTRAINT|PRIMARY\s+KEY|UNIQUE|CHECK|FOREIGN\s+KEY|EXCLUDE|LIKE|KEY|INDEX|FULLTEXT|SPATIAL)\b/i.test(definition)) continue;
+    const columnMatch = definition.match(/^("(?:[^"]|"")*"|`(?:[^`]|``)*`|[^\s]+)\s+(.*)$/s);
+    if (!columnMatch) continue;
+    const type = columnMatch[2]
+      .replace(/\s+(COLLATE|DEFAULT|NOT\s+NULL|NULL|GENERATED|CONSTRAINT|PRIMARY|UNIQUE|CHECK|REFERENCES|CHARACTER\s+SET|AUTO_INCREMENT|COMMENT|ON\s+UPDATE)\b.*$/is, '')
+      .trim()
+      .toLowerCase();
+    columns.push({ name: unquoteIdentifier(columnMatch[1]), type });
+  }
+
+  return { ...parseQualifiedName(match[1]), columns };
+}
+
+/**
+ * Decodes a SQL literal as written in an `INSERT` statement.
+ * @param {string} raw - Literal text (`'O''Brien'`, `NULL`, `42`, `'2020-01-01'::date`).
+ * @returns {{value: string|null, cast: string, quoted: boolean}} - Value, cast suffix to keep and whether it was a string literal.
+ */
+export function decodeSqlLiteral(raw) {
+  const text = raw.trim();
+  if (/^NULL$/i.test(text)) return { value: null, cast: '', quoted: false };
+
+  const match = text.match(/^([eE])?'((?:[^']|'')*)'((?:::[\w\s."[\]()]+)?)$/s);
+  if (!match) return { value: text, cast: '', quoted: false };
+
+  let value = match[2].replace(/''/g, "'");
+  if (match[1]) value = decodeCopyField(value);
+  return { value, cast: match[3], quoted: true };
+}
+
+/**
+ * Encodes a value as a SQL string literal.
+ * @param {string|null} value - Value to encode.
+ * @param {string} cast - Optional cast suffix such as `::date`.
+ * @returns {string} - SQL literal.
+ */
+export function formatSqlLiteral(value, cast = '') {
+  if (value === null || value === undefined) return 'NULL';
+  return `'${String(value).replace(/'/g, "''")}'${cast}`;
+}
+
+/**
+ * Parses an `INSERT INTO ... VALUES` statement, keeping the position of every
+ * value so masked values can be spliced back without touching the rest.
+ * @param {string} statement - Full statement text.
+ * @returns {{schema: string|null, table: string, columns: string[]|null, tuples: Array<Array<{start: number, end: number, raw: string}>>}|null} - Parsed statement.
+ */
+export function parseInsertStatement(statement) {
+  const match = statement.match(/^\s*INSERT\s+INTO\s+((?:"(?:[^"]|"")*"|[^\s("])+)\s*(?:\(([^)]*)\))?\s*(?:OVERRIDING\s+\w+\s+VALUE\s+)?VALUES\b/i);
+  if (!match) return null;
+
+  const { schema, table } = parseQualifiedName(match[1]);
+  const columns = match[2] !== undefined ? splitTopLevel(match[2]).map(unquoteIdentifier) : null;
+  const tuples = [];
+
+  let depth = 0;
+  let tuple = null;
+  let valueStart = 0;
+
+  const closeValue = (end) => {
+    const raw = statement.slice(valueStart, end);
+    const leading = raw.length - raw.trimStart().length;
+    tuple.push({ start: valueStart + leading, end: valueStart + raw.trimEnd().length, raw: raw.trim() });
+  };
+
+  for (let i = match[0].length; i < statement.length; i++) {
+    const char = statement[i];
+
+    if (char === "'") {
+      const escaped = /[eE]/.test(statement[i - 1]) && !/\w/.test(statement[i - 2] || '');
+      for (i++; i < statement.length; i++) {
+        if (escaped && statement[i] === '\\') i++;
+        else if (statement[i] === "'" && statement[i + 1] === "'") i++;
+        else if (statement[i] === "'") break;
+      }
+    } else if (char === '"') {
+      i = statement.indexOf('"', i + 1);
+    } else if (char === '(' || char === '[') {
+      depth++;
+      if (depth === 1) {
+        tuple = [];
+        valueStart = i + 1;
+      }
+    } else if (char === ')' || char === ']') {
+      if (depth === 1) {
+        closeValue(i);
+        tuples.push(tuple);
+      }
+      depth--;
+    } else if (char === ',' && depth === 1) {
+      closeValue(i);
+      valueStart = i + 1;
+    } else if (depth === 0 && /[;A-Za-z]/.test(char)) {
+      break;
+    }
+  }
+
+  return { schema, table, columns, tuples };
+}
@@ -0,0 +1,33 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { anonymize } from '../src/services/anonymizer.js';
+import { loadConfig } from '../src/config/index.js';
+import { ConfigError, InvalidOptionsError } from '../src/utils/errors.js';
+
+let cwd;
+
+beforeEach(() => {
+  cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'anonymizer-api-'));
+});
+
+afterEach(() => {
+  fs.rmSync(cwd, { recursive: true, force: true });
+});
+
+describe('anonymize', () => {
+  test('rejects invalid options instead of throwing', async () => {
+    loadConfig({ env: {}, cwd });
+    const run = anonymize({ engine: 'stream' });
+    expect(run).toBeInstanceOf(Promise);
+    await expect(run).rejects.toBeInstanceOf(InvalidOptionsError);
+    await expect(anonymize({ source: 'dump.sql', engine: 'nope' })).rejects.toThrow('Unknown masking engine "nope"');
+  });
+
+  test('rejects with a ConfigError when the docker engine has no container credentials', async () => {
+    loadConfig({ env: {}, cwd });
+    const run = anonymize({ source: path.join(cwd, 'dump.sql'), rules: { tables: {} }, output: 'out.sql' });
+    await expect(run).rejects.toBeInstanceOf(ConfigError);
+    await expect(run).rejects.toThrow('database.password (DB_PASSWORD)');
+  });
+});
@@ -0,0 +1,56 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RunCheckpoint, checkpointsDirectory } from '../src/services/checkpoint.js';
+
+let dumps;
+
+beforeEach(() => {
+  dumps = fs.mkdtempSync(path.join(os.tmpdir(), 'anonymizer-checkpoint-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dumps, { recursive: true, force: true });
+});
+
+describe('RunCheckpoint', () => {
+  test('saves the completed stages with their data and reads them back', async () => {
+    const checkpoint = new RunCheckpoint('run-1', dumps, { options: { engine: 'docker', output: 'out' } });
+    await checkpoint.start();
+    await checkpoint.complete('preprocess', { dumpPath: '/dumps/a.processed' });
+    await checkpoint.complete('container', { name: 'dump_postgresql_run-1', port: 55432 });
+
+    const loaded = await RunCheckpoint.load('run-1', dumps);
+    expect(loaded.options).toEqual({ engine: 'docker', output: 'out' });
+    expect(loaded.state).toMatchObject({ status: 'running', pid: process.pid, error: null });
+    expect(loaded.started).toBe(true);
+    expect(loaded.isComplete('container')).toBe(true);
+    expect(loaded.isComplete('import')).toBe(false);
+    expect(loaded.data('container')).toEqual({ name: 'dump_postgresql_run-1', port: 55432 });
+    expect(fs.readdirSync(checkpointsDirectory(dumps))).toEqual(['run-1.json']);
+  });
+
+  test('forgets a stage and every later one on reset', async () => {
+    const checkpoint = new RunCheckpoint('run-1', dumps);
+    for (const stage of ['preprocess', 'container', 'import', 'anon']) await checkpoint.complete(stage);
+    await checkpoint.reset('import');
+    expect(Object.keys((await RunCheckpoint.load('run-1', dumps)).state.stages)).toEqual(['preprocess', 'container']);
+  });
+
+  test('lists the runs with a checkpoint and removes them', async () => {
+    expect(await RunCheckpoint.list(dumps)).toEqual([]);
+    await new RunCheckpoint('run-1', dumps).save();
+    await new RunCheckpoint('run-2', dumps).save();
+    fs.writeFileSync(path.join(checkpointsDirectory(dumps), 'notes.txt'), 'x');
+    expect((await RunCheckpoint.list(dumps)).sort()).toEqual(['run-1', 'run-2']);
+
+    await (await RunCheckpoint.load('run-1', dumps)).remove();
+    expect(await RunCheckpoint.list(dumps)).toEqual(['run-2']);
+    expect(await RunCheckpoint.load('run-1', dumps)).toBeNull();
+  });
+
+  test('rejects run ids that are not safe in file and container names', () => {
+    expect(() => new RunCheckpoint('../etc', dumps)).toThrow('Invalid run id "../etc"');
+    expect(() => new RunCheckpoint('a b', dumps)).toThrow('Invalid run id');
+  });
+});
@@ -0,0 +1,142 @@
+import { compileCondition } from '../src/masking/expression.js';
+import {
+  rowBranches,
+  columnBranches,
+  branchesToSql,
+  maskedRowsSql,
+  branchLabelSql,
+  BranchCounter,
+  DEFAULT_BRANCH,
+  ELSE_BRANCH,
+} from '../src/masking/conditions.js';
+import { createTableMasker } from '../src/masking/masker.js';
+
+describe('compileCondition', () => {
+  const matches = (condition, row) => compileCondition(condition)(row);
+
+  test('compares dump text with numbers, booleans and strings', () => {
+    expect(matches('age >= 18', { age: '21' })).toBe(true);
+    expect(matches('age >= 18', { age: '9' })).toBe(false);
+    expect(matches('vip = true', { vip: 't' })).toBe(true);
+    expect(matches('vip', { vip: '1' })).toBe(true);
+    expect(matches("country <> 'PE'", { country: 'CL' })).toBe(true);
+  });
+
+  test('supports LIKE, ILIKE, IN, IS NULL, AND, OR, NOT and grouping', () => {
+    const row = { email: 'Ana@OurCompany.com', role: 'admin', deleted_at: null, id: '7' };
+    expect(matches("email LIKE '%@ourcompany.com'", row)).toBe(false);
+    expect(matches("email ILIKE '%@ourcompany.com'", row)).toBe(true);
+    expect(matches("role IN ('admin', 'staff') AND deleted_at IS NULL", row)).toBe(true);
+    expect(matches("role NOT IN ('admin') OR (id = 7 AND NOT deleted_at IS NOT NULL)", row)).toBe(true);
+    expect(matches("(id || '-' || role) = '7-admin'", row)).toBe(true);
+  });
+
+  test('matches only when the condition is true, not when it is NULL', () => {
+    expect(matches('age > 18', { age: null })).toBe(false);
+    expect(matches('NOT (age > 18)', { age: null })).toBe(false);
+    expect(matches("age > 18 OR name = 'x'", { age: null, name: 'x' })).toBe(true);
+    expect(matches("name IN ('a', NULL)", { name: 'b' })).toBe(false);
+    expect(matches("name NOT IN ('a', NULL)", { name: 'b' })).toBe(false);
+  });
+
+  test('rejects unknown functions and malformed conditions', () => {
+    expect(() => compileCondition('nope(id) = 1')).toThrow('Unknown masking function "nope"');
+    expect(() => compileCondition('id = 1 id')).toThrow('Unexpected token');
+  });
+});
+
+describe('row and column branches', () => {
+  const tableRules = {
+    masks: { email: 'anon.fake_email()', phone: "'hidden'" },
+    exceptions: ["email LIKE '%@ourcompany.com'"],
+    when: [{ name: 'vip', if: 'vip = true', masks: { phone: 'NULL', name: "'VIP'" } }],
+  };
+
+  test('are tested in rules order and end with the default branch', () => {
+    expect(rowBranches(tableRules)).toEqual([
+      { label: "exception: email LIKE '%@ourcompany.com'", condition: "email LIKE '%@ourcompany.com'", masks: {} },
+      { label: 'vip', condition: 'vip = true', masks: { email: 'anon.fake_email()', phone: 'NULL', name: "'VIP'" } },
+      { label: DEFAULT_BRANCH, condition: null, masks: tableRules.masks },
+    ]);
+    expect(columnBranches({ when: [{ if: 'a = 1', mask: 'NULL' }] })).toEqual([
+      { label: 'when: a = 1', condition: 'a = 1', mask: 'NULL' },
+      { label: ELSE_BRANCH, condition: null, mask: null },
+    ]);
+  });
+
+  test('become SQL CASE expressions', () => {
+    expect(branchesToSql([{ condition: null }], () => 'x')).toBe('x');
+    expect(branchesToSql(rowBranches(tableRules), (branch, index) => String(index))).toBe(
+      "CASE WHEN (email LIKE '%@ourcompany.com') THEN 0 WHEN (vip = true) THEN 1 ELSE 2 END"
+    );
+
+    const columns = ['email', 'phone', 'name', 'vip'];
+    expect(maskedRowsSql(tableRules, columns, 'name')).toBe(
+      "CASE WHEN (email LIKE '%@ourcompany.com') THEN false WHEN (vip = true) THEN true ELSE false END"
+    );
+    expect(branchLabelSql(tableRules, columns)).toBe(
+      "CASE WHEN (email LIKE '%@ourcompany.com') THEN 'exception: email LIKE ''%@ourcompany.com''' " +
+        "WHEN (vip = true) THEN 'vip' ELSE 'default' END"
+    );
+    expect(branchLabelSql({ masks: { email: 'NULL' } }, columns)).toBeNull();
+  });
+
+  test('give the SQL labels of a conditional column mask', () => {
+    const rules = { masks: { phone: { when: [{ name: 'mobile', if: "phone LIKE '6%'", mask: "'6xx'" }], else: 'NULL' } } };
+    expect(branchLabelSql(rules, ['phone'], 'phone')).toBe("CASE WHEN (phone LIKE '6%') THEN 'mobile' ELSE 'else' END");
+    expect(maskedRowsSql(rules, ['phone'], 'phone')).toBe("CASE WHEN (phone LIKE '6%') THEN true ELSE true END");
+    expect(branchLabelSql(rules, ['phone'], 'email')).toBeNull();
+  });
+});
+
+describe('BranchCounter', () => {
+  test('adds rows per branch and lists the table branches first', () => {
+    const counter = new BranchCounter();
+    counter.add('phone', 'mobile', 0);
+    counter.add(null, 'vip');
+    counter.add('phone', 'mobile', 2);
+    counter.add(null, DEFAULT_BRANCH, 3);
+    expect(counter.list()).toEqual([
+      { column: null, branch: 'vip', rows: 1 },
+      { column: null, branch: DEFAULT_BRANCH, rows: 3 },
+      { column: 'phone', branch: 'mobile', rows: 2 },
+    ]);
+  });
+});
+
+describe('createTableMasker with branches', () => {
+  const columns = ['id', 'email', 'phone', 'vip'].map((name) => ({ name, type: 'text' }));
+  const tableRules = {
+    masks: {
+      email: "'masked@example.com'",
+      phone: { when: [{ name: 'mobile', if: "phone LIKE '6%'", mask: "'6xxxxxxxx'" }] },
+    },
+    exceptions: ["email LIKE '%@ourcompany.com'"],
+    when: [{ name: 'vip', if: 'vip = true', masks: { email: "'vip@example.com'" } }],
+  };
+
+  test('masks each row with its first matching branch and counts every branch', () => {
+    const counter = new BranchCounter();
+    const mask = createTableMasker('users', columns, tableRules, { counter });
+
+    const rows = [
+      ['1', 'ana@ourcompany.com', '600000000', 'f'],
+      ['2', 'bob@mail.com', '600000001', 't'],
+      ['3', 'eve@mail.com', '910000000', 'f'],
+      ['4', 'joe@mail.com', null, 'f'],
+    ];
+    expect(rows.map(mask)).toEqual([
+      ['1', 'ana@ourcompany.com', '600000000', 'f'],
+      ['2', 'vip@example.com', '6xxxxxxxx', 't'],
+      ['3', 'masked@example.com', '910000000', 'f'],
+      ['4', 'masked@example.com', null, 'f'],
+    ]);
+    expect(counter.list()).toEqual([
+      { column: null, branch: "exception: email LIKE '%@ourcompany.com'", rows: 1 },
+      { column: null, branch: 'vip', rows: 1 },
+      { column: null, branch: DEFAULT_BRANCH, rows: 2 },
+      { column: 'phone', branch: 'mobile', rows: 1 },
+      { column: 'phone', branch: ELSE_BRANCH, rows: 2 },
+    ]);
+  });
+});
@@ -0,0 +1,115 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, describeConfig, requireSettings } from '../src/config/index.js';
+import { ConfigError } from '../src/utils/errors.js';
+
+const CONFIG = `
+database:
+  host: file-host
+  port: 5432
+  user: file-user
+docker:
+  memory: 1g
+  cpus: 1
+paths:
+  dumps: ./file-dumps
+profiles:
+  ci:
+    database:
+      host: profile-host
+      user: profile-user
+    docker:
+      memory: 512m
+`;
+
+let cwd;
+
+beforeEach(() => {
+  cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'anonymizer-config-'));
+  fs.writeFileSync(path.join(cwd, 'anonymizer.config.yaml'), CONFIG);
+});
+
+afterEach(() => {
+  fs.rmSync(cwd, { recursive: true, force: true });
+});
+
+describe('loadConfig', () => {
+  test('takes each setting from the cli, then the environment, the profile, the file and the defaults', () => {
+    const env = { DB_HOST: 'env-host', DB_USER: 'env-user' };
+    const config = loadConfig({ profile: 'ci', overrides: { 'database.host': 'cli-host' }, env, cwd });
+
+    expect(config.database).toMatchObject({ host: 'cli-host', user: 'env-user', port: 5432, poolSize: 20 });
+    expect(config.docker).toMatchObject({ memory: '512m', cpus: 1, publishPort: true });
+    expect(describeConfig().sources).toMatchObject({
+      'database.host': 'cli',
+      'database.user': 'env DB_USER',
+      'docker.memory': 'profile ci',
+      'database.port': 'file',
+      'database.poolSize': 'default',
+    });
+  });
+
+  test('uses the profile and file of the environment and ignores empty variables', () => {
+    fs.renameSync(path.join(cwd, 'anonymizer.config.yaml'), path.join(cwd, 'other.yaml'));
+    const env = { ANONYMIZER_CONFIG: 'other.yaml', ANONYMIZER_PROFILE: 'ci', DB_HOST: '', DB_PORT: '' };
+    const config = loadConfig({ env, cwd });
+    expect(config.database).toMatchObject({ host: 'profile-host', port: 5432 });
+    expect(describeConfig()).toMatchObject({ file: path.join(cwd, 'other.yaml'), profile: 'ci' });
+  });
+
+  test('reads .env without overriding the environment, unless the env file is given', () => {
+    fs.writeFileSync(path.join(cwd, '.env'), 'DB_HOST=dotenv-host\nDB_NAME=dotenv-name\n');
+    expect(loadConfig({ env: { DB_HOST: 'env-host' }, cwd }).database).toMatchObject({ host: 'env-host', name: 'dotenv-name' });
+    expect(loadConfig({ envFile: '.env', env: { DB_HOST: 'env-host' }, cwd }).database.host).toBe('dotenv-host');
+    expect(() => loadConfig({ envFile: 'missing.env', env: {}, cwd })).toThrow('Environment file "missing.env" not found');
+  });
+
+  test('resolves file paths from the file and the others from the working directory', () => {
+    const config = loadConfig({ env: { LOGS_DIR: 'env-logs' }, cwd });
+    expect(config.paths.dumps).toBe(path.join(cwd, 'file-dumps'));
+    expect(config.paths.logs).toBe(path.join(cwd, 'env-logs'));
+    expect(config.paths.rules).toBe(path.join(cwd, 'src/rules'));
+  });
+
+  test('masks secrets when described', () => {
+    loadConfig({ env: { DB_PASSWORD: 'secret', ANON_SALT: 'salt' }, cwd });
+    const { settings } = describeConfig();
+    expect(settings.database.password).toBe('********');
+    expect(settings.anonymization.salt).toBe('********');
+    expect(settings.source.password).toBeNull();
+  });
+
+  test('reports every invalid value with its source', () => {
+    const env = { DB_PORT: '70000', DOCKER_PUBLISH_PORT: 'maybe', LOG_LEVEL: 'loud' };
+    let error = null;
+    try {
+      loadConfig({ env, cwd });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.code).toBe('INVALID_CONFIG');
+    expect(error.message).toContain('database.port (env DB_PORT) must be a port between 1 and 65535, got "70000"');
+    expect(error.message).toContain('docker.publishPort (env DOCKER_PUBLISH_PORT) must be true or false');
+    expect(error.message).toContain('log.level (env LOG_LEVEL) must be one of error, warn, info, debug');
+  });
+
+  test('rejects unknown settings and profiles and a missing file', () => {
+    fs.writeFileSync(path.join(cwd, 'bad.yaml'), 'database:\n  hots: x\n');
+    expect(() => loadConfig({ file: 'bad.yaml', env: {}, cwd })).toThrow('unknown setting database.hots');
+    expect(() => loadConfig({ profile: 'prod', env: {}, cwd })).toThrow('Unknown configuration profile "prod"');
+    expect(() => loadConfig({ profile: 'prod', env: {}, cwd })).toThrow('Available: ci');
+    expect(() => loadConfig({ file: 'missing.yaml', env: {}, cwd })).toThrow('Configuration file "missing.yaml" not found');
+  });
+
+  test('lists the required settings that are missing', () => {
+    loadConfig({ env: { DB_USER: 'postgres' }, cwd });
+    expect(() => requireSettings(['database.user', 'database.password', 'database.name'], 'The work container')).toThrow(
+      'The work container needs database.password (DB_PASSWORD), database.name (DB_NAME); set them in the configuration file or the environment'
+    );
+    loadConfig({ env: { DB_PASSWORD: 'secret', DB_NAME: 'work' }, cwd });
+    expect(() => requireSettings(['database.password', 'database.name'], 'The work container')).not.toThrow();
+    expect(describeConfig().settings.database.host).toBe('file-host');
+  });
+});
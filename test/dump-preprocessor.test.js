@@ -0,0 +1,131 @@
+import { Readable } from 'stream';
+import { SqlStatementScanner } from '../src/utils/sql-dump.js';
+import { createDumpPreprocessor, unknownSettings, publicSearchPath, unavailableExtensions } from '../src/utils/dump-preprocessor.js';
+
+// Ejecuta el preprocesador sobre el texto partido en trozos de `size` bytes
+async function preprocess(text, rewrites, size = Infinity) {
+  const bytes = Buffer.from(text, 'utf8');
+  const chunks = [];
+  for (let start = 0; start < bytes.length; start += size) chunks.push(bytes.subarray(start, start + size));
+
+  const changes = [];
+  const output = [];
+  const stream = Readable.from(chunks).pipe(createDumpPreprocessor(rewrites, { onChange: (change) => changes.push(change) }));
+  for await (const chunk of stream) output.push(chunk);
+  return { text: Buffer.concat(output.map((chunk) => Buffer.from(chunk))).toString('utf8'), changes };
+}
+
+function scanLines(lines) {
+  const scanner = new SqlStatementScanner();
+  return lines.map((line) => scanner.scan(line));
+}
+
+describe('SqlStatementScanner', () => {
+  test('ends a statement on its top-level semicolon, across lines', () => {
+    expect(scanLines(['CREATE TABLE users (', '  id integer', ');', 'SELECT 1;'])).toEqual([false, false, true, true]);
+  });
+
+  test('ignores semicolons in strings, quoted names and comments', () => {
+    expect(scanLines(["SELECT 'a;b', 'it''s;'", ', "odd;name" -- ;', '/* ; */ ;'])).toEqual([false, false, true]);
+  });
+
+  test('follows escape strings and multi-line comments', () => {
+    expect(scanLines(["SELECT E'\\';'", ';'])).toEqual([false, true]);
+    expect(scanLines(['/* comment', ';', '*/ SELECT 1;'])).toEqual([false, false, true]);
+  });
+
+  test('follows dollar-quoted bodies with and without tags', () => {
+    const lines = [
+      'CREATE FUNCTION f() RETURNS void AS $body$',
+      'BEGIN PERFORM 1; $$ still inside; $$',
+      'END; $body$ LANGUAGE plpgsql;',
+      'SELECT $$;$$;',
+    ];
+    expect(scanLines(lines)).toEqual([false, false, true, true]);
+  });
+
+  test('knows when the next line starts a statement', () => {
+    const scanner = new SqlStatementScanner();
+    expect(scanner.atStatementStart).toBe(true);
+    scanner.scan("INSERT INTO t VALUES ('a");
+    expect(scanner.atStatementStart).toBe(false);
+    scanner.scan("');");
+    expect(scanner.atStatementStart).toBe(true);
+  });
+});
+
+describe('createDumpPreprocessor', () => {
+  const rewrites = [unknownSettings(['transaction_timeout']), publicSearchPath(), unavailableExtensions(['postgis'])];
+
+  const dump = [
+    '-- Dumped by pg_dump',
+    'SET statement_timeout = 0;',
+    'SET transaction_timeout = 0;',
+    "SELECT pg_catalog.set_config('search_path', '', false);",
+    'CREATE EXTENSION IF NOT EXISTS postgis WITH SCHEMA public;',
+    "COMMENT ON EXTENSION postgis IS 'geometry; and more';",
+    'CREATE FUNCTION public.f() RETURNS text AS $$',
+    'SET transaction_timeout = 0;',
+    'SELECT $$ LANGUAGE sql;',
+    'COPY public.users (id, name, note) FROM stdin;',
+    '1\tJosé Ñúñez\tSET transaction_timeout = 0;',
+    '2\t日本語\t\\N',
+    '\\.',
+    "INSERT INTO public.notes VALUES ('SET transaction_timeout = 0;",
+    "');",
+    'SET transaction_timeout',
+    '  = 0;',
+    '',
+  ].join('\n');
+
+  const expected = [
+    '-- Dumped by pg_dump',
+    'SET statement_timeout = 0;',
+    '-- SET transaction_timeout = 0;',
+    "SELECT pg_catalog.set_config('search_path', 'public', false);",
+    '-- CREATE EXTENSION IF NOT EXISTS postgis WITH SCHEMA public;',
+    "-- COMMENT ON EXTENSION postgis IS 'geometry; and more';",
+    'CREATE FUNCTION public.f() RETURNS text AS $$',
+    'SET transaction_timeout = 0;',
+    'SELECT $$ LANGUAGE sql;',
+    'COPY public.users (id, name, note) FROM stdin;',
+    '1\tJosé Ñúñez\tSET transaction_timeout = 0;',
+    '2\t日本語\t\\N',
+    '\\.',
+    "INSERT INTO public.notes VALUES ('SET transaction_timeout = 0;",
+    "');",
+    '-- SET transaction_timeout',
+    '--   = 0;',
+    '',
+  ].join('\n');
+
+  test('rewrites only top-level statements, never function bodies, strings or COPY data', async () => {
+    const { text, changes } = await preprocess(dump, rewrites);
+    expect(text).toBe(expected);
+    expect(changes.map(({ rewrite, line }) => [rewrite, line])).toEqual([
+      ['unknown-settings', 3],
+      ['search-path', 4],
+      ['unavailable-extensions', 5],
+      ['unavailable-extensions', 6],
+      ['unknown-settings', 16],
+    ]);
+  });
+
+  test('gives the same output whatever the chunk boundaries, inside multi-byte characters too', async () => {
+    for (const size of [1, 2, 3, 5, 7, 16, 64]) {
+      const { text } = await preprocess(dump, rewrites, size);
+      expect(text).toBe(expected);
+    }
+  });
+
+  test('keeps CRLF line endings', async () => {
+    const { text } = await preprocess(dump.replace(/\n/g, '\r\n'), rewrites, 4);
+    expect(text).toBe(expected.replace(/\n/g, '\r\n'));
+  });
+
+  test('copies a last line without newline and an unfinished statement as they are', async () => {
+    expect((await preprocess('SELECT 1;\nSELECT 2;', rewrites, 3)).text).toBe('SELECT 1;\nSELECT 2;');
+    expect((await preprocess('SET transaction_timeout\n= 0', rewrites, 3)).text).toBe('SET transaction_timeout\n= 0');
+    expect((await preprocess('SET transaction_timeout\n', rewrites, 3)).text).toBe('SET transaction_timeout\n');
+  });
+});
@@ -0,0 +1,94 @@
+import { generate, getGenerator, registerGenerator, assertGeneratorMask } from '../src/masking/generators.js';
+
+// Validadores escritos aparte del generador, según la definición de cada formato
+function validIban(value) {
+  const rearranged = `${value.slice(4)}${value.slice(0, 4)}`.replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+  return BigInt(rearranged) % 97n === 1n;
+}
+
+function validSpanishAccount(bban) {
+  const weights = [1, 2, 4, 8, 5, 10, 9, 7, 3, 6];
+  const digit = (digits) => {
+    const check = 11 - ([...digits].reduce((sum, char, index) => sum + Number(char) * weights[index], 0) % 11);
+    return check === 11 ? 0 : check === 10 ? 1 : check;
+  };
+  return `${digit(`00${bban.slice(0, 8)}`)}${digit(bban.slice(10))}` === bban.slice(8, 10);
+}
+
+function validPortugueseNib(bban) {
+  return BigInt(bban) % 97n === 1n;
+}
+
+function validDni(value) {
+  const number = value.replace(/^[XYZ]/, (letter) => String('XYZ'.indexOf(letter)));
+  return /^[XYZ\d]\d{7}[A-Z]$/.test(value) && 'TRWAGMYFPDXBNJZSQVHLCKE'[Number(number.slice(0, 8)) % 23] === value[8];
+}
+
+function validNif(value) {
+  const sum = [...value.slice(0, 8)].reduce((total, digit, index) => total + Number(digit) * (9 - index), 0);
+  return /^[1235]\d{8}$/.test(value) && (sum % 11 < 2 ? 0 : 11 - (sum % 11)) === Number(value[8]);
+}
+
+const many = (mask, count = 200) => Array.from({ length: count }, () => generate(mask, 'original', {}));
+
+describe('check digits of the generated identifiers', () => {
+  test('the validators accept published examples', () => {
+    expect(validIban('ES9121000418450200051332')).toBe(true);
+    expect(validSpanishAccount('21000418450200051332')).toBe(true);
+    expect(validIban('PT50000201231234567890154')).toBe(true);
+    expect(validPortugueseNib('000201231234567890154')).toBe(true);
+    expect(validDni('12345678Z')).toBe(true);
+    expect(validNif('123456789')).toBe(true);
+  });
+
+  test('Spanish IBANs have valid IBAN and CCC check digits', () => {
+    for (const value of many({ generator: 'iban', locale: 'es' })) {
+      expect(value).toMatch(/^ES\d{22}$/);
+      expect(validIban(value)).toBe(true);
+      expect(validSpanishAccount(value.slice(4))).toBe(true);
+    }
+  });
+
+  test('Portuguese IBANs have valid IBAN and NIB check digits', () => {
+    for (const value of many({ generator: 'iban', locale: 'pt' })) {
+      expect(value).toMatch(/^PT\d{23}$/);
+      expect(validIban(value)).toBe(true);
+      expect(validPortugueseNib(value.slice(4))).toBe(true);
+    }
+  });
+
+  test('British IBANs have valid check digits', () => {
+    for (const value of many({ generator: 'iban' })) {
+      expect(value).toMatch(/^GB\d{2}[A-Z]{4}\d{14}$/);
+      expect(validIban(value)).toBe(true);
+    }
+  });
+
+  test('DNI, NIE, NIF and NINO follow their formats and check characters', () => {
+    for (const value of many({ generator: 'dni' })) expect(validDni(value)).toBe(true);
+    for (const value of many({ generator: 'nie' })) expect(/^[XYZ]/.test(value) && validDni(value)).toBe(true);
+    for (const value of many({ generator: 'nif' })) expect(validNif(value)).toBe(true);
+    for (const value of many({ generator: 'nino' })) expect(value).toMatch(/^[A-CEGHJ-NPR-TW-Z]{2}\d{6}[A-D]$/);
+    expect(validDni(generate({ generator: 'national_id', locale: 'es' }, 'x', {}))).toBe(true);
+    expect(validNif(generate({ generator: 'national_id', locale: 'pt' }, 'x', {}))).toBe(true);
+  });
+});
+
+describe('generators', () => {
+  test('keep NULL and fill patterns', () => {
+    expect(generate({ generator: 'dni' }, null, {})).toBeNull();
+    expect(generate({ generator: 'pattern', format: 'CUS-####-??' }, 'x', {})).toMatch(/^CUS-\d{4}-[A-Z]{2}$/);
+    expect(generate({ generator: 'postcode', locale: 'pt' }, 'x', {})).toMatch(/^\d{4}-\d{3}$/);
+  });
+
+  test('receive the value, the row and the options of the mask', () => {
+    registerGenerator('test_initials', (value, row, { locale, suffix }) => `${row.first[0]}${row.last[0]}-${locale}-${suffix}`);
+    expect(getGenerator('test_initials')).toEqual(expect.any(Function));
+    expect(generate({ generator: 'test_initials', locale: 'es', suffix: 1 }, 'x', { first: 'Ana', last: 'Ruiz' })).toBe('AR-es-1');
+  });
+
+  test('reject unknown generators and locales', () => {
+    expect(() => assertGeneratorMask({ generator: 'nope' })).toThrow('nope');
+    expect(() => assertGeneratorMask({ generator: 'iban', locale: 'fr' })).toThrow('fr');
+  });
+});
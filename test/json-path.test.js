@@ -0,0 +1,112 @@
+import { JsonNumber, parseJson, stringifyJson, parseJsonPath, updateJsonPath } from '../src/masking/json-path.js';
+import { compileColumnMask, createTableMasker } from '../src/masking/masker.js';
+
+describe('parseJsonPath', () => {
+  test('parses keys, indexes, wildcards and quoted keys', () => {
+    expect(parseJsonPath('$.contact.phone')).toEqual([
+      { type: 'key', key: 'contact' },
+      { type: 'key', key: 'phone' },
+    ]);
+    expect(parseJsonPath('addresses[*].street')).toEqual([
+      { type: 'key', key: 'addresses' },
+      { type: 'all' },
+      { type: 'key', key: 'street' },
+    ]);
+    expect(parseJsonPath(`$["first.name"][0]['it\\'s']`)).toEqual([
+      { type: 'key', key: 'first.name' },
+      { type: 'index', index: 0 },
+      { type: 'key', key: "it's" },
+    ]);
+  });
+
+  test('rejects empty and malformed paths', () => {
+    expect(() => parseJsonPath('$')).toThrow('must not be empty');
+    expect(() => parseJsonPath('a..b')).toThrow('empty key');
+    expect(() => parseJsonPath('a.')).toThrow('empty key');
+    expect(() => parseJsonPath('a[x]')).toThrow('Invalid JSON path');
+  });
+});
+
+describe('parseJson and stringifyJson', () => {
+  test('write back key order and exact numbers', () => {
+    const text = '{"z":1,"a":12345678901234567890,"d":1.50,"e":-2E+3,"n":null,"l":[true,"x\\"y"]}';
+    const document = parseJson(text);
+    expect(document).toBeInstanceOf(Map);
+    expect(document.get('a')).toEqual(new JsonNumber('12345678901234567890'));
+    expect(stringifyJson(document)).toBe(text);
+  });
+
+  test('compacts whitespace and rejects invalid text', () => {
+    expect(stringifyJson(parseJson(' { "a" : [ 1 , 2 ] } '))).toBe('{"a":[1,2]}');
+    expect(() => parseJson('{"a":1')).toThrow('Invalid JSON');
+    expect(() => parseJson('{"a":1} x')).toThrow('Invalid JSON');
+  });
+});
+
+describe('updateJsonPath', () => {
+  test('updates every matching value and creates nothing', () => {
+    const document = parseJson('{"items":[{"name":"a"},{"other":1},{"name":"b"}],"name":"top"}');
+    updateJsonPath(document, parseJsonPath('items[*].name'), (value) => value.toUpperCase());
+    updateJsonPath(document, parseJsonPath('items[7].name'), () => 'never');
+    updateJsonPath(document, parseJsonPath('missing.name'), () => 'never');
+    expect(stringifyJson(document)).toBe('{"items":[{"name":"A"},{"other":1},{"name":"B"}],"name":"top"}');
+  });
+
+  test('does not index into objects nor take keys from arrays', () => {
+    const document = parseJson('{"a":{"0":"x"},"b":["y"]}');
+    updateJsonPath(document, parseJsonPath('a[0]'), () => 'never');
+    updateJsonPath(document, parseJsonPath('b.0'), () => 'never');
+    expect(stringifyJson(document)).toBe('{"a":{"0":"x"},"b":["y"]}');
+  });
+});
+
+describe('JSON path masks', () => {
+  const ctx = (profile) => ({ row: { id: '1', profile }, column: 'profile', type: 'jsonb' });
+
+  test('mask only the listed fields, each seeing the field as its column', () => {
+    const mask = compileColumnMask(
+      {
+        json: {
+          'contact.email': "anon.partial(profile, 2, '***', 0)",
+          'phones[*]': (value) => value.replace(/\d/g, '0'),
+        },
+      },
+      'profile'
+    );
+    const masked = mask(ctx('{"contact":{"email":"ana@example.com","city":"Lima"},"phones":["555-1234",null],"age":41}'));
+    expect(masked).toBe('{"contact":{"email":"an***","city":"Lima"},"phones":["000-0000",null],"age":41}');
+  });
+
+  test('keep the type of numeric fields and turn objects into JSON', () => {
+    const mask = compileColumnMask({ json: { age: () => 30, score: () => '7.25', extra: () => ({ a: [1] }) } }, 'profile');
+    expect(mask(ctx('{"age":41,"score":9.5,"extra":"x"}'))).toBe('{"age":30,"score":7.25,"extra":{"a":[1]}}');
+  });
+
+  test('leave NULL columns alone and reject invalid JSON and nested JSON masks', () => {
+    const mask = compileColumnMask({ json: { name: () => 'x' } }, 'profile');
+    expect(mask(ctx(null))).toBeNull();
+    expect(() => mask(ctx('not json'))).toThrow('Column profile does not hold valid JSON');
+    expect(() => compileColumnMask({ json: { a: { json: { b: 'NULL' } } } }, 'profile')).toThrow('cannot be nested');
+  });
+
+  test('keep a field when a conditional field mask matches no branch', () => {
+    const mask = compileColumnMask({ json: { name: { when: [{ if: "profile = 'ana'", mask: () => 'x' }] } } }, 'profile');
+    expect(mask(ctx('{"name":"ana"}'))).toBe('{"name":"x"}');
+    expect(mask(ctx('{"name":"bob"}'))).toBe('{"name":"bob"}');
+  });
+
+  test('mask whole rows through the table masker without sampling the document', () => {
+    const sampled = [];
+    const masker = createTableMasker(
+      'users',
+      [
+        { name: 'id', type: 'integer' },
+        { name: 'profile', type: 'jsonb' },
+      ],
+      { masks: { profile: { json: { name: () => 'x' } } } },
+      { onMask: (column, value) => sampled.push([column, value]) }
+    );
+    expect(masker(['1', '{"name":"ana","id":1}'])).toEqual(['1', '{"name":"x","id":1}']);
+    expect(sampled).toEqual([]);
+  });
+});
@@ -0,0 +1,103 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gzipSync } from 'zlib';
+import { LeakScanner } from '../src/services/leak-scanner.js';
+import { LeakError } from '../src/utils/errors.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anonymizer-leak-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const DUMP = [
+  'CREATE TABLE public.users (id integer, email text, note text);',
+  'COPY public.users (id, email, note) FROM stdin;',
+  '1\tmasked@example.com\tline one\\nline two',
+  '\\.',
+  "INSERT INTO public.users VALUES (2, 'masked@example.com', 'O''Brien was here');",
+  '',
+].join('\n');
+
+function writeDump(name, text, { gzip = false } = {}) {
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, gzip ? gzipSync(text) : text);
+  return filePath;
+}
+
+describe('LeakScanner', () => {
+  test('skips values too short or common to prove anything, and stops at the sample size', () => {
+    const scanner = new LeakScanner({ sampleRows: 2 });
+    for (const value of ['abc', '12345', 'Alice', null, 'ana@mail.com', 'bob@mail.com', 'eve@mail.com']) {
+      scanner.addValue('public.users', 'email', value);
+    }
+    const [sample] = scanner.samples.values();
+    expect([...sample.values]).toEqual(['ana@mail.com', 'bob@mail.com']);
+    expect(sample.skipped).toBe(3);
+  });
+
+  test('finds sampled values as written in COPY rows and SQL literals', async () => {
+    const scanner = new LeakScanner();
+    scanner.addValue('public.users', 'email', 'ana@mail.com');
+    scanner.addValue('public.users', 'note', 'line one\nline two');
+    scanner.addValue('public.users', 'note', "O'Brien was here");
+    scanner.addValue('public.users', 'note', 'never written');
+
+    const results = await scanner.scan(writeDump('dump.sql', DUMP));
+    expect(results).toEqual([
+      { table: 'public.users', column: 'email', sampled: 1, skipped: 0, found: 0 },
+      { table: 'public.users', column: 'note', sampled: 3, skipped: 0, found: 2 },
+    ]);
+  });
+
+  test('reads gzip dumps and rejects a leaking one', async () => {
+    const scanner = new LeakScanner();
+    scanner.addValue('public.users', 'email', 'masked@example.com');
+    const dumpPath = writeDump('dump.sql.gz', DUMP, { gzip: true });
+
+    const error = await scanner.verify(dumpPath).catch((caught) => caught);
+    expect(error).toBeInstanceOf(LeakError);
+    expect(error.message).toContain('public.users.email (1)');
+    expect(fs.existsSync(dumpPath)).toBe(false);
+    expect(fs.existsSync(`${dumpPath}.rejected`)).toBe(true);
+  });
+
+  test('passes a dump without sampled values', async () => {
+    const scanner = new LeakScanner();
+    scanner.addValue('public.users', 'email', 'ana@mail.com');
+    const results = await scanner.verify(writeDump('dump.sql', DUMP));
+    expect(results[0]).toMatchObject({ sampled: 1, found: 0 });
+  });
+
+  test('leaves out the sampled values that rows kept unmasked also hold', async () => {
+    const rows = [
+      { email: 'ana@mail.com', vip: false },
+      { email: 'shared@mail.com', vip: false },
+      { email: 'shared@mail.com', vip: true },
+    ];
+    const queries = [];
+    // Cliente falso que evalúa la condición `NOT vip` de las filas enmascaradas
+    const client = {
+      query: async (sql, params = []) => {
+        queries.push(sql);
+        const matching = sql.includes('NOT COALESCE') ? rows.filter((row) => row.vip) : rows.filter((row) => !row.vip);
+        const values = matching.map((row) => row.email).filter((email) => params.length === 0 || params.includes(email));
+        return { rows: [...new Set(values)].map((value) => ({ value })) };
+      },
+    };
+    const engine = { quoteIdentifier: (name) => name, parameter: (index) => `$${index}` };
+
+    const scanner = new LeakScanner();
+    await scanner.sampleDatabase(client, engine, { qualifiedName: 'public.users' }, ['email'], { where: { email: 'NOT vip' } });
+    const [sample] = scanner.samples.values();
+    expect([...sample.values]).toEqual(['ana@mail.com']);
+    expect(sample.skipped).toBe(1);
+    expect(queries[0]).toContain('AND (NOT vip)');
+    expect(queries[1]).toContain('WHERE NOT COALESCE((NOT vip), false) AND CONCAT(email) IN ($1, $2)');
+  });
+});
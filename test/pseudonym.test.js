@@ -0,0 +1,78 @@
+import crypto from 'crypto';
+import { pseudonymize, pseudonymToSql, assertPseudonymMask, PSEUDONYM_KINDS } from '../src/masking/pseudonym.js';
+import { createTableMasker } from '../src/masking/masker.js';
+import { firstNames, lastNames } from '../src/masking/fake-data.js';
+
+const SALT = 'test-salt';
+
+// Evalúa la traducción SQL de un seudónimo con el HMAC calculado en Node en lugar de anon.hmac
+function evaluateSql(sql, column, value) {
+  const expression = sql
+    .replace(`CASE WHEN ${column} IS NULL THEN NULL ELSE `, '(')
+    .replace(/ END$/, ')')
+    .replaceAll(`anon.hmac(${column}::text, '${SALT}', 'sha256')`, 'digest')
+    .replace(/\('x' \|\| substr\(digest, (\d+), (\d+)\)\)::bit\(\d+\)::bigint/g, 'parseInt(digest.substr($1 - 1, $2), 16)')
+    .replace(/\(ARRAY\[/g, '([')
+    .replace(/\]\)\[1 \+ \((.*?)\)::int\]/g, '])[$1]')
+    .replace(/lower\(/g, 'String.prototype.toLowerCase.call(')
+    .replaceAll('::text', '')
+    .replaceAll('||', '+');
+  const digest = crypto.createHmac('sha256', SALT).update(String(value)).digest('hex');
+  return new Function('digest', `return ${expression};`)(digest);
+}
+
+describe('pseudonymize', () => {
+  test('gives the same value for the same input and salt, and another one with another salt', () => {
+    const emails = ['ana@mail.com', 'bob@mail.com', 'eve@mail.com'];
+    const once = emails.map((email) => pseudonymize({ pseudonym: 'email' }, email, SALT));
+    expect(emails.map((email) => pseudonymize({ pseudonym: 'email' }, email, SALT))).toEqual(once);
+    expect(emails.map((email) => pseudonymize({ pseudonym: 'email' }, email, 'other-salt'))).not.toEqual(once);
+    for (const email of once) expect(email).toMatch(/^[a-z]+\.[a-z]+\d{1,3}@[a-z.]+$/);
+  });
+
+  test('picks names from the dictionaries and keeps NULL', () => {
+    const [first, last] = pseudonymize({ pseudonym: 'name' }, 'Ana Ruiz', SALT).split(' ');
+    expect(firstNames).toContain(first);
+    expect(lastNames).toContain(last);
+    expect(pseudonymize({ pseudonym: 'first_name' }, 'Ana Ruiz', SALT)).toBe(first);
+    expect(pseudonymize({ pseudonym: 'city' }, null, SALT)).toBeNull();
+  });
+
+  test('keeps numbers in their range and hashes with HMAC-SHA256', () => {
+    for (let i = 0; i < 200; i++) {
+      const number = pseudonymize({ pseudonym: 'number', min: 10, max: 20 }, String(i), SALT);
+      expect(number).toBeGreaterThanOrEqual(10);
+      expect(number).toBeLessThanOrEqual(20);
+    }
+    expect(pseudonymize({ pseudonym: 'hash' }, '42', SALT)).toBe(crypto.createHmac('sha256', SALT).update('42').digest('hex'));
+  });
+
+  test('is used by the table masker with the configured salt', () => {
+    const columns = [{ name: 'id', type: 'integer' }, { name: 'email', type: 'text' }];
+    const masker = createTableMasker('users', columns, { masks: { email: { pseudonym: 'email' } } }, { salt: SALT });
+    expect(masker(['1', 'ana@mail.com'])).toEqual(['1', pseudonymize({ pseudonym: 'email' }, 'ana@mail.com', SALT)]);
+  });
+
+  test('rejects unknown kinds, missing salts and empty ranges', () => {
+    expect(() => assertPseudonymMask({ pseudonym: 'planet' }, SALT)).toThrow('Unknown pseudonym kind "planet"');
+    expect(() => assertPseudonymMask({ pseudonym: 'email' }, '')).toThrow('secret salt');
+    expect(() => assertPseudonymMask({ pseudonym: 'number', min: 5, max: 1 }, SALT)).toThrow('Invalid range');
+  });
+});
+
+describe('pseudonymToSql', () => {
+  test('gives in SQL the same value as in JavaScript for every kind', () => {
+    for (const pseudonym of PSEUDONYM_KINDS) {
+      const mask = pseudonym === 'number' ? { pseudonym, min: 100, max: 999 } : { pseudonym };
+      const sql = pseudonymToSql(mask, '"Email"', SALT);
+      for (const value of ['ana@mail.com', 'Bob Smith', '12345']) {
+        expect(evaluateSql(sql, '"Email"', value)).toBe(pseudonymize(mask, value, SALT));
+      }
+    }
+  });
+
+  test('keeps NULL and quotes the salt', () => {
+    expect(pseudonymToSql({ pseudonym: 'city' }, 'city', SALT)).toMatch(/^CASE WHEN city IS NULL THEN NULL ELSE /);
+    expect(pseudonymToSql({ pseudonym: 'hash' }, 'id', "it's")).toBe("anon.hmac(id::text, 'it''s', 'sha256')");
+  });
+});
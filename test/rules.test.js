@@ -0,0 +1,132 @@
+import { unquoteIdentifier, quoteIdentifier, parseQualifiedName } from '../src/utils/sql-dump.js';
+import {
+  normalizeRules,
+  findTableRules,
+  resolveColumnName,
+  qualifiedTableName,
+  globalColumnRules,
+  resolveTableRules,
+} from '../src/utils/rules.js';
+
+describe('identifiers', () => {
+  test('fold unquoted names and keep quoted ones as written', () => {
+    expect(unquoteIdentifier('Users')).toBe('users');
+    expect(unquoteIdentifier('"Users"')).toBe('Users');
+    expect(unquoteIdentifier('"say ""hi"""')).toBe('say "hi"');
+    expect(parseQualifiedName('crm."Contacts"')).toEqual({ schema: 'crm', table: 'Contacts' });
+    expect(parseQualifiedName('"my.schema"."a.b"')).toEqual({ schema: 'my.schema', table: 'a.b' });
+    expect(parseQualifiedName('users')).toEqual({ schema: null, table: 'users' });
+  });
+
+  test('are quoted when PostgreSQL would fold or reject them', () => {
+    expect(quoteIdentifier('users')).toBe('users');
+    expect(quoteIdentifier('Users')).toBe('"Users"');
+    expect(quoteIdentifier('first name')).toBe('"first name"');
+    expect(quoteIdentifier('say "hi"')).toBe('"say ""hi"""');
+    expect(quoteIdentifier('1st')).toBe('"1st"');
+    expect(quoteIdentifier('user')).toBe('"user"');
+    expect(quoteIdentifier('order')).toBe('"order"');
+    expect(qualifiedTableName(null, 'Users')).toBe('public."Users"');
+    expect(qualifiedTableName('billing', 'invoices')).toBe('billing.invoices');
+  });
+});
+
+describe('table and column rules', () => {
+  const entries = normalizeRules({
+    users: { masks: { email: 'NULL' } },
+    'billing.Invoices': { masks: { total: '0' } },
+    'crm."Contacts"': { masks: { phone: 'NULL' } },
+    audit: { tables: { events: { masks: { ip: 'NULL' } } } },
+  });
+
+  test('take the schema from the key or the schema section, public by default', () => {
+    expect(entries.map(({ key, schema, table }) => [key, schema, table])).toEqual([
+      ['users', { name: 'public', exact: false }, { name: 'users', exact: false }],
+      ['billing.Invoices', { name: 'billing', exact: false }, { name: 'invoices', exact: false }],
+      ['crm."Contacts"', { name: 'crm', exact: false }, { name: 'Contacts', exact: true }],
+      ['audit.events', { name: 'audit', exact: false }, { name: 'events', exact: false }],
+    ]);
+    expect(() => normalizeRules({ 'a.b.c': {} })).toThrow('Invalid table name in rules: a.b.c');
+  });
+
+  test('match unquoted names in any case and quoted names exactly', () => {
+    expect(findTableRules(entries, null, 'USERS').key).toBe('users');
+    expect(findTableRules(entries, 'billing', 'INVOICES').key).toBe('billing.Invoices');
+    expect(findTableRules(entries, 'crm', 'Contacts').key).toBe('crm."Contacts"');
+    expect(findTableRules(entries, 'crm', 'contacts')).toBeNull();
+    expect(findTableRules(entries, 'other', 'users')).toBeNull();
+
+    expect(resolveColumnName(['Email', 'email'], 'email')).toBe('email');
+    expect(resolveColumnName(['Email'], 'EMAIL')).toBe('Email');
+    expect(resolveColumnName(['Email'], '"EMAIL"')).toBeNull();
+    expect(resolveColumnName(['Email'], '"Email"')).toBe('Email');
+  });
+});
+
+describe('global column rules', () => {
+  const columns = [
+    { name: 'email', type: 'text' },
+    { name: 'backup_email', type: 'character varying(200)' },
+    { name: 'last_ip', type: 'inet' },
+    { name: 'phone2', type: 'text' },
+    { name: 'Notes', type: 'text' },
+    { name: 'total', type: 'numeric(10,2)' },
+  ];
+  const globals = globalColumnRules({
+    columns: [
+      { name: 'email', mask: 'anon.fake_email()' },
+      { glob: '*_email', mask: "'x@example.com'" },
+      { regex: '^phone\\d$', mask: "anon.partial({col}, 2, '***', 0)" },
+      { glob: '*_ip', type: 'inet', mask: 'NULL' },
+      { glob: '*', type: 'numeric', mask: '0' },
+      { name: '"Notes"', type: ['varchar', 'text'], mask: "'-'" },
+    ],
+  });
+  const masks = (tableRules) => resolveTableRules(tableRules, globals, columns);
+
+  test('match columns by name, glob, regex and type, the first rule winning', () => {
+    expect(globals.map((rule) => rule.label)).toEqual([
+      'name email',
+      'glob *_email',
+      'regex ^phone\\d$',
+      'glob *_ip (inet)',
+      'glob * (numeric)',
+      'name "Notes" (varchar, text)',
+    ]);
+    expect(masks(null)).toEqual({
+      rules: {
+        masks: {
+          email: 'anon.fake_email()',
+          backup_email: "'x@example.com'",
+          last_ip: 'NULL',
+          phone2: "anon.partial(phone2, 2, '***', 0)",
+          Notes: "'-'",
+          total: '0',
+        },
+      },
+      sources: {
+        email: 'global name email',
+        backup_email: 'global glob *_email',
+        last_ip: 'global glob *_ip (inet)',
+        phone2: 'global regex ^phone\\d$',
+        Notes: 'global name "Notes" (varchar, text)',
+        total: 'global glob * (numeric)',
+      },
+    });
+  });
+
+  test('quote the column in {col} and let the table masks override them', () => {
+    const [notes] = globalColumnRules({ columns: [{ name: '"Notes"', mask: 'left({col}, 1)' }] });
+    expect(resolveTableRules(null, [notes], columns).rules.masks).toEqual({ Notes: 'left("Notes", 1)' });
+
+    const resolved = masks({ masks: { EMAIL: 'NULL' }, exceptions: ['id = 1'] });
+    expect(resolved.rules).toMatchObject({ masks: { email: 'NULL', total: '0' }, exceptions: ['id = 1'] });
+    expect(resolved.sources.email).toBe('table');
+  });
+
+  test('do not apply to tables with another strategy, nor when nothing matches', () => {
+    expect(masks({ strategy: 'truncate' })).toEqual({ rules: { strategy: 'truncate' }, sources: {} });
+    expect(resolveTableRules(null, globals, [{ name: 'active', type: 'boolean' }])).toBeNull();
+    expect(resolveTableRules({ strategy: 'keep' }, [], [{ name: 'id', type: 'integer' }]).rules).toEqual({ strategy: 'keep' });
+  });
+});
@@ -0,0 +1,73 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StreamAnonymizationService } from '../src/services/stream-anonymization.js';
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anonymizer-stream-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const DUMP = `SET client_encoding = 'UTF8';
+
+CREATE TABLE public.users (
+    id integer NOT NULL,
+    email text,
+    name character varying(100),
+    note text
+);
+
+CREATE FUNCTION public.touch() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+  INSERT INTO audit VALUES ('ana@mail.com');
+  RETURN NEW;
+END;
+$$;
+
+COPY public.users (id, email, name, note) FROM stdin;
+1\tana@mail.com\tAna Ruiz\tline one\\nline two
+2\t\\N\tBob Smith\t\\N
+\\.
+
+INSERT INTO public.users (id, email, name, note) VALUES (3, 'eve@mail.com', 'Eve; Doe', 'it''s'), (4, NULL, 'Joe', NULL);
+
+COPY public.orders (id, total) FROM stdin;
+1\t10.5
+\\.
+`;
+
+async function anonymize(rules) {
+  const input = path.join(dir, 'input.sql');
+  const output = path.join(dir, 'output.sql');
+  fs.writeFileSync(input, DUMP);
+
+  const service = new StreamAnonymizationService(input, 'postgres', { leakCheck: false });
+  await service.processRules(rules);
+  await service.transformDump(input, output);
+  return fs.readFileSync(output, 'utf8');
+}
+
+describe('StreamAnonymizationService', () => {
+  test('masks COPY rows and INSERT tuples and copies everything else as it is', async () => {
+    const text = await anonymize({
+      users: { masks: { email: "anon.partial(email, 2, '***', 0)", name: "'Hidden'" } },
+    });
+
+    expect(text).toContain('1\tan***\tHidden\tline one\\nline two\n2\t\\N\tHidden\t\\N\n\\.');
+    expect(text).toContain("VALUES (3, 'ev***', 'Hidden', 'it''s'), (4, NULL, 'Hidden', NULL);");
+    expect(text).toContain("  INSERT INTO audit VALUES ('ana@mail.com');");
+    expect(text).toContain('COPY public.orders (id, total) FROM stdin;\n1\t10.5\n\\.');
+    expect(text).not.toMatch(/ana@mail\.com\t|eve@mail\.com|Ruiz|Smith/);
+  });
+
+  test('fails on a rule column that the table does not have', async () => {
+    await expect(anonymize({ users: { masks: { phone: 'NULL' } } })).rejects.toThrow('Column "phone" does not exist');
+  });
+});
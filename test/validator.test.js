@@ -0,0 +1,74 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { RulesValidator } from '../src/services/validator.js';
+import { loadConfig } from '../src/config/index.js';
+
+let cwd;
+
+beforeEach(() => {
+  cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'anonymizer-validator-'));
+  loadConfig({ env: {}, cwd });
+});
+
+afterEach(() => {
+  fs.rmSync(cwd, { recursive: true, force: true });
+});
+
+describe('RulesValidator without a dump', () => {
+  const messages = (report) => report.errors.map(({ table, column, message }) => `${[table, column].filter(Boolean).join('.')}: ${message}`);
+
+  test('checks functions, generators, pseudonyms, JSON paths and conditions, also in global column rules', () => {
+    const report = new RulesValidator('docker', 'postgres').validateWithoutSchema({
+      columns: [
+        { glob: '*email*', mask: 'anon.nope_email()' },
+        { regex: '^phone', mask: "anon.partial({col}, 2, '***', 0)" },
+      ],
+      'public.users': {
+        masks: {
+          email: 'anon.fake_email()',
+          phone: { generator: 'no_such_generator' },
+          name: { pseudonym: 'planet' },
+          city: 'anon.what()',
+          profile: { json: { 'contact.city': 'anon.what()', 'a..b': 'NULL' } },
+        },
+        exceptions: ["email LIKE '%@ourcompany.com' AND nope(email)"],
+      },
+    });
+
+    expect(messages(report)).toEqual([
+      expect.stringMatching(/^public\.users\.phone: Unknown generator "no_such_generator"/),
+      expect.stringMatching(/^public\.users\.name: .*planet/),
+      'public.users.city: Unknown masking function anon.what()',
+      'public.users.profile: contact.city: Unknown masking function anon.what()',
+      expect.stringMatching(/^public\.users\.profile: a\.\.b: /),
+      `public.users: Condition "email LIKE '%@ourcompany.com' AND nope(email)": unknown masking function nope()`,
+      'columns.glob *email*: Unknown masking function anon.nope_email()',
+    ]);
+  });
+
+  test('does not check columns or types it cannot see', () => {
+    const report = new RulesValidator('stream', 'postgres').validateWithoutSchema({
+      'public.users': {
+        masks: { email: 'anon.fake_email()', birth: "anon.partial(nickname, 1, '*', 0)" },
+        when: [{ if: 'vip = true', masks: { phone: 'NULL' } }],
+      },
+    });
+    expect(report.errors).toEqual([]);
+    expect(report).toMatchObject({ tables: 1, columns: 2 });
+  });
+
+  test('checks the SQL masks of a table with JavaScript masks against the stream engine', () => {
+    const report = new RulesValidator('docker', 'postgres').validateWithoutSchema({
+      users: { masks: { national_id: { generator: 'dni' }, company_id: 'anon.fake_siret()' } },
+      companies: { masks: { company_id: 'anon.fake_siret()' } },
+    });
+    expect(messages(report)).toEqual(['users.company_id: Function anon.fake_siret() is not supported in tables masked in JavaScript']);
+  });
+
+  test('reports an empty rules file', () => {
+    expect(new RulesValidator().validateWithoutSchema({}).errors).toEqual([
+      { table: null, column: null, message: 'The rules file does not define any table' },
+    ]);
+  });
+});